@@ -58,6 +58,26 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, but allow anonymous requests
+const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (user && user.isActive) {
+      req.user = user;
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+  }
+
+  next();
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -213,6 +233,7 @@ const requireOwnershipOrSuperAdmin = (resourceField = 'createdBy') => {
 
 module.exports = {
   protect,
+  optionalAuth,
   authorize,
   requireSuperAdmin,
   requireAdmin,
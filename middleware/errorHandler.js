@@ -26,6 +26,8 @@ const errorHandler = (err, req, res, next) => {
       message = 'Email already exists';
     } else if (field === 'slug') {
       message = 'Course with this title already exists';
+    } else if (field === 'code') {
+      message = 'Code already exists';
     }
     
     error = {
@@ -27,6 +27,8 @@ const storage = multer.diskStorage({
       uploadPath += 'payments/';
     } else if (file.fieldname === 'image') {
       uploadPath += 'forum/';
+    } else if (file.fieldname === 'questions' || file.fieldname === 'answerSheets') {
+      uploadPath += 'imports/';
     } else {
       uploadPath += 'misc/';
     }
@@ -53,7 +55,9 @@ const fileFilter = (req, file, cb) => {
     syllabus: /pdf/,
     material: /pdf|doc|docx|ppt|pptx|mp4|avi|mov/,
     screenshot: /jpeg|jpg|png|pdf/,
-    image: /jpeg|jpg|png|gif/
+    image: /jpeg|jpg|png|gif/,
+    questions: /csv|json|gift|txt|plain|octet-stream|ms-excel/,
+    answerSheets: /csv|plain|octet-stream|ms-excel/
   };
   
   const fieldName = file.fieldname;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const bundleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Bundle title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    default: ''
+  },
+  courses: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    validate: {
+      validator: courses => courses.length >= 2,
+      message: 'A bundle needs at least two courses'
+    }
+  },
+  // Combined price paid for every course in the bundle
+  price: {
+    type: Number,
+    required: [true, 'Bundle price is required'],
+    min: [1, 'Bundle price must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+bundleSchema.index({ createdBy: 1 });
+bundleSchema.index({ courses: 1 });
+bundleSchema.index({ isPublished: 1 });
+
+// Method to get the total price of the courses bought separately
+// (courses must be populated with their price)
+bundleSchema.methods.getCoursesPrice = function() {
+  return this.courses.reduce((total, course) => total + (course.price || 0), 0);
+};
+
+// Method to get the bundle price for some of its courses, pro-rated by what
+// those courses cost separately (courses must be populated with their price)
+bundleSchema.methods.getPriceFor = function(courseIds) {
+  const ids = courseIds.map(courseId => courseId.toString());
+  const courses = this.courses.filter(course => ids.includes(course._id.toString()));
+
+  if (courses.length === this.courses.length) return this.price;
+
+  const coursesPrice = this.getCoursesPrice();
+  const share = coursesPrice > 0
+    ? courses.reduce((total, course) => total + (course.price || 0), 0) / coursesPrice
+    : courses.length / this.courses.length;
+
+  return Math.round(this.price * share * 100) / 100;
+};
+
+module.exports = mongoose.model('Bundle', bundleSchema);
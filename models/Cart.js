@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const cartSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Each item is a course or a bundle
+  items: [{
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      default: null
+    },
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bundle',
+      default: null
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+cartSchema.index({ student: 1 }, { unique: true });
+
+// Static method to get a student's cart, creating it on first use
+cartSchema.statics.findOrCreate = async function(studentId) {
+  const cart = await this.findOne({ student: studentId });
+  if (cart) return cart;
+
+  return this.create({ student: studentId });
+};
+
+// Static method to take courses and bundles a student has bought out of their cart
+cartSchema.statics.removePurchased = function(studentId, { courseIds = [], bundleIds = [] }) {
+  return this.updateOne({ student: studentId }, {
+    $pull: {
+      items: {
+        $or: [
+          { course: { $in: courseIds } },
+          { bundle: { $in: bundleIds } }
+        ]
+      }
+    }
+  });
+};
+
+// Method to find the item for a course or bundle
+cartSchema.methods.findItem = function(courseId, bundleId) {
+  return this.items.find(item => (courseId
+    ? item.course && item.course.toString() === courseId.toString()
+    : item.bundle && item.bundle.toString() === bundleId.toString()));
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
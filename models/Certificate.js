@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const certificateSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Printed on the certificate, e.g. CERT-2026-7F3A9C1D
+  serial: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Signature over the certificate details, used in verification links
+  verificationCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Names as they were when the certificate was issued
+  studentName: {
+    type: String,
+    required: true
+  },
+  courseTitle: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+certificateSchema.index({ student: 1, course: 1 }, { unique: true });
+
+const getSecret = () => process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET;
+
+// Sign the details printed on a certificate
+const sign = ({ serial, student, course, studentName, courseTitle, issuedAt }) => crypto
+  .createHmac('sha256', getSecret())
+  .update([serial, student, course, studentName, courseTitle, new Date(issuedAt).toISOString()].join('|'))
+  .digest('base64url')
+  .slice(0, 24);
+
+// Method to check the certificate details still match its verification code
+certificateSchema.methods.isAuthentic = function() {
+  const expected = Buffer.from(sign(this));
+  const actual = Buffer.from(this.verificationCode);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Static method to issue a certificate when a student has completed a course.
+// Returns { certificate, created }; certificate is null when the course is not complete.
+certificateSchema.statics.issueIfComplete = async function(studentId, courseId) {
+  const existing = await this.findOne({ student: studentId, course: courseId });
+  if (existing) {
+    return { certificate: existing, created: false };
+  }
+
+  const completion = await mongoose.model('Progress').getCompletion([studentId], [courseId]);
+  const courseCompletion = completion[`${studentId}:${courseId}`];
+
+  if (!courseCompletion || courseCompletion.totalItems === 0 || courseCompletion.percentage < 100) {
+    return { certificate: null, created: false };
+  }
+
+  const [student, course] = await Promise.all([
+    mongoose.model('User').findById(studentId).select('name'),
+    mongoose.model('Course').findById(courseId).select('title')
+  ]);
+
+  const details = {
+    serial: `CERT-${new Date().getFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    student: student._id.toString(),
+    course: course._id.toString(),
+    studentName: student.name,
+    courseTitle: course.title,
+    issuedAt: new Date()
+  };
+
+  try {
+    const certificate = await this.create({
+      ...details,
+      verificationCode: sign(details)
+    });
+
+    return { certificate, created: true };
+  } catch (error) {
+    // Another request issued it first
+    if (error.code === 11000) {
+      return { certificate: await this.findOne({ student: studentId, course: courseId }), created: false };
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Certificate', certificateSchema);
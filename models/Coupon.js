@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+
+// How long an unpaid online checkout keeps a coupon use reserved
+const PENDING_HOLD_MINUTES = 30;
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Coupon code cannot exceed 20 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Global coupons apply to every course, course coupons only to listed courses
+  scope: {
+    type: String,
+    enum: ['global', 'course'],
+    default: 'course'
+  },
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  // Usage caps (null means unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  // Uses held by payments: taken at checkout and given back when the payment is
+  // cancelled, rejected or refunded in full
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Used count cannot be negative']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per user limit must be at least 1']
+  },
+  minAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum amount cannot be negative']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponSchema.index({ code: 1 });
+couponSchema.index({ createdBy: 1 });
+couponSchema.index({ courses: 1 });
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Check the discount value against the type on every save, so changing only the
+// type of a flat coupon cannot turn its value into a percentage above 100
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100', this.discountValue);
+  }
+  next();
+});
+
+// Check if coupon is currently usable
+couponSchema.methods.isValid = function() {
+  if (!this.isActive) return false;
+  if (this.expiresAt && this.expiresAt < new Date()) return false;
+  return true;
+};
+
+// Check if coupon applies to a course
+couponSchema.methods.appliesToCourse = function(courseId) {
+  if (this.scope === 'global') return true;
+  return this.courses.some(course => course.toString() === courseId.toString());
+};
+
+// Calculate discount for an amount
+couponSchema.methods.calculateDiscount = function(amount) {
+  let discount = this.discountType === 'percentage'
+    ? (amount * this.discountValue) / 100
+    : this.discountValue;
+
+  if (this.maxDiscount !== null && discount > this.maxDiscount) {
+    discount = this.maxDiscount;
+  }
+
+  return Math.min(Math.round(discount * 100) / 100, amount);
+};
+
+// Count a student's payments that used this coupon: completed ones, and those
+// still holding a use (pending offline payments until they are reviewed, and
+// online checkouts until they are paid or their hold lapses)
+couponSchema.methods.getRedemptionCount = function(studentId) {
+  return mongoose.model('Payment').countDocuments({
+    coupon: this._id,
+    student: studentId,
+    $or: [
+      { status: 'completed' },
+      { couponHeld: true }
+    ]
+  });
+};
+
+// Cancel online checkouts that hold a use of this coupon without being paid,
+// and give their uses back: any older than PENDING_HOLD_MINUTES, and the
+// student's own failed ones, which they are about to retry. A cancelled order
+// that is still paid is flagged for a refund and does not enroll.
+couponSchema.methods.releaseLapsedHolds = async function(studentId) {
+  const Payment = mongoose.model('Payment');
+
+  const lapsed = await Payment.find({
+    coupon: this._id,
+    couponHeld: true,
+    paymentMethod: 'online',
+    status: { $in: ['pending', 'failed'] },
+    $or: [
+      { createdAt: { $lt: new Date(Date.now() - PENDING_HOLD_MINUTES * 60 * 1000) } },
+      { student: studentId, status: 'failed' }
+    ]
+  });
+
+  for (const payment of lapsed) {
+    // Skip checkouts that were paid in the meantime
+    const result = await Payment.updateOne({ _id: payment._id, status: payment.status }, { status: 'cancelled' });
+    if (result.modifiedCount === 1) {
+      await payment.releaseCoupon();
+    }
+  }
+};
+
+// Static method to take one use of a coupon. The usage limit is checked in the
+// same update, so concurrent checkouts cannot go over it. Returns false when
+// no use is left.
+couponSchema.statics.reserve = async function(couponId) {
+  const result = await this.updateOne(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Static method to give back a use taken by reserve
+couponSchema.statics.release = function(couponId) {
+  return this.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
\ No newline at end of file
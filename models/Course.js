@@ -1,5 +1,119 @@
 const mongoose = require('mongoose');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Drip rules: content unlocks a number of days after enrollment and/or once
+// the student has passed a test in the course
+const dripSchema = new mongoose.Schema({
+  afterDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Days cannot be negative']
+  },
+  afterPassingTest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    default: null
+  }
+}, { _id: false });
+
+const lessonSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Lesson title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Text content of the lesson
+  content: {
+    type: String,
+    default: ''
+  },
+  // IDs of entries in the course's materials
+  materials: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    default: null
+  },
+  duration: {
+    type: Number, // estimated, in minutes
+    default: 0,
+    min: [0, 'Duration cannot be negative']
+  },
+  drip: {
+    type: dripSchema,
+    default: () => ({})
+  }
+});
+
+const moduleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Module title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  lessons: [lessonSchema],
+  drip: {
+    type: dripSchema,
+    default: () => ({})
+  }
+});
+
+// Installment (EMI) plan: the total is split into equal installments paid at
+// a fixed interval, with a grace period before access is suspended
+const installmentPlanSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Plan title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  installmentCount: {
+    type: Number,
+    required: [true, 'Number of installments is required'],
+    min: [2, 'A plan needs at least 2 installments'],
+    max: [12, 'A plan cannot have more than 12 installments']
+  },
+  intervalDays: {
+    type: Number,
+    default: 30,
+    min: [1, 'Interval must be at least 1 day']
+  },
+  // Total paid over all installments (can be more than the course price)
+  totalAmount: {
+    type: Number,
+    required: [true, 'Plan total is required'],
+    min: [1, 'Plan total must be at least 1']
+  },
+  gracePeriodDays: {
+    type: Number,
+    default: 7,
+    min: [0, 'Grace period cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Split the total into installments; the last one takes the rounding difference
+installmentPlanSchema.methods.getInstallmentAmounts = function() {
+  const amount = Math.floor((this.totalAmount / this.installmentCount) * 100) / 100;
+  const amounts = Array(this.installmentCount).fill(amount);
+
+  amounts[amounts.length - 1] = Math.round((this.totalAmount - amount * (this.installmentCount - 1)) * 100) / 100;
+  return amounts;
+};
+
 const courseSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -83,8 +197,16 @@ const courseSchema = new mongoose.Schema({
     order: {
       type: Number,
       default: 0
+    },
+    // Free preview materials are visible without enrolling
+    isPreview: {
+      type: Boolean,
+      default: false
     }
   }],
+  // Curriculum: modules of lessons, in display order
+  modules: [moduleSchema],
+  installmentPlans: [installmentPlanSchema],
   tags: [{
     type: String,
     trim: true
@@ -178,7 +300,8 @@ courseSchema.methods.canUserAccess = function(user) {
   if (!user) return false;
   
   // SuperAdmin and course instructor can always access
-  if (user.role === 'superadmin' || this.instructor.toString() === user._id.toString()) {
+  const instructorId = this.instructor._id || this.instructor;
+  if (user.role === 'superadmin' || instructorId.toString() === user._id.toString()) {
     return true;
   }
   
@@ -190,4 +313,154 @@ courseSchema.methods.canUserAccess = function(user) {
   return false;
 };
 
+// Method to find a lesson anywhere in the curriculum
+courseSchema.methods.findLesson = function(lessonId) {
+  for (const courseModule of this.modules) {
+    const lesson = courseModule.lessons.id(lessonId);
+    if (lesson) return { courseModule, lesson };
+  }
+  return null;
+};
+
+// Method to remove a deleted test from lessons and drip rules
+courseSchema.methods.detachTest = function(testId) {
+  const matches = (id) => id && id.toString() === testId.toString();
+
+  this.modules.forEach(courseModule => {
+    if (matches(courseModule.drip.afterPassingTest)) courseModule.drip.afterPassingTest = null;
+
+    courseModule.lessons.forEach(lesson => {
+      if (matches(lesson.test)) lesson.test = null;
+      if (matches(lesson.drip.afterPassingTest)) lesson.drip.afterPassingTest = null;
+    });
+  });
+};
+
+// Method to get the curriculum outline (titles and durations only)
+courseSchema.methods.getOutline = function() {
+  return this.modules.map(courseModule => ({
+    _id: courseModule._id,
+    title: courseModule.title,
+    description: courseModule.description,
+    duration: courseModule.lessons.reduce((total, lesson) => total + lesson.duration, 0),
+    lessons: courseModule.lessons.map(lesson => ({
+      _id: lesson._id,
+      title: lesson.title,
+      duration: lesson.duration,
+      hasTest: !!lesson.test,
+      materialCount: lesson.materials.length,
+      previewMaterials: lesson.materials
+        .map(id => this.materials.id(id))
+        .filter(material => material && material.isPreview)
+    }))
+  }));
+};
+
+// Check a drip rule against a student's progress.
+// Returns null when unlocked, otherwise what the student is waiting for.
+const getDripLock = (drip, { enrolledAt, passedTestIds }) => {
+  if (!drip) return null;
+
+  const lock = {};
+
+  if (drip.afterDays > 0) {
+    const unlocksAt = new Date(new Date(enrolledAt).getTime() + drip.afterDays * DAY_MS);
+    if (unlocksAt > new Date()) {
+      lock.unlocksAt = unlocksAt;
+    }
+  }
+
+  if (drip.afterPassingTest && !passedTestIds.includes(drip.afterPassingTest.toString())) {
+    lock.requiredTest = drip.afterPassingTest;
+  }
+
+  return Object.keys(lock).length > 0 ? lock : null;
+};
+
+// Method to get the full curriculum. Pass a student's progress
+// ({ enrolledAt, passedTestIds }) to apply drip rules: locked lessons keep
+// only their outline.
+courseSchema.methods.getCurriculum = function(progress = null) {
+  return this.modules.map(courseModule => {
+    const moduleLock = progress ? getDripLock(courseModule.drip, progress) : null;
+
+    return {
+      _id: courseModule._id,
+      title: courseModule.title,
+      description: courseModule.description,
+      drip: courseModule.drip,
+      duration: courseModule.lessons.reduce((total, lesson) => total + lesson.duration, 0),
+      isLocked: !!moduleLock,
+      lock: moduleLock,
+      lessons: courseModule.lessons.map(lesson => {
+        const lock = moduleLock || (progress ? getDripLock(lesson.drip, progress) : null);
+        const outline = {
+          _id: lesson._id,
+          title: lesson.title,
+          duration: lesson.duration,
+          drip: lesson.drip,
+          isLocked: !!lock,
+          lock
+        };
+
+        if (lock) return outline;
+
+        return {
+          ...outline,
+          content: lesson.content,
+          materials: lesson.materials.map(id => this.materials.id(id)).filter(Boolean),
+          test: lesson.test
+        };
+      })
+    };
+  });
+};
+
+// Method to load what drip rules check for an enrolled student: when they
+// enrolled and which tests of this course they have passed
+courseSchema.methods.getDripProgress = async function(user) {
+  const enrollment = user.enrolledCourses.find(
+    entry => entry.course.toString() === this._id.toString() && entry.paymentStatus === 'completed'
+  );
+
+  const passedTestIds = await mongoose.model('TestResult').find({
+    student: user._id,
+    course: this._id,
+    isPassed: true,
+    status: { $in: ['completed', 'timeout'] }
+  }).distinct('test');
+
+  return {
+    enrolledAt: enrollment ? enrollment.enrolledAt : new Date(),
+    passedTestIds: passedTestIds.map(id => id.toString())
+  };
+};
+
+// Method to get the IDs of the lessons, materials and tests drip rules still
+// hold back for a student's progress. Materials and tests that an unlocked
+// lesson also uses stay available.
+courseSchema.methods.getLockedItems = function(progress) {
+  const locked = { lessonIds: new Set(), materialIds: new Set(), testIds: new Set() };
+  const unlocked = { materialIds: new Set(), testIds: new Set() };
+
+  this.modules.forEach(courseModule => {
+    const moduleLock = getDripLock(courseModule.drip, progress);
+
+    courseModule.lessons.forEach(lesson => {
+      const isLocked = !!(moduleLock || getDripLock(lesson.drip, progress));
+      const target = isLocked ? locked : unlocked;
+
+      if (isLocked) locked.lessonIds.add(lesson._id.toString());
+      lesson.materials.forEach(id => target.materialIds.add(id.toString()));
+      if (lesson.test) target.testIds.add(lesson.test.toString());
+    });
+  });
+
+  return {
+    lessonIds: [...locked.lessonIds],
+    materialIds: [...locked.materialIds].filter(id => !unlocked.materialIds.has(id)),
+    testIds: [...locked.testIds].filter(id => !unlocked.testIds.has(id))
+  };
+};
+
 module.exports = mongoose.model('Course', courseSchema);
\ No newline at end of file
@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  // Services Accounting Code for the coaching service
+  sacCode: {
+    type: String,
+    default: null
+  },
+  // List price and coupon discount, both including GST
+  price: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A tax invoice for a completed payment, or a credit note for one of its
+// refunds. Seller and buyer details are copied when the document is issued.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  // Sequential per financial year, e.g. INV/2026-27/00042 or CN/2026-27/00003.
+  // Set right after the document has claimed its payment or refund.
+  number: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Set while a request is numbering the document, so that only one request
+  // takes a sequence number for it
+  numberingAt: {
+    type: Date,
+    default: null
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Credit notes only: the invoice being credited and the payment's refund entry
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  seller: {
+    name: String,
+    address: String,
+    gstin: String,
+    state: String,
+    stateCode: String
+  },
+  buyer: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  lines: [invoiceLineSchema],
+  gstRate: {
+    type: Number,
+    required: true
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['online', 'offline'],
+    required: true
+  },
+  // Razorpay payment ID or bank transaction ID
+  paymentReference: {
+    type: String,
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ payment: 1, type: 1 });
+invoiceSchema.index({ student: 1 });
+// One invoice per payment and one credit note per refund
+invoiceSchema.index({ payment: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ refund: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const getGstRate = () => {
+  const rate = parseFloat(process.env.INVOICE_GST_RATE);
+  return Number.isNaN(rate) ? 18 : rate;
+};
+
+const getSeller = () => ({
+  name: process.env.INSTITUTE_NAME || process.env.FROM_NAME || 'Coaching Platform',
+  address: process.env.INSTITUTE_ADDRESS || '',
+  gstin: process.env.INSTITUTE_GSTIN || '',
+  state: process.env.INSTITUTE_STATE || '',
+  stateCode: process.env.INSTITUTE_STATE_CODE || ''
+});
+
+// Indian financial years run from April to March, e.g. 2026-27
+const getFinancialYear = (date) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Split an amount that includes GST into its taxable value and CGST/SGST.
+// Students are billed at the institute's place of supply, so GST is always
+// intra-state.
+const buildLine = ({ description, price = 0, discountAmount = 0, amount }, gstRate) => {
+  const taxableAmount = round(amount / (1 + gstRate / 100));
+  const tax = round(amount - taxableAmount);
+  const cgstAmount = round(tax / 2);
+
+  return {
+    description,
+    sacCode: process.env.INVOICE_SAC_CODE || '999293',
+    price,
+    discountAmount,
+    taxableAmount,
+    cgstAmount,
+    sgstAmount: round(tax - cgstAmount),
+    totalAmount: amount
+  };
+};
+
+const sumLines = (lines, field) => round(lines.reduce((total, line) => total + line[field], 0));
+
+// Name of what a single course or bundle payment bought, as it was at checkout
+const getPaymentDescription = async (payment) => {
+  const metadata = payment.metadata || {};
+  if (metadata.courseName || metadata.bundleName) {
+    return metadata.courseName || metadata.bundleName;
+  }
+
+  const model = payment.bundle ? 'Bundle' : 'Course';
+  const itemId = payment.bundle || payment.course;
+  const item = await mongoose.model(model).findById(itemId._id || itemId).select('title');
+  return item ? item.title : model;
+};
+
+// A numbering lock older than this belongs to a request that died before
+// setting the number, and can be taken over
+const NUMBERING_TIMEOUT_MS = 60 * 1000;
+
+// Give a claimed invoice or credit note the next number in its sequence. The
+// document is locked first, so a sequence number is only taken by the request
+// that holds the lock. Returns the document as it is afterwards, which is
+// still unnumbered if another request holds the lock.
+async function assignNumber(Invoice, document) {
+  if (document.number) return document;
+
+  const lockedAt = new Date();
+  const locked = await Invoice.findOneAndUpdate(
+    {
+      _id: document._id,
+      number: { $exists: false },
+      $or: [
+        { numberingAt: null },
+        { numberingAt: { $lt: new Date(lockedAt.getTime() - NUMBERING_TIMEOUT_MS) } }
+      ]
+    },
+    { numberingAt: lockedAt },
+    { new: true }
+  );
+
+  if (!locked) {
+    return Invoice.findById(document._id);
+  }
+
+  const prefix = document.type === 'invoice' ? 'INV' : 'CN';
+  const financialYear = getFinancialYear(document.issuedAt);
+  const sequence = await Counter.next(`${prefix}/${financialYear}`);
+
+  return await Invoice.findOneAndUpdate(
+    { _id: document._id, numberingAt: lockedAt },
+    { number: `${prefix}/${financialYear}/${String(sequence).padStart(5, '0')}`, numberingAt: null },
+    { new: true }
+  ) || Invoice.findById(document._id);
+}
+
+// Find the invoice or credit note matching a filter, numbering it if the
+// request that created it never did
+async function findIssued(Invoice, filter) {
+  const document = await Invoice.findOne(filter);
+  return document && assignNumber(Invoice, document);
+}
+
+// Create an invoice or credit note. The payment or refund is claimed first
+// (one invoice per payment, one credit note per refund), so a sequence number
+// is only taken once the document exists. Numbers are only skipped when a
+// request dies between taking one and setting it.
+async function createDocument(Invoice, type, payment, details) {
+  const student = await mongoose.model('User')
+    .findById(payment.student._id || payment.student)
+    .select('name email phone');
+
+  const gstRate = getGstRate();
+  const lines = details.lines.map(line => buildLine(line, gstRate));
+
+  const document = await Invoice.create({
+    ...details,
+    type,
+    payment: payment._id,
+    student: student._id,
+    seller: getSeller(),
+    buyer: {
+      name: student.name,
+      email: student.email,
+      phone: student.phone || null
+    },
+    lines,
+    gstRate,
+    taxableAmount: sumLines(lines, 'taxableAmount'),
+    cgstAmount: sumLines(lines, 'cgstAmount'),
+    sgstAmount: sumLines(lines, 'sgstAmount'),
+    totalAmount: sumLines(lines, 'totalAmount'),
+    currency: payment.currency,
+    paymentMethod: payment.paymentMethod,
+    paymentReference: payment.razorpayPaymentId || payment.offlineDetails?.transactionId || null
+  });
+
+  return assignNumber(Invoice, document);
+}
+
+// Get the invoice for a payment, creating it on first use. It is still
+// unnumbered while another request numbers it.
+async function getInvoice(Invoice, payment) {
+  const filter = { payment: payment._id, type: 'invoice' };
+
+  const existing = await findIssued(Invoice, filter);
+  if (existing) return existing;
+
+  const lines = payment.items.length > 0
+    ? payment.items.map(item => ({
+      description: item.title,
+      price: item.price,
+      discountAmount: item.discountAmount,
+      amount: item.amount
+    }))
+    : [{
+      description: await getPaymentDescription(payment),
+      price: payment.originalAmount ?? payment.amount,
+      discountAmount: payment.discountAmount,
+      amount: payment.amount
+    }];
+
+  try {
+    return await createDocument(Invoice, 'invoice', payment, { lines });
+  } catch (error) {
+    // Another request claimed the payment first
+    if (error.code === 11000) {
+      return findIssued(Invoice, filter);
+    }
+    throw error;
+  }
+}
+
+// Static method to split a GST-inclusive amount into an invoice line
+invoiceSchema.statics.buildLine = buildLine;
+
+// Static method to get the invoice for a completed payment, issuing it on first
+// use. Returns null while another request is still numbering it.
+invoiceSchema.statics.issueForPayment = async function(payment) {
+  const invoice = await getInvoice(this, payment);
+  return invoice.number ? invoice : null;
+};
+
+// Static method to get the credit note for one of a payment's refunds, issuing
+// it on first use. Returns null while it or its invoice is still being numbered.
+invoiceSchema.statics.issueCreditNote = async function(payment, refund) {
+  const filter = { refund: refund._id, type: 'credit_note' };
+
+  let creditNote = await findIssued(this, filter);
+
+  if (!creditNote) {
+    const invoice = await getInvoice(this, payment);
+    const item = refund.item ? payment.items.id(refund.item) : null;
+
+    const lines = [{
+      description: item ? item.title : invoice.lines.map(line => line.description).join(', '),
+      amount: refund.amount
+    }];
+
+    try {
+      creditNote = await createDocument(this, 'credit_note', payment, {
+        lines,
+        invoice: invoice._id,
+        refund: refund._id,
+        reason: refund.reason
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      creditNote = await findIssued(this, filter);
+    }
+  }
+
+  // The credited invoice's number is printed on the credit note
+  await creditNote.populate('invoice', 'number');
+  return creditNote.number && creditNote.invoice.number ? creditNote : null;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
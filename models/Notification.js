@@ -230,6 +230,33 @@ notificationSchema.statics.getForUser = function(userId, options = {}) {
     .limit(limit);
 };
 
+// Static method to send an in-app notification to specific users
+notificationSchema.statics.notifyUsers = function(userIds, options) {
+  const {
+    title,
+    message,
+    createdBy,
+    type = 'info',
+    priority = 'medium',
+    actionButton,
+    metadata = {}
+  } = options;
+
+  return this.create({
+    title,
+    message,
+    type,
+    createdBy,
+    targetType: 'specific_user',
+    targetUsers: userIds,
+    priority,
+    actionButton,
+    metadata,
+    isSent: true,
+    sentAt: new Date()
+  });
+};
+
 // Method to mark as sent
 notificationSchema.methods.markAsSent = function() {
   this.isSent = true;
@@ -1,15 +1,90 @@
 const mongoose = require('mongoose');
 
+// One course or bundle bought through a cart checkout
+const lineItemSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  bundle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bundle',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  // List price before the coupon discount
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // What the student paid for this item
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  // Courses this item enrolled the student in
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  isRefunded: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const paymentSchema = new mongoose.Schema({
   student: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Single course purchase
   course: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course',
-    required: true
+    required: function() {
+      return !this.bundle && this.items.length === 0;
+    },
+    default: null
+  },
+  // Bundle purchase
+  bundle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bundle',
+    default: null
+  },
+  // Courses a bundle purchase enrolls the student in, kept so later bundle
+  // edits do not change what was bought
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  // Cart checkout: every course and bundle bought in one order
+  items: [lineItemSchema],
+  // Installment of a payment plan
+  paymentPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentPlan',
+    default: null
+  },
+  installmentNumber: {
+    type: Number,
+    default: null
   },
   amount: {
     type: Number,
@@ -30,6 +105,29 @@ const paymentSchema = new mongoose.Schema({
     enum: ['pending', 'completed', 'failed', 'refunded', 'cancelled'],
     default: 'pending'
   },
+  // Coupon applied at checkout
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
+  couponCode: {
+    type: String,
+    default: null
+  },
+  // Whether the payment holds one of the coupon's uses (see Coupon.reserve)
+  couponHeld: {
+    type: Boolean,
+    default: false
+  },
+  originalAmount: {
+    type: Number,
+    default: null
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
   // Online payment fields (Razorpay)
   razorpayOrderId: {
     type: String,
@@ -111,7 +209,62 @@ const paymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
-  }
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Refund amount cannot be negative']
+    },
+    method: {
+      type: String,
+      enum: ['razorpay', 'manual'],
+      required: true
+    },
+    razorpayRefundId: {
+      type: String,
+      default: null
+    },
+    // Line item the refund is for (cart payments only)
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Razorpay refunds stay pending until Razorpay has accepted them
+    status: {
+      type: String,
+      enum: ['pending', 'processed'],
+      default: 'processed'
+    },
+    processedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Razorpay webhook events already applied to this payment
+  webhookEvents: [{
+    eventId: {
+      type: String,
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -119,15 +272,58 @@ const paymentSchema = new mongoose.Schema({
 // Indexes
 paymentSchema.index({ student: 1 });
 paymentSchema.index({ course: 1 });
+paymentSchema.index({ bundle: 1 });
+paymentSchema.index({ courses: 1 });
+paymentSchema.index({ 'items.course': 1 });
+paymentSchema.index({ 'items.bundle': 1 });
+paymentSchema.index({ paymentPlan: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ paymentMethod: 1 });
+paymentSchema.index({ coupon: 1 });
 paymentSchema.index({ razorpayOrderId: 1 });
 paymentSchema.index({ razorpayPaymentId: 1 });
+paymentSchema.index({ 'refunds.razorpayRefundId': 1 });
 paymentSchema.index({ createdAt: -1 });
 
 // Compound index for unique payment per student per course
 paymentSchema.index({ student: 1, course: 1, status: 1 });
 
+// Method to get the IDs of every course this payment enrolls the student in
+paymentSchema.methods.getCourseIds = function() {
+  if (this.items.length > 0) {
+    return this.items.flatMap(item => item.courses.map(course => course._id || course));
+  }
+  if (this.bundle) {
+    return this.courses.map(course => course._id || course);
+  }
+  return [this.course._id || this.course];
+};
+
+// Method to get the IDs of the courses the student still has access to through
+// this payment (line items refunded in full no longer count)
+paymentSchema.methods.getActiveCourseIds = function() {
+  if (this.status !== 'completed') return [];
+  if (this.items.length === 0) return this.getCourseIds();
+
+  return this.items
+    .filter(item => !item.isRefunded)
+    .flatMap(item => item.courses.map(course => course._id || course));
+};
+
+// Method to check if the student paid this order after it was cancelled. Such
+// payments never enroll and are refunded by an admin.
+paymentSchema.methods.isPaidAfterCancellation = function() {
+  return this.status !== 'completed' && !!(this.metadata && this.metadata.paidAfterCancellation);
+};
+
+// Method to get the name of what was bought (course or bundle must be populated)
+paymentSchema.methods.getItemTitle = function() {
+  if (this.items.length > 0) {
+    return this.items.map(item => item.title).join(', ');
+  }
+  return this.bundle ? this.bundle.title : this.course.title;
+};
+
 // Method to approve offline payment
 paymentSchema.methods.approve = function(adminId) {
   this.status = 'completed';
@@ -145,16 +341,137 @@ paymentSchema.methods.reject = function(adminId, reason) {
   return this.save();
 };
 
-// Method to process refund
-paymentSchema.methods.processRefund = function(adminId, amount, reason) {
-  this.status = 'refunded';
-  this.refundAmount = amount || this.amount;
-  this.refundReason = reason;
-  this.refundedBy = adminId;
-  this.refundedAt = new Date();
+// Method to give back the coupon use the payment holds. The flag is cleared in
+// the same update that checks it, so the use is only given back once.
+paymentSchema.methods.releaseCoupon = async function() {
+  if (!this.couponHeld) return;
+
+  const result = await this.constructor.updateOne({ _id: this._id, couponHeld: true }, { couponHeld: false });
+  this.couponHeld = false;
+
+  if (result.modifiedCount === 1) {
+    await mongoose.model('Coupon').release(this.coupon._id || this.coupon);
+  }
+};
+
+// Static method to give back the coupon uses held by payments matching a filter
+paymentSchema.statics.releaseCoupons = async function(filter) {
+  const payments = await this.find({ ...filter, couponHeld: true });
+
+  for (const payment of payments) {
+    await payment.releaseCoupon();
+  }
+};
+
+// Method to get the amount that can still be refunded
+paymentSchema.methods.getRefundableAmount = function() {
+  return Math.max(this.amount - this.refundAmount, 0);
+};
+
+// Method to check if a Razorpay refund was already recorded
+paymentSchema.methods.hasRefund = function(razorpayRefundId) {
+  return this.refunds.some(refund => refund.razorpayRefundId === razorpayRefundId);
+};
+
+// Method to get the amount that can still be refunded for a line item
+paymentSchema.methods.getItemRefundableAmount = function(item) {
+  return Math.min(Math.max(item.amount - item.refundAmount, 0), this.getRefundableAmount());
+};
+
+// Apply a refund entry to the line item and payment totals
+const applyRefund = (payment, refund) => {
+  const item = refund.item ? payment.items.id(refund.item) : null;
+
+  if (item) {
+    item.refundAmount += refund.amount;
+    item.isRefunded = item.refundAmount >= item.amount;
+  }
+
+  payment.refundAmount += refund.amount;
+  payment.refundReason = refund.reason;
+  payment.refundedBy = refund.processedBy;
+  payment.refundedAt = new Date();
+
+  if (payment.refundAmount >= payment.amount) {
+    payment.status = 'refunded';
+  }
+};
+
+// Build a refund entry (full refund when no amount is given)
+const buildRefund = (payment, adminId, amount, reason, details) => {
+  const item = details.itemId ? payment.items.id(details.itemId) : null;
+
+  return {
+    amount: amount || (item ? payment.getItemRefundableAmount(item) : payment.getRefundableAmount()),
+    method: details.method || 'manual',
+    razorpayRefundId: details.razorpayRefundId || null,
+    item: item ? item._id : null,
+    reason,
+    processedBy: adminId
+  };
+};
+
+// Method to process refund (full refund when no amount is given).
+// With details.itemId the refund is for one line item of a cart payment.
+paymentSchema.methods.processRefund = function(adminId, amount, reason, details = {}) {
+  this.refunds.push(buildRefund(this, adminId, amount, reason, details));
+  applyRefund(this, this.refunds[this.refunds.length - 1]);
+
   return this.save();
 };
 
+// Method to record a Razorpay refund before asking Razorpay for it. The
+// pending entry is applied by completeRefund, from the refund route or the
+// refund.processed webhook, whichever comes first.
+paymentSchema.methods.startRefund = async function(adminId, amount, reason, details = {}) {
+  this.refunds.push({
+    ...buildRefund(this, adminId, amount, reason, { ...details, method: 'razorpay' }),
+    status: 'pending'
+  });
+  await this.save();
+
+  return this.refunds[this.refunds.length - 1];
+};
+
+// Method to drop a pending refund that Razorpay rejected
+paymentSchema.methods.cancelRefund = function(refund) {
+  this.refunds.pull(refund._id);
+  return this.save();
+};
+
+// Method to apply a pending refund once Razorpay has accepted it. The entry
+// is claimed with a conditional update so its totals are saved only once;
+// returns false when the other caller claimed it first (this document is
+// still brought up to date).
+paymentSchema.methods.completeRefund = async function(refund, razorpayRefundId) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, refunds: { $elemMatch: { _id: refund._id, status: 'pending' } } },
+    { $set: { 'refunds.$.status': 'processed', 'refunds.$.razorpayRefundId': razorpayRefundId } }
+  );
+
+  refund.status = 'processed';
+  refund.razorpayRefundId = razorpayRefundId;
+  applyRefund(this, refund);
+
+  if (result.modifiedCount === 0) return false;
+
+  await this.save();
+  return true;
+};
+
+// Method to check if a webhook event was already applied
+paymentSchema.methods.hasProcessedEvent = function(eventId) {
+  if (!eventId) return false;
+  return this.webhookEvents.some(webhookEvent => webhookEvent.eventId === eventId);
+};
+
+// Method to record a processed webhook event
+paymentSchema.methods.recordEvent = function(eventId, event) {
+  if (eventId) {
+    this.webhookEvents.push({ eventId, event });
+  }
+};
+
 // Static method to get revenue stats
 paymentSchema.statics.getRevenueStats = function(startDate, endDate) {
   const matchStage = {
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const installmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['due', 'paid'],
+    default: 'due'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// A student's installment schedule for one course. The plan terms are copied
+// from the course so later changes to the course's plans do not affect it.
+const paymentPlanSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // ID of the installment plan on the course
+  installmentPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  intervalDays: {
+    type: Number,
+    required: true
+  },
+  gracePeriodDays: {
+    type: Number,
+    required: true
+  },
+  installments: [installmentSchema],
+  // pending until the first installment is paid
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'suspended', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  activatedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentPlanSchema.index({ student: 1, course: 1 });
+paymentPlanSchema.index({ status: 1, 'installments.dueDate': 1 });
+
+// Static method to start a plan for a student, replacing any earlier plan for
+// the course whose first installment was never paid
+paymentPlanSchema.statics.start = async function(studentId, course, installmentPlan) {
+  await this.updateMany(
+    { student: studentId, course: course._id, status: 'pending' },
+    { status: 'cancelled', cancelledAt: new Date() }
+  );
+
+  const now = Date.now();
+
+  return this.create({
+    student: studentId,
+    course: course._id,
+    installmentPlan: installmentPlan._id,
+    title: installmentPlan.title,
+    totalAmount: installmentPlan.totalAmount,
+    intervalDays: installmentPlan.intervalDays,
+    gracePeriodDays: installmentPlan.gracePeriodDays,
+    installments: installmentPlan.getInstallmentAmounts().map((amount, index) => ({
+      number: index + 1,
+      amount,
+      dueDate: new Date(now + index * installmentPlan.intervalDays * DAY_MS)
+    }))
+  });
+};
+
+// Static method to find the plan a student is paying for a course
+paymentPlanSchema.statics.findCurrent = function(studentId, courseId) {
+  return this.findOne({
+    student: studentId,
+    course: courseId,
+    status: { $in: ['active', 'suspended'] }
+  });
+};
+
+// Method to get the next installment to pay
+paymentPlanSchema.methods.getNextInstallment = function() {
+  return this.installments.find(installment => installment.status === 'due') || null;
+};
+
+// Method to get the first installment past its grace period
+paymentPlanSchema.methods.getOverdueInstallment = function(now = new Date()) {
+  const graceMs = this.gracePeriodDays * DAY_MS;
+
+  return this.installments.find(installment =>
+    installment.status === 'due' && installment.dueDate.getTime() + graceMs < now.getTime()
+  ) || null;
+};
+
+// Method to record a paid installment. Paying the first installment starts the
+// schedule, and a suspended plan becomes active again once nothing is overdue.
+paymentPlanSchema.methods.markInstallmentPaid = function(number, paymentId) {
+  const installment = this.installments.find(entry => entry.number === number);
+  if (!installment || installment.status === 'paid') return;
+
+  const now = new Date();
+
+  installment.status = 'paid';
+  installment.payment = paymentId;
+  installment.paidAt = now;
+
+  if (this.status === 'pending') {
+    this.status = 'active';
+    this.activatedAt = now;
+
+    // Later due dates count from the day the first installment was paid
+    this.installments.forEach((entry, index) => {
+      if (entry.status === 'due') {
+        entry.dueDate = new Date(now.getTime() + index * this.intervalDays * DAY_MS);
+      }
+    });
+  }
+
+  if (!this.getNextInstallment()) {
+    this.status = 'completed';
+    this.completedAt = now;
+  } else if (this.status === 'suspended' && !this.getOverdueInstallment(now)) {
+    this.status = 'active';
+    this.suspendedAt = null;
+  }
+};
+
+// Method to suspend the plan
+paymentPlanSchema.methods.suspend = function() {
+  this.status = 'suspended';
+  this.suspendedAt = new Date();
+};
+
+// Method to get how much is left to pay
+paymentPlanSchema.methods.getBalance = function() {
+  return this.installments
+    .filter(installment => installment.status === 'due')
+    .reduce((total, installment) => total + installment.amount, 0);
+};
+
+module.exports = mongoose.model('PaymentPlan', paymentPlanSchema);
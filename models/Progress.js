@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+
+const progressSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Entries of the course's materials the student has finished
+  completedMaterials: [{
+    _id: false,
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  completedLessons: [{
+    _id: false,
+    lesson: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Where the student stopped in each video
+  videoPositions: [{
+    _id: false,
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    position: {
+      type: Number, // in seconds
+      default: 0,
+      min: 0
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Last item opened, used to resume the course
+  lastAccessed: {
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    lesson: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+progressSchema.index({ student: 1, course: 1 }, { unique: true });
+progressSchema.index({ course: 1 });
+
+// Static method to get a student's progress in a course, creating it on first use
+progressSchema.statics.findOrCreate = async function(studentId, courseId) {
+  const progress = await this.findOne({ student: studentId, course: courseId });
+  return progress || new this({ student: studentId, course: courseId });
+};
+
+// Method to mark a material complete (or not complete)
+progressSchema.methods.setMaterialCompleted = function(materialId, completed = true) {
+  const index = this.completedMaterials.findIndex(entry => entry.material.toString() === materialId.toString());
+
+  if (completed && index === -1) {
+    this.completedMaterials.push({ material: materialId });
+  } else if (!completed && index !== -1) {
+    this.completedMaterials.splice(index, 1);
+  }
+};
+
+// Method to mark a lesson and its materials complete (or not complete)
+progressSchema.methods.setLessonCompleted = function(lesson, completed = true) {
+  const index = this.completedLessons.findIndex(entry => entry.lesson.toString() === lesson._id.toString());
+
+  if (completed && index === -1) {
+    this.completedLessons.push({ lesson: lesson._id });
+  } else if (!completed && index !== -1) {
+    this.completedLessons.splice(index, 1);
+  }
+
+  lesson.materials.forEach(materialId => this.setMaterialCompleted(materialId, completed));
+};
+
+// Method to record the last item opened and, for videos, the watch position
+progressSchema.methods.recordAccess = function({ materialId = null, lessonId = null, position }) {
+  this.lastAccessed = {
+    material: materialId,
+    lesson: lessonId,
+    at: new Date()
+  };
+
+  if (materialId && position !== undefined) {
+    const entry = this.videoPositions.find(item => item.material.toString() === materialId.toString());
+
+    if (entry) {
+      entry.position = position;
+      entry.updatedAt = new Date();
+    } else {
+      this.videoPositions.push({ material: materialId, position });
+    }
+  }
+};
+
+// Method to get the saved watch position for a video
+progressSchema.methods.getVideoPosition = function(materialId) {
+  const entry = this.videoPositions.find(item => item.material.toString() === materialId.toString());
+  return entry ? entry.position : 0;
+};
+
+// Static method to work out course completion for students. The items are
+// the course's materials plus its published tests; a test counts once passed.
+// Returns a map keyed by `${studentId}:${courseId}`.
+progressSchema.statics.getCompletion = async function(studentIds, courseIds) {
+  const students = studentIds.map(id => new mongoose.Types.ObjectId(id));
+  const courseObjectIds = courseIds.map(id => new mongoose.Types.ObjectId(id));
+
+  const [courses, tests, progressDocs, passedTests] = await Promise.all([
+    mongoose.model('Course').find({ _id: { $in: courseObjectIds } }).select('materials'),
+    mongoose.model('Test').find({ course: { $in: courseObjectIds }, isPublished: true }).select('course'),
+    this.find({ student: { $in: students }, course: { $in: courseObjectIds } }),
+    mongoose.model('TestResult').aggregate([
+      {
+        $match: {
+          student: { $in: students },
+          course: { $in: courseObjectIds },
+          isPassed: true,
+          status: { $in: ['completed', 'timeout'] }
+        }
+      },
+      { $group: { _id: { student: '$student', test: '$test' } } }
+    ])
+  ]);
+
+  const completion = {};
+
+  for (const course of courses) {
+    const materialIds = course.materials.map(material => material._id.toString());
+    const testIds = tests
+      .filter(test => test.course.toString() === course._id.toString())
+      .map(test => test._id.toString());
+    const totalItems = materialIds.length + testIds.length;
+
+    for (const studentId of students) {
+      const progress = progressDocs.find(doc =>
+        doc.student.toString() === studentId.toString() && doc.course.toString() === course._id.toString()
+      );
+
+      const completedMaterials = progress
+        ? progress.completedMaterials.filter(entry => materialIds.includes(entry.material.toString())).length
+        : 0;
+      const passed = passedTests.filter(entry =>
+        entry._id.student.toString() === studentId.toString() && testIds.includes(entry._id.test.toString())
+      ).length;
+
+      completion[`${studentId}:${course._id}`] = {
+        completedItems: completedMaterials + passed,
+        totalItems,
+        percentage: totalItems > 0 ? Math.round(((completedMaterials + passed) / totalItems) * 100) : 0,
+        lastAccessedAt: progress ? progress.lastAccessed.at : null
+      };
+    }
+  }
+
+  return completion;
+};
+
+module.exports = mongoose.model('Progress', progressSchema);
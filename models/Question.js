@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { shuffle } = require('../utils/shuffle');
+
+// Fields copied onto a test when a bank question is used
+const CONTENT_FIELDS = [
+  'question',
+  'type',
+  'options',
+  'partialScoring',
+  'numericAnswer',
+  'tolerance',
+  'acceptedAnswers',
+  'caseSensitive',
+  'explanation',
+  'difficulty',
+  'marks',
+  'negativeMarks'
+];
+
+const questionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['single', 'multiple', 'true_false', 'numeric', 'fill_blank'],
+    default: 'single'
+  },
+  options: [{
+    _id: false,
+    text: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  partialScoring: {
+    type: String,
+    enum: ['none', 'partial', 'proportional'],
+    default: 'none'
+  },
+  numericAnswer: {
+    type: Number,
+    default: null
+  },
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tolerance cannot be negative']
+  },
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  explanation: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  marks: {
+    type: Number,
+    default: 1,
+    min: [1, 'Marks must be at least 1']
+  },
+  negativeMarks: {
+    type: Number,
+    default: null,
+    min: [0, 'Negative marks cannot be negative']
+  },
+  // Tags used to search and draw questions
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+questionSchema.index({ subject: 1, topic: 1, difficulty: 1 });
+questionSchema.index({ course: 1 });
+questionSchema.index({ createdBy: 1 });
+questionSchema.index({ tags: 1 });
+questionSchema.index({ question: 'text' });
+
+// Static method to turn a bank question into a test question
+questionSchema.statics.toTestQuestion = function(question, overrides = {}) {
+  const testQuestion = { bankQuestion: question._id };
+
+  CONTENT_FIELDS.forEach(field => {
+    if (question[field] !== undefined) {
+      testQuestion[field] = field === 'options'
+        ? question.options.map(option => ({ text: option.text, isCorrect: option.isCorrect }))
+        : question[field];
+    }
+  });
+
+  return { ...testQuestion, ...overrides };
+};
+
+// Static method to build the filter for questions a user can use
+// (their own questions and questions tagged to courses they teach)
+questionSchema.statics.getAccessFilter = async function(user) {
+  if (user.role === 'superadmin') return {};
+
+  const courseIds = await mongoose.model('Course').find({ instructor: user._id }).distinct('_id');
+
+  return {
+    $or: [
+      { createdBy: user._id },
+      { course: { $in: courseIds } }
+    ]
+  };
+};
+
+// Static method to draw random active questions matching a filter
+questionSchema.statics.drawRandom = async function(filter, count, excludeIds = []) {
+  const candidateIds = await this.find({
+    $and: [filter, { isActive: true, _id: { $nin: excludeIds } }]
+  }).distinct('_id');
+
+  const pickedIds = shuffle(candidateIds).slice(0, count);
+  const questions = await this.find({ _id: { $in: pickedIds } });
+
+  return pickedIds.map(id => questions.find(question => question._id.equals(id)));
+};
+
+module.exports = mongoose.model('Question', questionSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters'],
+    default: ''
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters'],
+    default: ''
+  },
+  // Instructor's public reply
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters'],
+      default: null
+    },
+    repliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    repliedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  reports: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      required: true
+    },
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Hidden reviews are not listed and do not count towards the rating
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  moderation: {
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    moderatedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reviewSchema.index({ course: 1, student: 1 }, { unique: true });
+reviewSchema.index({ course: 1, isHidden: 1, createdAt: -1 });
+
+// Static method to count visible reviews by star rating
+reviewSchema.statics.getRatingBreakdown = async function(courseId) {
+  const counts = await this.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(courseId), isHidden: false } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const breakdown = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  counts.forEach(entry => {
+    breakdown[entry._id] = entry.count;
+  });
+
+  return breakdown;
+};
+
+// Static method to recompute a course's rating from its visible reviews
+reviewSchema.statics.updateCourseRating = async function(courseId) {
+  const [stats] = await this.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(courseId), isHidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Course').findByIdAndUpdate(courseId, {
+    rating: {
+      average: stats ? Math.round(stats.average * 10) / 10 : 0,
+      count: stats ? stats.count : 0
+    }
+  });
+};
+
+// Keep the course rating in step with every change
+reviewSchema.post('save', async function() {
+  await this.constructor.updateCourseRating(this.course._id || this.course);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.updateCourseRating(this.course._id || this.course);
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { createRandom, shuffle, seedFrom } = require('../utils/shuffle');
+
+const QUESTION_TYPES = ['single', 'multiple', 'true_false', 'numeric', 'fill_blank'];
+const CHOICE_TYPES = ['single', 'multiple', 'true_false'];
+const PAPER_SET_CODES = ['A', 'B', 'C', 'D'];
 
 const questionSchema = new mongoose.Schema({
   question: {
@@ -6,6 +11,11 @@ const questionSchema = new mongoose.Schema({
     required: [true, 'Question text is required'],
     trim: true
   },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single'
+  },
   options: [{
     text: {
       type: String,
@@ -17,6 +27,31 @@ const questionSchema = new mongoose.Schema({
       default: false
     }
   }],
+  // Multiple-correct scoring: none (all or nothing), partial (no wrong picks) or proportional (wrong picks cancel right ones)
+  partialScoring: {
+    type: String,
+    enum: ['none', 'partial', 'proportional'],
+    default: 'none'
+  },
+  // Numeric answer questions
+  numericAnswer: {
+    type: Number,
+    default: null
+  },
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tolerance cannot be negative']
+  },
+  // Fill-in-the-blank questions
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
   explanation: {
     type: String,
     trim: true,
@@ -31,9 +66,183 @@ const questionSchema = new mongoose.Schema({
     type: Number,
     default: 1,
     min: [1, 'Marks must be at least 1']
+  },
+  // Question bank entry this question was copied from
+  bankQuestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
+  // Name of the section this question belongs to
+  section: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Marks deducted for a wrong answer (null falls back to the section, then the test)
+  negativeMarks: {
+    type: Number,
+    default: null,
+    min: [0, 'Negative marks cannot be negative']
+  }
+});
+
+const sectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Section name is required'],
+    trim: true,
+    maxlength: [100, 'Section name cannot exceed 100 characters']
+  },
+  // Sections are timed back to back when every section has a time limit
+  timeLimit: {
+    type: Number, // in minutes
+    default: null,
+    min: [1, 'Section time limit must be at least 1 minute']
+  },
+  // Minimum marks needed in this section to pass the test
+  cutoff: {
+    type: Number,
+    default: 0
+  },
+  negativeMarks: {
+    type: Number,
+    default: null,
+    min: [0, 'Negative marks cannot be negative']
+  },
+  totalMarks: {
+    type: Number,
+    default: 0
   }
 });
 
+// Check a value can be read as a finite number
+const isNumeric = (value) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+
+// Normalize free-text answers for comparison
+const normalizeText = (text, caseSensitive) => {
+  const normalized = String(text).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? normalized : normalized.toLowerCase();
+};
+
+// Get selected option IDs from an answer as unique strings
+const getSelectedOptionIds = (answer) => {
+  const selected = answer.selectedOptions && answer.selectedOptions.length > 0
+    ? answer.selectedOptions
+    : [answer.selectedOption].filter(Boolean);
+
+  return [...new Set(selected.map(id => id.toString()))];
+};
+
+// Check that an answer has the right shape for this question
+questionSchema.methods.validateAnswer = function(answer) {
+  switch (this.type) {
+    case 'multiple': {
+      const selected = getSelectedOptionIds(answer);
+      if (selected.length === 0 || selected.some(id => !this.options.id(id))) {
+        return 'Invalid option ID';
+      }
+      return null;
+    }
+
+    case 'numeric':
+      if (!isNumeric(answer.numericAnswer)) {
+        return 'A numeric answer is required';
+      }
+      return null;
+
+    case 'fill_blank':
+      if (typeof answer.textAnswer !== 'string' || !answer.textAnswer.trim()) {
+        return 'A text answer is required';
+      }
+      return null;
+
+    default:
+      if (!answer.selectedOption || !this.options.id(answer.selectedOption)) {
+        return 'Invalid option ID';
+      }
+      return null;
+  }
+};
+
+// Grade an answer, returning the fields stored on the result
+questionSchema.methods.grade = function(answer) {
+  let isCorrect = false;
+  let fraction = 0;
+  const stored = {};
+
+  switch (this.type) {
+    case 'multiple': {
+      const selected = getSelectedOptionIds(answer);
+      const correctIds = this.options.filter(opt => opt.isCorrect).map(opt => opt._id.toString());
+      const correctSelected = selected.filter(id => correctIds.includes(id)).length;
+      const wrongSelected = selected.length - correctSelected;
+
+      isCorrect = correctIds.length > 0 && wrongSelected === 0 && correctSelected === correctIds.length;
+
+      if (isCorrect) {
+        fraction = 1;
+      } else if (correctIds.length > 0 && this.partialScoring === 'partial' && wrongSelected === 0) {
+        fraction = correctSelected / correctIds.length;
+      } else if (correctIds.length > 0 && this.partialScoring === 'proportional') {
+        fraction = Math.max((correctSelected - wrongSelected) / correctIds.length, 0);
+      }
+
+      stored.selectedOptions = selected;
+      break;
+    }
+
+    case 'numeric': {
+      const value = Number(answer.numericAnswer);
+      isCorrect = Math.abs(value - this.numericAnswer) <= this.tolerance;
+      fraction = isCorrect ? 1 : 0;
+      stored.numericAnswer = value;
+      break;
+    }
+
+    case 'fill_blank': {
+      const text = normalizeText(answer.textAnswer, this.caseSensitive);
+      isCorrect = this.acceptedAnswers.some(accepted => normalizeText(accepted, this.caseSensitive) === text);
+      fraction = isCorrect ? 1 : 0;
+      stored.textAnswer = answer.textAnswer.trim();
+      break;
+    }
+
+    default: {
+      const selectedOption = this.options.id(answer.selectedOption);
+      isCorrect = !!selectedOption && selectedOption.isCorrect;
+      fraction = isCorrect ? 1 : 0;
+      stored.selectedOption = answer.selectedOption;
+    }
+  }
+
+  return {
+    ...stored,
+    isCorrect,
+    marksObtained: Math.round(this.marks * fraction * 100) / 100
+  };
+};
+
+// Get the correct answer for review
+questionSchema.methods.getCorrectAnswer = function() {
+  const correctAnswer = {
+    questionId: this._id,
+    type: this.type,
+    explanation: this.explanation
+  };
+
+  if (this.type === 'numeric') {
+    correctAnswer.numericAnswer = this.numericAnswer;
+    correctAnswer.tolerance = this.tolerance;
+  } else if (this.type === 'fill_blank') {
+    correctAnswer.acceptedAnswers = this.acceptedAnswers;
+  } else {
+    correctAnswer.correctOptions = this.options.filter(opt => opt.isCorrect).map(opt => opt._id);
+  }
+
+  return correctAnswer;
+};
+
 const testSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -65,6 +274,13 @@ const testSchema = new mongoose.Schema({
     trim: true
   },
   questions: [questionSchema],
+  sections: [sectionSchema],
+  // Marks deducted for each wrong answer (unattempted questions score zero)
+  negativeMarks: {
+    type: Number,
+    default: 0,
+    min: [0, 'Negative marks cannot be negative']
+  },
   duration: {
     type: Number, // in minutes
     required: [true, 'Test duration is required'],
@@ -103,6 +319,10 @@ const testSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  shuffleOptions: {
+    type: Boolean,
+    default: false
+  },
   showResults: {
     type: Boolean,
     default: true
@@ -134,6 +354,12 @@ testSchema.pre('save', function(next) {
   if (this.questions && this.questions.length > 0) {
     this.totalMarks = this.questions.reduce((total, question) => total + question.marks, 0);
   }
+
+  this.sections.forEach(section => {
+    section.totalMarks = this.questions
+      .filter(question => question.section === section.name)
+      .reduce((total, question) => total + question.marks, 0);
+  });
   next();
 });
 
@@ -157,18 +383,435 @@ testSchema.methods.isActive = function() {
   return true;
 };
 
+// Method to get the open and close times of each section for an attempt.
+// Only tests where every section has a time limit are timed per section.
+testSchema.methods.getSectionWindows = function(startedAt) {
+  if (this.sections.length === 0 || this.sections.some(section => !section.timeLimit)) {
+    return [];
+  }
+
+  let opensAt = startedAt.getTime();
+
+  return this.sections.map(section => {
+    const closesAt = opensAt + section.timeLimit * 60 * 1000;
+    const window = {
+      name: section.name,
+      opensAt: new Date(opensAt),
+      closesAt: new Date(closesAt)
+    };
+
+    opensAt = closesAt;
+    return window;
+  });
+};
+
+// Method to get the deadline for an attempt started at a given time
+testSchema.methods.getAttemptDeadline = function(startedAt) {
+  let deadline = new Date(startedAt.getTime() + this.duration * 60 * 1000);
+
+  const windows = this.getSectionWindows(startedAt);
+  if (windows.length > 0 && windows[windows.length - 1].closesAt < deadline) {
+    deadline = windows[windows.length - 1].closesAt;
+  }
+
+  if (this.endDate && this.endDate < deadline) {
+    return this.endDate;
+  }
+
+  return deadline;
+};
+
+// Method to build the question and option order for an attempt.
+// The same seed always produces the same layout for the same questions.
+testSchema.methods.getAttemptLayout = function(seed) {
+  const random = createRandom(seed);
+  const questionIds = this.questions.map(q => q._id);
+
+  const questionOrder = this.shuffleQuestions ? shuffle(questionIds, random) : questionIds;
+
+  const optionOrder = this.shuffleOptions
+    ? this.questions.map(q => ({
+      questionId: q._id,
+      options: shuffle(q.options.map(opt => opt._id), random)
+    }))
+    : [];
+
+  return { questionOrder, optionOrder };
+};
+
+// Method to build the layout of a printed paper set. Set A keeps the test's
+// order; other sets shuffle questions within each section and the options of
+// choice questions. Layouts are derived from the test ID, so a set always
+// prints the same way while the questions are unchanged.
+testSchema.methods.getPaperSetLayout = function(code) {
+  if (!PAPER_SET_CODES.includes(code)) return null;
+
+  if (code === PAPER_SET_CODES[0]) {
+    return { code, questionOrder: this.questions.map(q => q._id), optionOrder: [] };
+  }
+
+  const random = createRandom(seedFrom(`${this._id}:${code}`));
+
+  // Sections stay in order so section timing still applies on paper
+  const groups = this.sections.length > 0
+    ? this.sections.map(section => this.questions.filter(q => q.section === section.name))
+    : [this.questions];
+
+  const questionOrder = groups.flatMap(group => shuffle(group.map(q => q._id), random));
+
+  const optionOrder = this.questions
+    .filter(q => ['single', 'multiple'].includes(q.type))
+    .map(q => ({
+      questionId: q._id,
+      options: shuffle(q.options.map(opt => opt._id), random)
+    }));
+
+  return { code, questionOrder, optionOrder };
+};
+
+// Method to get the layouts for the first `count` paper sets
+testSchema.methods.getPaperSets = function(count = 1) {
+  return PAPER_SET_CODES.slice(0, count).map(code => this.getPaperSetLayout(code));
+};
+
+// Method to get questions in the order an attempt saw them
+testSchema.methods.orderQuestions = function(layout = {}) {
+  const { questionOrder = [], optionOrder = [] } = layout;
+
+  const questions = questionOrder.length > 0
+    ? questionOrder.map(id => this.questions.id(id)).filter(Boolean)
+    : this.questions;
+
+  return questions.map(q => {
+    const question = q.toObject();
+    const order = optionOrder.find(entry => entry.questionId.toString() === q._id.toString());
+
+    if (order) {
+      question.options = order.options
+        .map(id => question.options.find(opt => opt._id.toString() === id.toString()))
+        .filter(Boolean);
+    }
+
+    return question;
+  });
+};
+
+// Method to check submitted answers reference real questions and options,
+// with at most one answer per question
+testSchema.methods.validateAnswers = function(answers) {
+  const answered = new Set();
+
+  for (const answer of answers) {
+    const question = this.questions.id(answer.questionId);
+    if (!question) {
+      return 'Invalid question ID';
+    }
+
+    if (answered.has(question._id.toString())) {
+      return 'Each question can only be answered once';
+    }
+    answered.add(question._id.toString());
+
+    const answerError = question.validateAnswer(answer);
+    if (answerError) {
+      return answerError;
+    }
+  }
+
+  return null;
+};
+
+// Method to get the section a question belongs to
+testSchema.methods.getQuestionSection = function(questionId) {
+  const question = this.questions.id(questionId);
+  if (!question || !question.section) return null;
+
+  return this.sections.find(section => section.name === question.section) || null;
+};
+
+// Method to get the marks deducted for a wrong answer to a question
+testSchema.methods.getNegativeMarks = function(question) {
+  if (question.negativeMarks !== null && question.negativeMarks !== undefined) {
+    return question.negativeMarks;
+  }
+
+  const section = this.getQuestionSection(question._id);
+  if (section && section.negativeMarks !== null && section.negativeMarks !== undefined) {
+    return section.negativeMarks;
+  }
+
+  return this.negativeMarks || 0;
+};
+
+// Method to grade answers (unknown questions and invalid answers are skipped,
+// and only the last answer to a question counts).
+// Attempted answers that earn nothing lose the question's negative marks.
+testSchema.methods.gradeAnswers = function(answers) {
+  let marksObtained = 0;
+  const gradedAnswers = [];
+
+  const lastAnswers = new Map();
+  answers.forEach(answer => lastAnswers.set(String(answer.questionId), answer));
+
+  for (const answer of answers) {
+    const question = this.questions.id(answer.questionId);
+
+    if (!question || question.validateAnswer(answer)) continue;
+    if (lastAnswers.get(String(answer.questionId)) !== answer) continue;
+
+    const graded = question.grade(answer);
+    if (!graded.isCorrect && graded.marksObtained === 0) {
+      graded.marksObtained = -this.getNegativeMarks(question);
+    }
+
+    marksObtained += graded.marksObtained;
+
+    gradedAnswers.push({
+      questionId: answer.questionId,
+      ...graded,
+      timeTaken: answer.timeTaken || 0
+    });
+  }
+
+  return {
+    gradedAnswers,
+    marksObtained: Math.round(marksObtained * 100) / 100,
+    sectionScores: this.getSectionScores(gradedAnswers)
+  };
+};
+
+// Method to score graded answers section by section
+testSchema.methods.getSectionScores = function(gradedAnswers) {
+  return this.sections.map(section => {
+    const questions = this.questions.filter(question => question.section === section.name);
+    const questionIds = questions.map(question => question._id.toString());
+    const sectionAnswers = gradedAnswers.filter(answer => questionIds.includes(answer.questionId.toString()));
+
+    const marksObtained = sectionAnswers.reduce((total, answer) => total + answer.marksObtained, 0);
+    const negativeMarks = sectionAnswers
+      .filter(answer => answer.marksObtained < 0)
+      .reduce((total, answer) => total - answer.marksObtained, 0);
+    const correct = sectionAnswers.filter(answer => answer.isCorrect).length;
+
+    return {
+      name: section.name,
+      totalMarks: questions.reduce((total, question) => total + question.marks, 0),
+      marksObtained: Math.round(marksObtained * 100) / 100,
+      negativeMarks: Math.round(negativeMarks * 100) / 100,
+      correct,
+      incorrect: sectionAnswers.length - correct,
+      unattempted: questions.length - sectionAnswers.length,
+      cutoff: section.cutoff,
+      isPassed: marksObtained >= section.cutoff
+    };
+  });
+};
+
 // Method to get questions without correct answers (for students)
-testSchema.methods.getQuestionsForStudent = function() {
-  return this.questions.map(q => ({
+testSchema.methods.getQuestionsForStudent = function(layout = {}) {
+  return this.orderQuestions(layout).map(q => ({
     _id: q._id,
     question: q.question,
+    type: q.type,
     options: q.options.map(opt => ({
       _id: opt._id,
       text: opt.text
     })),
     difficulty: q.difficulty,
-    marks: q.marks
+    marks: q.marks,
+    section: q.section,
+    negativeMarks: this.getNegativeMarks(q)
   }));
 };
 
+// Item analysis thresholds
+const ITEM_ANALYSIS = {
+  groupFraction: 0.27, // top and bottom groups for discrimination
+  tooEasy: 0.9,
+  tooHard: 0.2,
+  lowDiscrimination: 0.2,
+  minResponses: 5 // responses needed before flagging a popular distractor
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Method to analyse how each question performed over a set of finished results
+// (one result per student). Unanswered questions count as incorrect.
+testSchema.methods.getItemAnalysis = function(results) {
+  const studentCount = results.length;
+  const ranked = [...results].sort((a, b) => b.marksObtained - a.marksObtained);
+  const groupSize = studentCount >= 2 ? Math.max(Math.round(studentCount * ITEM_ANALYSIS.groupFraction), 1) : 0;
+  const upperGroup = ranked.slice(0, groupSize);
+  const lowerGroup = groupSize > 0 ? ranked.slice(-groupSize) : [];
+
+  const findAnswer = (result, questionId) =>
+    result.answers.find(answer => answer.questionId.toString() === questionId.toString());
+
+  const correctShare = (group, questionId) => {
+    if (group.length === 0) return null;
+    const correct = group.filter(result => {
+      const answer = findAnswer(result, questionId);
+      return answer && answer.isCorrect;
+    }).length;
+    return correct / group.length;
+  };
+
+  return this.questions.map((question, index) => {
+    const answers = results.map(result => findAnswer(result, question._id)).filter(Boolean);
+    const correctCount = answers.filter(answer => answer.isCorrect).length;
+    const difficultyIndex = studentCount > 0 ? correctCount / studentCount : null;
+
+    const upperShare = correctShare(upperGroup, question._id);
+    const lowerShare = correctShare(lowerGroup, question._id);
+    const discriminationIndex = upperShare !== null && lowerShare !== null ? upperShare - lowerShare : null;
+
+    const totalTime = answers.reduce((total, answer) => total + (answer.timeTaken || 0), 0);
+
+    const analysis = {
+      questionId: question._id,
+      number: index + 1,
+      question: question.question,
+      type: question.type,
+      difficulty: question.difficulty,
+      section: question.section,
+      responses: answers.length,
+      unattempted: studentCount - answers.length,
+      correct: correctCount,
+      difficultyIndex: difficultyIndex !== null ? round(difficultyIndex) : null,
+      discriminationIndex: discriminationIndex !== null ? round(discriminationIndex) : null,
+      averageTimeTaken: answers.length > 0 ? round(totalTime / answers.length, 1) : 0,
+      flags: []
+    };
+
+    const hasCorrectAnswer = CHOICE_TYPES.includes(question.type)
+      ? question.options.some(option => option.isCorrect)
+      : question.type === 'numeric'
+        ? isNumeric(question.numericAnswer)
+        : question.acceptedAnswers.length > 0;
+
+    if (!hasCorrectAnswer) {
+      analysis.flags.push('no_correct_answer');
+    }
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      // How often each option was picked, as a share of students who answered
+      analysis.options = question.options.map(option => {
+        const picked = answers.filter(answer => getSelectedOptionIds(answer).includes(option._id.toString())).length;
+
+        return {
+          optionId: option._id,
+          text: option.text,
+          isCorrect: option.isCorrect,
+          picked,
+          share: answers.length > 0 ? round(picked / answers.length) : 0
+        };
+      });
+
+      const correctPicks = Math.max(0, ...analysis.options.filter(option => option.isCorrect).map(option => option.picked));
+      const topDistractor = Math.max(0, ...analysis.options.filter(option => !option.isCorrect).map(option => option.picked));
+
+      if (hasCorrectAnswer && answers.length >= ITEM_ANALYSIS.minResponses && topDistractor > correctPicks) {
+        analysis.flags.push('distractor_more_popular');
+      }
+    } else {
+      // Most common responses for numeric and fill-in-the-blank questions
+      const counts = {};
+      answers.forEach(answer => {
+        const response = question.type === 'numeric' ? String(answer.numericAnswer) : String(answer.textAnswer).trim().toLowerCase();
+        counts[response] = counts[response] || { response, count: 0, isCorrect: answer.isCorrect };
+        counts[response].count++;
+      });
+
+      analysis.topResponses = Object.values(counts)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 5);
+    }
+
+    if (difficultyIndex !== null && answers.length >= ITEM_ANALYSIS.minResponses) {
+      if (difficultyIndex >= ITEM_ANALYSIS.tooEasy) analysis.flags.push('too_easy');
+      if (difficultyIndex <= ITEM_ANALYSIS.tooHard) analysis.flags.push('too_hard');
+    }
+
+    if (discriminationIndex !== null && studentCount >= ITEM_ANALYSIS.minResponses) {
+      if (discriminationIndex < 0) {
+        analysis.flags.push('negative_discrimination');
+      } else if (discriminationIndex < ITEM_ANALYSIS.lowDiscrimination) {
+        analysis.flags.push('low_discrimination');
+      }
+    }
+
+    return analysis;
+  });
+};
+
+// Static method to check a question has what its type needs
+testSchema.statics.validateQuestion = function(question) {
+  const type = question.type || 'single';
+  const options = question.options || [];
+  const correctCount = options.filter(option => option.isCorrect).length;
+
+  if (!QUESTION_TYPES.includes(type)) {
+    return 'has an invalid question type';
+  }
+
+  if (CHOICE_TYPES.includes(type)) {
+    if (type === 'true_false' && options.length !== 2) {
+      return 'must have exactly 2 options';
+    }
+
+    if (options.length < 2 || options.length > 6) {
+      return 'must have 2-6 options';
+    }
+
+    if (correctCount === 0) {
+      return 'must have at least one correct answer';
+    }
+
+    if (type === 'true_false' && correctCount !== 1) {
+      return 'must have exactly one correct answer';
+    }
+  }
+
+  if (type === 'numeric' && !isNumeric(question.numericAnswer)) {
+    return 'must have a numeric answer';
+  }
+
+  if (type === 'fill_blank' && (!question.acceptedAnswers || question.acceptedAnswers.length === 0)) {
+    return 'must have at least one accepted answer';
+  }
+
+  return null;
+};
+
+// Static method to check sections are unique, timed alike, and every question uses one
+testSchema.statics.validateSections = function(sections = [], questions = []) {
+  const names = sections.map(section => section.name && section.name.trim());
+
+  if (names.some(name => !name)) {
+    return 'Every section must have a name';
+  }
+
+  if (new Set(names).size !== names.length) {
+    return 'Section names must be unique';
+  }
+
+  // Sections only run back to back on their own clocks when all of them are timed
+  const timedCount = sections.filter(section => section.timeLimit).length;
+  if (timedCount > 0 && timedCount < sections.length) {
+    return 'Either every section or no section must have a time limit';
+  }
+
+  if (names.length === 0) {
+    return questions.some(question => question.section) ? 'Questions reference sections the test does not have' : null;
+  }
+
+  for (let i = 0; i < questions.length; i++) {
+    if (!names.includes((questions[i].section || '').trim())) {
+      return `Question ${i + 1} must belong to one of the test sections`;
+    }
+  }
+
+  return null;
+};
+
 module.exports = mongoose.model('Test', testSchema);
\ No newline at end of file
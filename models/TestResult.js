@@ -5,9 +5,22 @@ const answerSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     required: true
   },
+  // Single choice and true/false
   selectedOption: {
     type: mongoose.Schema.Types.ObjectId,
-    required: true
+    default: null
+  },
+  // Multiple correct
+  selectedOptions: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  numericAnswer: {
+    type: Number,
+    default: null
+  },
+  textAnswer: {
+    type: String,
+    default: null
   },
   isCorrect: {
     type: Boolean,
@@ -20,9 +33,142 @@ const answerSchema = new mongoose.Schema({
   timeTaken: {
     type: Number, // in seconds
     default: 0
+  },
+  // Marks set by an instructor, kept when the test is regraded
+  override: {
+    marksObtained: {
+      type: Number,
+      default: null
+    },
+    isCorrect: {
+      type: Boolean,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    overriddenAt: {
+      type: Date,
+      default: null
+    }
+  }
+});
+
+// Audit trail entry for score changes after submission
+const adjustmentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['regrade', 'override', 'override_removed'],
+    required: true
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  previousMarks: {
+    type: Number,
+    required: true
+  },
+  newMarks: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  adjustedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  adjustedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+// Answers autosaved during an in-progress attempt (graded on submission)
+const savedAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  selectedOption: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  selectedOptions: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  numericAnswer: {
+    type: Number,
+    default: null
+  },
+  textAnswer: {
+    type: String,
+    default: null
+  },
+  timeTaken: {
+    type: Number, // in seconds
+    default: 0
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Score for one test section
+const sectionScoreSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  totalMarks: {
+    type: Number,
+    default: 0
+  },
+  marksObtained: {
+    type: Number,
+    default: 0
+  },
+  // Total marks lost to wrong answers
+  negativeMarks: {
+    type: Number,
+    default: 0
+  },
+  correct: {
+    type: Number,
+    default: 0
+  },
+  incorrect: {
+    type: Number,
+    default: 0
+  },
+  unattempted: {
+    type: Number,
+    default: 0
+  },
+  cutoff: {
+    type: Number,
+    default: 0
+  },
+  isPassed: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Allowance for network latency on submissions made right at the deadline
+const SUBMISSION_GRACE_PERIOD = 30 * 1000;
+
 const testResultSchema = new mongoose.Schema({
   test: {
     type: mongoose.Schema.Types.ObjectId,
@@ -40,33 +186,60 @@ const testResultSchema = new mongoose.Schema({
     required: true
   },
   answers: [answerSchema],
+  sectionScores: [sectionScoreSchema],
+  adjustments: [adjustmentSchema],
+  savedAnswers: [savedAnswerSchema],
+  // Layout served for this attempt, derived from shuffleSeed
+  shuffleSeed: {
+    type: Number,
+    default: null
+  },
+  questionOrder: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  optionOrder: [{
+    _id: false,
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    options: [{
+      type: mongoose.Schema.Types.ObjectId
+    }]
+  }],
   totalMarks: {
     type: Number,
     required: true
   },
+  // Can be negative when negative marking applies
   marksObtained: {
     type: Number,
-    required: true
+    default: 0
   },
   percentage: {
     type: Number,
-    required: true
+    default: 0
   },
   isPassed: {
     type: Boolean,
-    required: true
+    default: false
   },
   timeTaken: {
     type: Number, // in minutes
-    required: true
+    default: 0
   },
   startedAt: {
     type: Date,
     required: true
   },
+  // Server-side deadline for the attempt
+  expiresAt: {
+    type: Date,
+    default: null
+  },
   submittedAt: {
     type: Date,
-    required: true
+    default: null
   },
   attemptNumber: {
     type: Number,
@@ -75,8 +248,17 @@ const testResultSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['completed', 'abandoned', 'timeout'],
+    enum: ['in_progress', 'completed', 'abandoned', 'timeout'],
     default: 'completed'
+  },
+  // Set when the attempt was taken on paper and ingested from an answer sheet
+  isOffline: {
+    type: Boolean,
+    default: false
+  },
+  paperSet: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true
@@ -87,6 +269,7 @@ testResultSchema.index({ test: 1, student: 1 });
 testResultSchema.index({ student: 1 });
 testResultSchema.index({ course: 1 });
 testResultSchema.index({ percentage: -1 });
+testResultSchema.index({ status: 1, expiresAt: 1 });
 
 // Compound index for unique attempts per test per student
 testResultSchema.index({ test: 1, student: 1, attemptNumber: 1 }, { unique: true });
@@ -105,18 +288,499 @@ testResultSchema.pre('save', function(next) {
 testResultSchema.statics.getBestResult = function(testId, studentId) {
   return this.findOne({
     test: testId,
-    student: studentId
+    student: studentId,
+    status: { $ne: 'in_progress' }
   }).sort({ percentage: -1, marksObtained: -1 });
 };
 
-// Static method to get student's attempt count for a test
+// Static method to get student's in-progress attempt for a test
+testResultSchema.statics.getActiveAttempt = function(testId, studentId) {
+  return this.findOne({
+    test: testId,
+    student: studentId,
+    status: 'in_progress'
+  });
+};
+
+// Static method to find in-progress attempts past their deadline
+testResultSchema.statics.findExpiredAttempts = function() {
+  return this.find({
+    status: 'in_progress',
+    expiresAt: { $lt: new Date(Date.now() - SUBMISSION_GRACE_PERIOD) }
+  });
+};
+
+// Method to check if the attempt deadline (plus grace period) has passed
+testResultSchema.methods.isExpired = function() {
+  if (!this.expiresAt) return false;
+  return Date.now() > this.expiresAt.getTime() + SUBMISSION_GRACE_PERIOD;
+};
+
+// Method to get seconds left before the attempt deadline
+testResultSchema.methods.getRemainingSeconds = function() {
+  if (!this.expiresAt) return null;
+  return Math.max(Math.floor((this.expiresAt.getTime() - Date.now()) / 1000), 0);
+};
+
+// Method to get sections that can no longer (or cannot yet) be answered
+testResultSchema.methods.getLockedSections = function(test) {
+  const now = Date.now();
+
+  return test.getSectionWindows(this.startedAt)
+    .filter(window => now < window.opensAt.getTime() || now > window.closesAt.getTime() + SUBMISSION_GRACE_PERIOD)
+    .map(window => window.name);
+};
+
+// Method to keep submitted answers for open sections and autosaved answers for locked ones
+testResultSchema.methods.mergeSectionAnswers = function(test, answers) {
+  const lockedSections = this.getLockedSections(test);
+  if (lockedSections.length === 0) return answers;
+
+  const isLocked = (answer) => {
+    const section = test.getQuestionSection(answer.questionId);
+    return !!section && lockedSections.includes(section.name);
+  };
+
+  return [
+    ...answers.filter(answer => !isLocked(answer)),
+    ...this.savedAnswers.filter(isLocked)
+  ];
+};
+
+// Method to merge autosaved answers, keeping the latest answer per question
+testResultSchema.methods.saveAnswers = function(answers) {
+  answers.forEach(answer => {
+    const existing = this.savedAnswers.find(
+      saved => saved.questionId.toString() === answer.questionId.toString()
+    );
+
+    const response = {
+      selectedOption: answer.selectedOption || null,
+      selectedOptions: answer.selectedOptions || [],
+      numericAnswer: answer.numericAnswer !== undefined ? answer.numericAnswer : null,
+      textAnswer: answer.textAnswer !== undefined ? answer.textAnswer : null
+    };
+
+    if (existing) {
+      existing.set(response);
+      existing.timeTaken = answer.timeTaken || existing.timeTaken;
+      existing.savedAt = new Date();
+    } else {
+      this.savedAnswers.push({
+        questionId: answer.questionId,
+        ...response,
+        timeTaken: answer.timeTaken || 0
+      });
+    }
+  });
+
+  return this.save();
+};
+
+// Static method to record a graded paper attempt from an answer sheet
+testResultSchema.statics.createOffline = function(test, studentId, { set, answers, attemptNumber, conductedAt = new Date() }) {
+  const result = new this({
+    test: test._id,
+    student: studentId,
+    course: test.course._id || test.course,
+    questionOrder: set.questionOrder,
+    optionOrder: set.optionOrder,
+    totalMarks: test.totalMarks,
+    startedAt: conductedAt,
+    submittedAt: conductedAt,
+    // Paper attempts have no recorded time, so they count as the full duration
+    timeTaken: test.duration,
+    attemptNumber,
+    status: 'completed',
+    isOffline: true,
+    paperSet: set.code
+  });
+
+  const { gradedAnswers } = test.gradeAnswers(answers);
+  result.applyGrades(test, gradedAnswers);
+
+  return result.save();
+};
+
+// Check if an answer has marks set by an instructor
+const hasOverride = (answer) => !!answer.override &&
+  answer.override.marksObtained !== null && answer.override.marksObtained !== undefined;
+
+// Method to store graded answers and the totals derived from them
+testResultSchema.methods.applyGrades = function(test, gradedAnswers) {
+  const marksObtained = gradedAnswers.reduce((total, answer) => total + answer.marksObtained, 0);
+  const sectionScores = test.getSectionScores(gradedAnswers);
+
+  this.answers = gradedAnswers;
+  this.totalMarks = test.totalMarks;
+  this.marksObtained = Math.round(marksObtained * 100) / 100;
+  this.sectionScores = sectionScores;
+  this.isPassed = this.marksObtained >= test.passingMarks && sectionScores.every(section => section.isPassed);
+};
+
+// Method to grade stored answers against the current answer key, keeping overrides
+testResultSchema.methods.getRegradedAnswers = function(test) {
+  const { gradedAnswers } = test.gradeAnswers(this.answers.map(answer => answer.toObject()));
+
+  return this.answers.map(answer => {
+    const graded = gradedAnswers.find(g => g.questionId.toString() === answer.questionId.toString());
+
+    if (!hasOverride(answer)) return graded;
+
+    // Overrides also cover questions the student left blank
+    const base = graded || { questionId: answer.questionId, timeTaken: answer.timeTaken };
+    return {
+      ...base,
+      isCorrect: answer.override.isCorrect !== null ? answer.override.isCorrect : base.isCorrect || false,
+      marksObtained: answer.override.marksObtained,
+      override: answer.toObject().override
+    };
+  }).filter(Boolean);
+};
+
+// Method to regrade a finished attempt after the answer key changed.
+// Returns true when the score changed (and records it in the audit trail).
+testResultSchema.methods.regrade = async function(test, adminId, reason) {
+  const previousMarks = this.marksObtained;
+  const previousKey = this.answers.map(answer => `${answer.questionId}:${answer.isCorrect}:${answer.marksObtained}`).join('|');
+
+  this.applyGrades(test, this.getRegradedAnswers(test));
+
+  const newKey = this.answers.map(answer => `${answer.questionId}:${answer.isCorrect}:${answer.marksObtained}`).join('|');
+  if (newKey === previousKey) return false;
+
+  this.adjustments.push({
+    kind: 'regrade',
+    previousMarks,
+    newMarks: this.marksObtained,
+    reason,
+    adjustedBy: adminId
+  });
+
+  await this.save();
+  return true;
+};
+
+// Method to set (or clear, with marksObtained null) an instructor's marks for one question
+testResultSchema.methods.overrideAnswer = function(test, questionId, { marksObtained, isCorrect, reason, adminId }) {
+  const previousMarks = this.marksObtained;
+  let answer = this.answers.find(a => a.questionId.toString() === questionId.toString());
+
+  if (marksObtained === null) {
+    if (answer) {
+      answer.override = { marksObtained: null, isCorrect: null, reason: null, overriddenBy: null, overriddenAt: null };
+    }
+  } else {
+    if (!answer) {
+      this.answers.push({ questionId, isCorrect: false, marksObtained: 0 });
+      answer = this.answers[this.answers.length - 1];
+    }
+
+    answer.override = {
+      marksObtained,
+      isCorrect: isCorrect !== undefined ? isCorrect : marksObtained > 0,
+      reason,
+      overriddenBy: adminId,
+      overriddenAt: new Date()
+    };
+  }
+
+  this.applyGrades(test, this.getRegradedAnswers(test));
+
+  this.adjustments.push({
+    kind: marksObtained === null ? 'override_removed' : 'override',
+    questionId,
+    previousMarks,
+    newMarks: this.marksObtained,
+    reason,
+    adjustedBy: adminId
+  });
+
+  return this.save();
+};
+
+// Per-question times are reported by the client. Keep each one within the
+// attempt's measured duration (in seconds), and scale them down together when
+// they add up to more than it.
+const clampAnswerTimes = (answers, maxSeconds) => {
+  const times = answers.map(answer => Math.min(Math.max(Number(answer.timeTaken) || 0, 0), maxSeconds));
+  const totalTime = times.reduce((total, time) => total + time, 0);
+  const scale = totalTime > maxSeconds ? maxSeconds / totalTime : 1;
+
+  return answers.map((answer, index) => ({ ...answer, timeTaken: Math.round(times[index] * scale) }));
+};
+
+// Method to grade and close an in-progress attempt
+testResultSchema.methods.finalize = function(test, answers, status = 'completed') {
+  const { gradedAnswers } = test.gradeAnswers(answers);
+
+  // Time is measured on the server and capped at the deadline
+  const now = new Date();
+  const endTime = this.expiresAt && now > this.expiresAt ? this.expiresAt : now;
+  const elapsedMinutes = (endTime.getTime() - this.startedAt.getTime()) / (60 * 1000);
+
+  this.applyGrades(test, clampAnswerTimes(gradedAnswers, Math.floor(elapsedMinutes * 60)));
+  this.savedAnswers = [];
+  this.timeTaken = Math.round(elapsedMinutes * 100) / 100;
+  this.submittedAt = now;
+  this.status = status;
+
+  return this.save();
+};
+
+// Statuses that count as a finished attempt
+const FINISHED_STATUSES = ['completed', 'timeout'];
+
+// Percentage of students scoring at or below a mark
+const getPercentile = (marks, allMarks) => {
+  if (allMarks.length === 0) return 0;
+  const atOrBelow = allMarks.filter(value => value <= marks).length;
+  return Math.round((atOrBelow / allMarks.length) * 10000) / 100;
+};
+
+// Static method to rank students over one or more tests.
+// Policy "best" uses each student's best attempt per test, "first" their first attempt.
+// Ties on marks are broken by total time taken.
+testResultSchema.statics.getLeaderboard = async function(testIds, policy = 'best') {
+  const attemptSort = policy === 'first'
+    ? { attemptNumber: 1 }
+    : { marksObtained: -1, timeTaken: 1, submittedAt: 1 };
+
+  const entries = await this.aggregate([
+    {
+      $match: {
+        test: { $in: testIds },
+        status: { $in: FINISHED_STATUSES }
+      }
+    },
+    { $sort: attemptSort },
+    {
+      $group: {
+        _id: { student: '$student', test: '$test' },
+        marksObtained: { $first: '$marksObtained' },
+        totalMarks: { $first: '$totalMarks' },
+        timeTaken: { $first: '$timeTaken' },
+        submittedAt: { $first: '$submittedAt' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.student',
+        marksObtained: { $sum: '$marksObtained' },
+        totalMarks: { $sum: '$totalMarks' },
+        timeTaken: { $sum: '$timeTaken' },
+        testsTaken: { $sum: 1 },
+        lastSubmittedAt: { $max: '$submittedAt' }
+      }
+    },
+    { $sort: { marksObtained: -1, timeTaken: 1 } },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'student'
+      }
+    },
+    { $unwind: '$student' },
+    {
+      $project: {
+        _id: 0,
+        student: {
+          _id: '$student._id',
+          name: '$student.name',
+          email: '$student.email',
+          avatar: '$student.avatar'
+        },
+        marksObtained: 1,
+        totalMarks: 1,
+        timeTaken: 1,
+        testsTaken: 1,
+        lastSubmittedAt: 1
+      }
+    }
+  ]);
+
+  const allMarks = entries.map(entry => entry.marksObtained);
+
+  let previous = null;
+  return entries.map((entry, index) => {
+    // Students with the same marks and time share a rank
+    const rank = previous && previous.marksObtained === entry.marksObtained && previous.timeTaken === entry.timeTaken
+      ? previous.rank
+      : index + 1;
+
+    previous = {
+      ...entry,
+      timeTaken: Math.round(entry.timeTaken * 100) / 100,
+      percentage: entry.totalMarks > 0 ? Math.round((entry.marksObtained / entry.totalMarks) * 100) : 0,
+      rank,
+      percentile: getPercentile(entry.marksObtained, allMarks)
+    };
+
+    return previous;
+  });
+};
+
+// Static method to get the top of a leaderboard plus the viewer's own entry.
+// Students only see names, not other students' emails.
+testResultSchema.statics.getLeaderboardView = async function(testIds, { policy = 'best', limit = 50, user }) {
+  const entries = await this.getLeaderboard(testIds, policy);
+  const isStudent = user.role === 'student';
+
+  const present = (entry) => {
+    if (!isStudent || entry.student._id.toString() === user._id.toString()) return entry;
+
+    const { email, ...student } = entry.student;
+    return { ...entry, student };
+  };
+
+  const me = isStudent
+    ? entries.find(entry => entry.student._id.toString() === user._id.toString()) || null
+    : null;
+
+  return {
+    policy,
+    totalStudents: entries.length,
+    entries: entries.slice(0, limit).map(present),
+    me
+  };
+};
+
+// Method to get where this attempt stands against other students' best attempts
+testResultSchema.methods.getStanding = async function() {
+  if (!FINISHED_STATUSES.includes(this.status)) return null;
+
+  const testId = this.test._id || this.test;
+  const studentId = (this.student._id || this.student).toString();
+
+  const others = (await this.constructor.getLeaderboard([testId], 'best'))
+    .filter(entry => entry.student._id.toString() !== studentId);
+
+  const ahead = others.filter(entry =>
+    entry.marksObtained > this.marksObtained ||
+    (entry.marksObtained === this.marksObtained && entry.timeTaken < this.timeTaken)
+  ).length;
+
+  return {
+    rank: ahead + 1,
+    totalStudents: others.length + 1,
+    percentile: getPercentile(this.marksObtained, [...others.map(entry => entry.marksObtained), this.marksObtained])
+  };
+};
+
+// Static method to build a student's performance report over all finished attempts.
+// Accuracy is correct / attempted; miss rate counts unanswered questions as misses.
+testResultSchema.statics.getStudentPerformance = async function(studentId, filter = {}) {
+  const results = await this.find({
+    ...filter,
+    student: studentId,
+    status: { $in: FINISHED_STATUSES }
+  })
+    .populate('test', 'title subject topic questions')
+    .sort({ submittedAt: 1 });
+
+  const groups = { subject: {}, topic: {}, difficulty: {} };
+  let totalTime = 0;
+  let attemptedCount = 0;
+  let correctCount = 0;
+
+  const tally = (group, key, labels, answer) => {
+    if (!groups[group][key]) {
+      groups[group][key] = { ...labels, questions: 0, attempted: 0, correct: 0 };
+    }
+
+    const entry = groups[group][key];
+    entry.questions++;
+    if (answer) entry.attempted++;
+    if (answer && answer.isCorrect) entry.correct++;
+  };
+
+  results.forEach(result => {
+    // Results for deleted tests still count in the trend but not in the breakdowns
+    if (!result.test) return;
+
+    const { subject, topic } = result.test;
+    const topicName = topic || 'General';
+
+    // Results submitted before answer times were clamped are clamped here
+    const answers = clampAnswerTimes(result.answers.map(answer => answer.toObject()), Math.floor(result.timeTaken * 60));
+
+    result.test.questions.forEach(question => {
+      const answer = answers.find(a => a.questionId.toString() === question._id.toString());
+
+      tally('subject', subject, { subject }, answer);
+      tally('topic', `${subject}:${topicName}`, { subject, topic: topicName }, answer);
+      tally('difficulty', question.difficulty, { difficulty: question.difficulty }, answer);
+
+      if (answer) {
+        attemptedCount++;
+        totalTime += answer.timeTaken || 0;
+        if (answer.isCorrect) correctCount++;
+      }
+    });
+  });
+
+  const summarize = (entries) => Object.values(entries).map(entry => ({
+    ...entry,
+    accuracy: entry.attempted > 0 ? Math.round((entry.correct / entry.attempted) * 100) : 0,
+    missRate: entry.questions > 0 ? Math.round(((entry.questions - entry.correct) / entry.questions) * 100) : 0
+  }));
+
+  const byTopic = summarize(groups.topic);
+  const byDifficulty = summarize(groups.difficulty);
+  const percentages = results.map(result => result.percentage);
+
+  return {
+    overview: {
+      testsTaken: results.length,
+      averagePercentage: percentages.length > 0 ? Math.round(percentages.reduce((total, value) => total + value, 0) / percentages.length) : 0,
+      bestPercentage: percentages.length > 0 ? Math.max(...percentages) : 0,
+      questionsAttempted: attemptedCount,
+      accuracy: attemptedCount > 0 ? Math.round((correctCount / attemptedCount) * 100) : 0,
+      averageTimePerQuestion: attemptedCount > 0 ? Math.round(totalTime / attemptedCount) : 0 // in seconds
+    },
+    bySubject: summarize(groups.subject).sort((a, b) => a.subject.localeCompare(b.subject)),
+    byTopic: [...byTopic].sort((a, b) => a.subject.localeCompare(b.subject) || a.topic.localeCompare(b.topic)),
+    byDifficulty: ['easy', 'medium', 'hard']
+      .map(difficulty => byDifficulty.find(entry => entry.difficulty === difficulty))
+      .filter(Boolean),
+    trend: results.map(result => ({
+      resultId: result._id,
+      test: result.test ? { _id: result.test._id, title: result.test.title, subject: result.test.subject } : null,
+      attemptNumber: result.attemptNumber,
+      marksObtained: result.marksObtained,
+      totalMarks: result.totalMarks,
+      percentage: result.percentage,
+      submittedAt: result.submittedAt
+    })),
+    // Topics with enough questions to judge, worst first
+    weakTopics: byTopic
+      .filter(entry => entry.questions >= 3 && entry.missRate > 0)
+      .sort((a, b) => b.missRate - a.missRate || b.questions - a.questions)
+      .slice(0, 5)
+  };
+};
+
+// Static method to get student's attempt count for a test. Paper attempts
+// recorded from answer sheets do not count towards maxAttempts.
 testResultSchema.statics.getAttemptCount = function(testId, studentId) {
   return this.countDocuments({
     test: testId,
-    student: studentId
+    student: studentId,
+    isOffline: { $ne: true }
   });
 };
 
+// Static method to get the number of a student's next attempt, online or on paper
+testResultSchema.statics.getNextAttemptNumber = async function(testId, studentId) {
+  const lastAttempt = await this.findOne({ test: testId, student: studentId })
+    .sort({ attemptNumber: -1 })
+    .select('attemptNumber');
+
+  return lastAttempt ? lastAttempt.attemptNumber + 1 : 1;
+};
+
 // Method to get performance analytics
 testResultSchema.methods.getAnalytics = function() {
   const correctAnswers = this.answers.filter(answer => answer.isCorrect).length;
@@ -128,7 +792,27 @@ testResultSchema.methods.getAnalytics = function() {
     correctAnswers,
     incorrectAnswers: totalQuestions - correctAnswers,
     accuracy: Math.round(accuracy),
-    averageTimePerQuestion: totalQuestions > 0 ? Math.round(this.timeTaken / totalQuestions) : 0
+    averageTimePerQuestion: totalQuestions > 0 ? Math.round(this.timeTaken / totalQuestions) : 0,
+    negativeMarks: this.answers
+      .filter(answer => answer.marksObtained < 0)
+      .reduce((total, answer) => total - answer.marksObtained, 0),
+    sections: this.sectionScores.map(section => {
+      const attempted = section.correct + section.incorrect;
+
+      return {
+        name: section.name,
+        marksObtained: section.marksObtained,
+        totalMarks: section.totalMarks,
+        percentage: section.totalMarks > 0 ? Math.round((section.marksObtained / section.totalMarks) * 100) : 0,
+        correct: section.correct,
+        incorrect: section.incorrect,
+        unattempted: section.unattempted,
+        negativeMarks: section.negativeMarks,
+        accuracy: attempted > 0 ? Math.round((section.correct / attempted) * 100) : 0,
+        cutoff: section.cutoff,
+        isPassed: section.isPassed
+      };
+    })
   };
 };
 
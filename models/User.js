@@ -59,12 +59,13 @@ const userSchema = new mongoose.Schema({
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'completed', 'failed'],
+      // suspended while an installment is overdue
+      enum: ['pending', 'completed', 'failed', 'suspended'],
       default: 'pending'
     },
     paymentMethod: {
       type: String,
-      enum: ['online', 'offline'],
+      enum: ['online', 'offline', 'free'],
       default: 'online'
     }
   }],
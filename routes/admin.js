@@ -187,7 +187,8 @@ router.get('/recent-activity', protect, requireAdmin, async (req, res, next) =>
           .limit(parseInt(limit) / 4)
           .populate('student', 'name')
           .populate('course', 'title')
-          .select('student course amount createdAt'),
+          .populate('bundle', 'title')
+          .select('student course bundle amount createdAt'),
         TestResult.find()
           .sort({ createdAt: -1 })
           .limit(parseInt(limit) / 4)
@@ -218,11 +219,11 @@ router.get('/recent-activity', protect, requireAdmin, async (req, res, next) =>
       recentPayments.forEach(payment => {
         activities.push({
           type: 'payment_completed',
-          description: `${payment.student.name} purchased "${payment.course.title}" for ₹${payment.amount}`,
+          description: `${payment.student.name} purchased "${payment.getItemTitle()}" for ₹${payment.amount}`,
           timestamp: payment.createdAt,
           data: { 
             studentName: payment.student.name, 
-            courseTitle: payment.course.title, 
+            courseTitle: payment.getItemTitle(), 
             amount: payment.amount 
           }
         });
@@ -4,6 +4,7 @@ const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const AdminInviteCode = require('../models/AdminInviteCode');
+const Progress = require('../models/Progress');
 const { sendTokenResponse } = require('../utils/jwt');
 const { sendPasswordResetEmail, sendWelcomeEmail } = require('../utils/email');
 const { protect } = require('../middleware/auth');
@@ -217,9 +218,21 @@ router.get('/me', protect, async (req, res, next) => {
       .populate('enrolledCourses.course', 'title thumbnail price')
       .populate('inviteCodeUsed', 'code createdAt');
 
+    // Add course completion to paid enrollments
+    const courseIds = user.enrolledCourses
+      .filter(enrollment => enrollment.course && enrollment.paymentStatus === 'completed')
+      .map(enrollment => enrollment.course._id);
+    const completion = await Progress.getCompletion([user._id], courseIds);
+
+    const userData = user.toObject();
+    userData.enrolledCourses = userData.enrolledCourses.map(enrollment => ({
+      ...enrollment,
+      completion: enrollment.course ? completion[`${user._id}:${enrollment.course._id}`] || null : null
+    }));
+
     res.status(200).json({
       success: true,
-      data: user
+      data: userData
     });
   } catch (error) {
     next(error);
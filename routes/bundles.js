@@ -0,0 +1,291 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Bundle = require('../models/Bundle');
+const Course = require('../models/Course');
+const Payment = require('../models/Payment');
+const { protect, optionalAuth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Helper function to check a user created a bundle (or is a superadmin)
+const canManageBundle = (user, bundle) => !!user &&
+  (user.role === 'superadmin' ||
+    (user.role === 'admin' && (bundle.createdBy._id || bundle.createdBy).toString() === user._id.toString()));
+
+// Helper function to check that every course exists and an admin teaches them all
+async function validateBundleCourses(user, courseIds) {
+  const uniqueIds = [...new Set(courseIds.map(id => id.toString()))];
+
+  if (uniqueIds.length !== courseIds.length) {
+    return 'A course can only be added to a bundle once';
+  }
+
+  if (uniqueIds.length < 2) {
+    return 'A bundle needs at least two courses';
+  }
+
+  const courses = await Course.find({ _id: { $in: uniqueIds } }).select('instructor');
+  if (courses.length !== uniqueIds.length) {
+    return 'Some courses do not exist';
+  }
+
+  if (user.role !== 'superadmin' && courses.some(course => course.instructor.toString() !== user._id.toString())) {
+    return 'Not authorized to bundle these courses';
+  }
+
+  return null;
+}
+
+// Helper function to add what the bundle saves over buying each course
+const toBundleData = (bundle) => {
+  const coursesPrice = bundle.getCoursesPrice();
+
+  return {
+    ...bundle.toObject(),
+    coursesPrice,
+    savings: Math.max(coursesPrice - bundle.price, 0)
+  };
+};
+
+const bundleValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('title').trim().notEmpty().withMessage('Title is required')
+      .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+    field('courses').isArray({ min: 2 }).withMessage('A bundle needs at least two courses'),
+    body('courses.*').optional().isMongoId().withMessage('Valid course ID is required'),
+    field('price').isFloat({ min: 1 }).withMessage('Price must be at least 1').toFloat(),
+    body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+    body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean').toBoolean()
+  ];
+};
+
+// @desc    Get bundles
+// @route   GET /api/bundles
+// @access  Public (Admin - also own unpublished, SuperAdmin - also all unpublished)
+router.get('/', optionalAuth, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, courseId = '', search = '' } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (!req.user || req.user.role === 'student') {
+      query.isPublished = true;
+    } else if (req.user.role === 'admin') {
+      query.$or = [{ isPublished: true }, { createdBy: req.user._id }];
+    }
+
+    if (courseId) query.courses = courseId;
+
+    if (search) {
+      query.$and = [{
+        $or: [
+          { title: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } }
+        ]
+      }];
+    }
+
+    const bundles = await Bundle.find(query)
+      .populate('courses', 'title price thumbnail isPublished')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Bundle.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: bundles.map(toBundleData),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single bundle
+// @route   GET /api/bundles/:id
+// @access  Public (unpublished bundles - creator or SuperAdmin)
+router.get('/:id', optionalAuth, async (req, res, next) => {
+  try {
+    const bundle = await Bundle.findById(req.params.id)
+      .populate('courses', 'title shortDescription price thumbnail isPublished rating')
+      .populate('createdBy', 'name');
+
+    if (!bundle || (!bundle.isPublished && !canManageBundle(req.user, bundle))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toBundleData(bundle)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create bundle
+// @route   POST /api/bundles
+// @access  Private (Admin - own courses, SuperAdmin - any courses)
+router.post('/', protect, requireAdmin, bundleValidation(), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const courseError = await validateBundleCourses(req.user, req.body.courses);
+    if (courseError) {
+      return res.status(400).json({
+        success: false,
+        message: courseError
+      });
+    }
+
+    const allowedFields = ['title', 'description', 'courses', 'price', 'isPublished'];
+    const bundleData = { createdBy: req.user._id };
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        bundleData[field] = req.body[field];
+      }
+    });
+
+    const bundle = await Bundle.create(bundleData);
+    await bundle.populate('courses', 'title price thumbnail isPublished');
+
+    res.status(201).json({
+      success: true,
+      message: 'Bundle created successfully',
+      data: toBundleData(bundle)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update bundle
+// @route   PUT /api/bundles/:id
+// @access  Private (Admin - own bundles, SuperAdmin - all)
+router.put('/:id', protect, requireAdmin, bundleValidation(true), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bundle = await Bundle.findById(req.params.id);
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    if (!canManageBundle(req.user, bundle)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this bundle'
+      });
+    }
+
+    if (req.body.courses !== undefined) {
+      const courseError = await validateBundleCourses(req.user, req.body.courses);
+      if (courseError) {
+        return res.status(400).json({
+          success: false,
+          message: courseError
+        });
+      }
+    }
+
+    // Changes only apply to new purchases. Payments keep the courses they enrolled.
+    const allowedFields = ['title', 'description', 'courses', 'price', 'isPublished'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        bundle[field] = req.body[field];
+      }
+    });
+
+    await bundle.save();
+    await bundle.populate('courses', 'title price thumbnail isPublished');
+
+    res.status(200).json({
+      success: true,
+      message: 'Bundle updated successfully',
+      data: toBundleData(bundle)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete bundle
+// @route   DELETE /api/bundles/:id
+// @access  Private (Admin - own bundles, SuperAdmin - all)
+router.delete('/:id', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const bundle = await Bundle.findById(req.params.id);
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    if (!canManageBundle(req.user, bundle)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this bundle'
+      });
+    }
+
+    // Bundles that were sold are needed for refunds and revenue stats
+    const paymentCount = await Payment.countDocuments({
+      $or: [{ bundle: bundle._id }, { 'items.bundle': bundle._id }]
+    });
+    if (paymentCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This bundle has payments. Unpublish it instead of deleting it.'
+      });
+    }
+
+    await Bundle.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bundle deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
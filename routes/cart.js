@@ -0,0 +1,327 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const Payment = require('../models/Payment');
+const Coupon = require('../models/Coupon');
+const { protect, requireStudent } = require('../middleware/auth');
+const { createOrder } = require('../utils/razorpay');
+const { getPurchaseItem, resolveCoupon, findPendingPayment } = require('../utils/purchase');
+
+const router = express.Router();
+
+// Helper function to price every item in a cart and flag the ones that can't be
+// bought (unpublished, already owned, or a course the cart already covers)
+async function buildCart(user, cart) {
+  const items = [];
+  const coveredBy = new Map();
+
+  for (const cartItem of cart.items) {
+    const { message, item } = await getPurchaseItem(user, cartItem.course, cartItem.bundle);
+
+    const line = {
+      _id: cartItem._id,
+      type: cartItem.bundle ? 'bundle' : 'course',
+      courseId: cartItem.course,
+      bundleId: cartItem.bundle,
+      title: item ? item.title : null,
+      price: item ? item.price : 0,
+      courseIds: item ? item.courseIds : [],
+      addedAt: cartItem.addedAt,
+      isAvailable: !!item,
+      message: item ? null : message
+    };
+
+    const overlap = line.courseIds.find(courseId => coveredBy.has(courseId.toString()));
+    if (overlap) {
+      line.isAvailable = false;
+      line.message = `Already in your cart through "${coveredBy.get(overlap.toString())}"`;
+    } else {
+      line.courseIds.forEach(courseId => coveredBy.set(courseId.toString(), line.title));
+    }
+
+    items.push({ line, item });
+  }
+
+  const available = items.filter(({ line }) => line.isAvailable);
+
+  return {
+    items,
+    summary: {
+      items: items.map(({ line }) => line),
+      itemCount: items.length,
+      unavailableCount: items.length - available.length,
+      subtotal: available.reduce((total, { line }) => total + line.price, 0)
+    }
+  };
+}
+
+// @desc    Get own cart
+// @route   GET /api/cart
+// @access  Private (Student only)
+router.get('/', protect, requireStudent, async (req, res, next) => {
+  try {
+    const cart = await Cart.findOrCreate(req.user._id);
+    const { summary } = await buildCart(req.user, cart);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add a course or bundle to the cart
+// @route   POST /api/cart/items
+// @access  Private (Student only)
+router.post('/items', protect, requireStudent, [
+  body('courseId').optional().isMongoId().withMessage('Valid course ID is required'),
+  body('bundleId').optional().isMongoId().withMessage('Valid bundle ID is required')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { courseId, bundleId } = req.body;
+
+    const { status, message, item } = await getPurchaseItem(req.user, courseId, bundleId);
+    if (!item) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const cart = await Cart.findOrCreate(req.user._id);
+
+    if (cart.findItem(courseId, bundleId)) {
+      return res.status(400).json({
+        success: false,
+        message: `This ${bundleId ? 'bundle' : 'course'} is already in your cart`
+      });
+    }
+
+    cart.items.push({
+      course: courseId || null,
+      bundle: bundleId || null
+    });
+    await cart.save();
+
+    const { summary } = await buildCart(req.user, cart);
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to cart',
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove an item from the cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Private (Student only)
+router.delete('/items/:itemId', protect, requireStudent, async (req, res, next) => {
+  try {
+    const cart = await Cart.findOrCreate(req.user._id);
+    const cartItem = cart.items.id(req.params.itemId);
+
+    if (!cartItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    cart.items.pull(cartItem._id);
+    await cart.save();
+
+    const { summary } = await buildCart(req.user, cart);
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from cart',
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Private (Student only)
+router.delete('/', protect, requireStudent, async (req, res, next) => {
+  try {
+    await Cart.updateOne({ student: req.user._id }, { $set: { items: [] } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart emptied'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create one Razorpay order for everything in the cart
+// @route   POST /api/cart/checkout
+// @access  Private (Student only)
+router.post('/checkout', protect, requireStudent, [
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { couponCode } = req.body;
+
+    const cart = await Cart.findOrCreate(req.user._id);
+
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const { items, summary } = await buildCart(req.user, cart);
+
+    if (summary.unavailableCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remove the items that are no longer available before checking out',
+        data: summary
+      });
+    }
+
+    const purchaseItems = items.map(({ item }) => item);
+    const courseIds = purchaseItems.flatMap(item => item.courseIds);
+
+    // A new checkout replaces an earlier one the student did not pay for, and
+    // gives back the coupon use it held
+    await Payment.updateMany(
+      { student: req.user._id, status: 'pending', paymentMethod: 'online', 'items.0': { $exists: true } },
+      { $set: { status: 'cancelled' } }
+    );
+    await Payment.releaseCoupons({ student: req.user._id, status: 'cancelled' });
+
+    // Check if there's already a pending payment for any of the courses
+    const existingPayment = await findPendingPayment(req.user._id, courseIds);
+
+    if (existingPayment) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending payment for some of these courses'
+      });
+    }
+
+    // Apply coupon if provided
+    let pricing = {
+      coupon: null,
+      discountAmount: 0,
+      finalAmount: summary.subtotal,
+      discounts: purchaseItems.map(() => 0)
+    };
+    if (couponCode) {
+      pricing = await resolveCoupon(couponCode, purchaseItems, req.user._id);
+      if (pricing.error) {
+        return res.status(400).json({
+          success: false,
+          message: pricing.error
+        });
+      }
+    }
+
+    // Razorpay does not accept orders below ₹1
+    if (pricing.finalAmount < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Discounted amount is too low for online payment'
+      });
+    }
+
+    // Take one of the coupon's uses
+    if (pricing.coupon && !await Coupon.reserve(pricing.coupon._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon usage limit has been reached'
+      });
+    }
+
+    let order;
+    let payment;
+    try {
+      // Create Razorpay order
+      order = await createOrder(pricing.finalAmount, 'INR', `cart_${req.user._id}`);
+
+      // Create payment record with one line item per cart item
+      payment = await Payment.create({
+        student: req.user._id,
+        items: purchaseItems.map((item, index) => ({
+          course: item.course ? item.course._id : null,
+          bundle: item.bundle ? item.bundle._id : null,
+          title: item.title,
+          price: item.price,
+          discountAmount: pricing.discounts[index],
+          amount: Math.round((item.price - pricing.discounts[index]) * 100) / 100,
+          courses: item.courseIds
+        })),
+        amount: pricing.finalAmount,
+        originalAmount: summary.subtotal,
+        discountAmount: pricing.discountAmount,
+        coupon: pricing.coupon ? pricing.coupon._id : null,
+        couponCode: pricing.coupon ? pricing.coupon.code : null,
+        couponHeld: !!pricing.coupon,
+        paymentMethod: 'online',
+        razorpayOrderId: order.id,
+        metadata: {
+          itemCount: purchaseItems.length,
+          studentName: req.user.name,
+          studentEmail: req.user.email
+        }
+      });
+    } catch (error) {
+      // Give the coupon use back
+      if (pricing.coupon) {
+        await Coupon.release(pricing.coupon._id);
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: {
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        paymentId: payment._id,
+        items: payment.items,
+        couponCode: payment.couponCode,
+        discountAmount: payment.discountAmount,
+        payableAmount: payment.amount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
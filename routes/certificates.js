@@ -0,0 +1,182 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Certificate = require('../models/Certificate');
+const Course = require('../models/Course');
+const Progress = require('../models/Progress');
+const { protect, requireStudent } = require('../middleware/auth');
+const { getVerificationUrl, renderCertificate, awardCertificateIfComplete } = require('../utils/certificate');
+
+const router = express.Router();
+
+// @desc    Verify a certificate
+// @route   GET /api/certificates/verify/:code
+// @access  Public
+router.get('/verify/:code', async (req, res, next) => {
+  try {
+    const certificate = await Certificate.findOne({ verificationCode: req.params.code });
+
+    if (!certificate || !certificate.isAuthentic()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found or invalid',
+        data: { valid: false }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valid: true,
+        serial: certificate.serial,
+        holder: certificate.studentName,
+        course: certificate.courseTitle,
+        issuedAt: certificate.issuedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get certificates
+// @route   GET /api/certificates
+// @access  Private (Student - own, Admin - own courses, SuperAdmin - all)
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, courseId = '' } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (req.user.role === 'student') {
+      query.student = req.user._id;
+    } else if (req.user.role === 'admin') {
+      const courseIds = await Course.find({ instructor: req.user._id }).distinct('_id');
+      query.course = { $in: courseIds };
+    }
+
+    if (courseId) {
+      query.$and = [{ course: courseId }];
+    }
+
+    const certificates = await Certificate.find(query)
+      .populate('student', 'name email')
+      .populate('course', 'title')
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Certificate.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: certificates.map(certificate => ({
+        ...certificate.toObject(),
+        verificationUrl: getVerificationUrl(certificate)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Claim certificate for a completed course
+// @route   POST /api/certificates
+// @access  Private (Student only)
+router.post('/', protect, requireStudent, [
+  body('courseId').isMongoId().withMessage('Valid course ID is required')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { courseId } = req.body;
+
+    if (!req.user.hasPurchasedCourse(courseId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must purchase this course to get a certificate'
+      });
+    }
+
+    const certificate = await awardCertificateIfComplete(req.user._id, courseId);
+
+    if (!certificate) {
+      const completion = await Progress.getCompletion([req.user._id], [courseId]);
+
+      return res.status(400).json({
+        success: false,
+        message: 'Complete all materials and pass all tests in the course to get a certificate',
+        data: { completion: completion[`${req.user._id}:${courseId}`] || null }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...certificate.toObject(),
+        verificationUrl: getVerificationUrl(certificate)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download certificate PDF
+// @route   GET /api/certificates/:id/pdf
+// @access  Private (Student - own, Admin - own courses, SuperAdmin - all)
+router.get('/:id/pdf', protect, async (req, res, next) => {
+  try {
+    const certificate = await Certificate.findById(req.params.id).populate('course', 'instructor');
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    // Check access permissions
+    let hasAccess = false;
+
+    if (req.user.role === 'superadmin') {
+      hasAccess = true;
+    } else if (req.user.role === 'admin') {
+      hasAccess = !!certificate.course && certificate.course.instructor.toString() === req.user._id.toString();
+    } else if (req.user.role === 'student') {
+      hasAccess = certificate.student.toString() === req.user._id.toString();
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this certificate'
+      });
+    }
+
+    const pdf = await renderCertificate(certificate);
+
+    res.attachment(`certificate_${certificate.serial}.pdf`);
+    res.type('application/pdf');
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,428 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Course = require('../models/Course');
+const Payment = require('../models/Payment');
+const { protect, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Helper function to check that an admin owns every course a coupon targets
+async function validateCouponCourses(user, scope, courseIds = []) {
+  if (scope === 'global') {
+    if (user.role !== 'superadmin') {
+      return 'Only SuperAdmin can create global coupons';
+    }
+    return null;
+  }
+
+  if (courseIds.length === 0) {
+    return 'At least one course is required for course coupons';
+  }
+
+  const courses = await Course.find({ _id: { $in: courseIds } }).select('instructor');
+  if (courses.length !== courseIds.length) {
+    return 'Some courses do not exist';
+  }
+
+  if (user.role !== 'superadmin' && courses.some(course => course.instructor.toString() !== user._id.toString())) {
+    return 'Not authorized to create coupons for these courses';
+  }
+
+  return null;
+}
+
+const couponValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('code').trim().matches(/^[A-Za-z0-9_-]{3,20}$/).withMessage('Code must be 3-20 letters, numbers, dashes or underscores'),
+    field('discountType').isIn(['percentage', 'flat']).withMessage('Invalid discount type'),
+    field('discountValue').isFloat({ min: 0 }).withMessage('Discount value must be a positive number'),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+    body('scope').optional().isIn(['global', 'course']).withMessage('Invalid scope'),
+    body('courses').optional().isArray().withMessage('Courses must be an array'),
+    body('courses.*').optional().isMongoId().withMessage('Valid course ID is required'),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per user limit must be at least 1'),
+    body('minAmount').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be a positive number'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Valid expiry date is required'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private (Admin - own coupons, SuperAdmin - all)
+router.get('/', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      isActive = 'all',
+      courseId = '',
+      search = ''
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    // Build query
+    let query = {};
+
+    // Admin can only see coupons they created
+    if (req.user.role === 'admin') {
+      query.createdBy = req.user._id;
+    }
+
+    if (isActive !== 'all') query.isActive = isActive === 'true';
+    if (courseId) query.courses = courseId;
+
+    if (search) {
+      query.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const coupons = await Coupon.find(query)
+      .populate('courses', 'title price')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Coupon.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private (Admin - own coupons, SuperAdmin - all)
+router.get('/:id', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('courses', 'title price')
+      .populate('createdBy', 'name email');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (req.user.role !== 'superadmin' && coupon.createdBy._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this coupon'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (Admin/SuperAdmin)
+router.post('/', protect, requireAdmin, couponValidation(), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { scope = 'course', courses = [] } = req.body;
+
+    const courseError = await validateCouponCourses(req.user, scope, courses);
+    if (courseError) {
+      return res.status(400).json({
+        success: false,
+        message: courseError
+      });
+    }
+
+    const allowedFields = ['code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'usageLimit', 'perUserLimit', 'minAmount', 'expiresAt', 'isActive'];
+    const couponData = {
+      scope,
+      courses: scope === 'course' ? courses : [],
+      createdBy: req.user._id
+    };
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        couponData[field] = req.body[field];
+      }
+    });
+
+    const coupon = await Coupon.create(couponData);
+    await coupon.populate('courses', 'title price');
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (Admin - own coupons, SuperAdmin - all)
+router.put('/:id', protect, requireAdmin, couponValidation(true), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (req.user.role !== 'superadmin' && coupon.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this coupon'
+      });
+    }
+
+    // Re-check course ownership when the targeting changes
+    if (req.body.scope !== undefined || req.body.courses !== undefined) {
+      const scope = req.body.scope || coupon.scope;
+      const courses = req.body.courses || coupon.courses.map(course => course.toString());
+
+      const courseError = await validateCouponCourses(req.user, scope, courses);
+      if (courseError) {
+        return res.status(400).json({
+          success: false,
+          message: courseError
+        });
+      }
+
+      coupon.scope = scope;
+      coupon.courses = scope === 'course' ? courses : [];
+    }
+
+    const allowedFields = ['code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'usageLimit', 'perUserLimit', 'minAmount', 'expiresAt', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        coupon[field] = req.body[field];
+      }
+    });
+
+    // Save through the document so cross-field validators run
+    await coupon.save();
+    await coupon.populate('courses', 'title price');
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private (Admin - own coupons, SuperAdmin - all)
+router.delete('/:id', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (req.user.role !== 'superadmin' && coupon.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this coupon'
+      });
+    }
+
+    // Payments keep the coupon code, so history stays readable
+    await Coupon.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get coupon redemption statistics
+// @route   GET /api/coupons/:id/stats
+// @access  Private (Admin - own coupons, SuperAdmin - all)
+router.get('/:id/stats', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (req.user.role !== 'superadmin' && coupon.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this coupon'
+      });
+    }
+
+    const stats = await Payment.aggregate([
+      { $match: { coupon: coupon._id } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          totalAmount: { $sum: '$amount' },
+          totalDiscount: { $sum: '$discountAmount' }
+        }
+      }
+    ]);
+
+    // Top courses the coupon was redeemed on. Bundle payments and cart line
+    // items count for each of their courses, with the discount split evenly.
+    const courseStats = await Payment.aggregate([
+      { $match: { coupon: coupon._id, status: 'completed' } },
+      {
+        $project: {
+          lines: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$items', []] } }, 0] },
+              '$items',
+              [{
+                courses: {
+                  $cond: [{ $gt: [{ $size: { $ifNull: ['$courses', []] } }, 0] }, '$courses', ['$course']]
+                },
+                discountAmount: '$discountAmount'
+              }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$lines' },
+      {
+        $project: {
+          courses: '$lines.courses',
+          discountAmount: {
+            $divide: [{ $ifNull: ['$lines.discountAmount', 0] }, { $max: [{ $size: '$lines.courses' }, 1] }]
+          }
+        }
+      },
+      { $unwind: '$courses' },
+      {
+        $group: {
+          _id: '$courses',
+          count: { $sum: 1 },
+          totalDiscount: { $sum: '$discountAmount' }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: 10 },
+      {
+        $lookup: {
+          from: 'courses',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'course'
+        }
+      },
+      { $unwind: '$course' },
+      {
+        $project: {
+          courseId: '$_id',
+          title: '$course.title',
+          count: 1,
+          totalDiscount: { $round: ['$totalDiscount', 2] }
+        }
+      }
+    ]);
+
+    // Format results
+    const formattedStats = {
+      redemptions: 0,
+      revenue: 0,
+      totalDiscount: 0,
+      pending: 0,
+      remainingUses: null,
+      byStatus: {},
+      byCourse: courseStats
+    };
+
+    stats.forEach(stat => {
+      formattedStats.byStatus[stat._id] = {
+        count: stat.count,
+        amount: stat.totalAmount,
+        discount: stat.totalDiscount
+      };
+
+      if (stat._id === 'completed') {
+        formattedStats.redemptions = stat.count;
+        formattedStats.revenue = stat.totalAmount;
+        formattedStats.totalDiscount = stat.totalDiscount;
+      } else if (stat._id === 'pending') {
+        formattedStats.pending = stat.count;
+      }
+    });
+
+    if (coupon.usageLimit !== null) {
+      formattedStats.remainingUses = Math.max(coupon.usageLimit - coupon.usedCount, 0);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formattedStats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
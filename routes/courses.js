@@ -1,9 +1,15 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Course = require('../models/Course');
+const Bundle = require('../models/Bundle');
 const User = require('../models/User');
-const { protect, requireAdmin, requireSuperAdmin } = require('../middleware/auth');
+const Test = require('../models/Test');
+const TestResult = require('../models/TestResult');
+const Review = require('../models/Review');
+const { protect, optionalAuth, requireAdmin, requireSuperAdmin, requireStudent } = require('../middleware/auth');
 const { uploadFields, handleUploadError, deleteFile } = require('../middleware/upload');
+const { enrollStudent } = require('../utils/enrollment');
+const { sendCourseEnrollmentEmail } = require('../utils/email');
 
 const router = express.Router();
 
@@ -85,7 +91,7 @@ router.get('/', async (req, res, next) => {
 // @desc    Get single course
 // @route   GET /api/courses/:id
 // @access  Public
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
     const course = await Course.findById(req.params.id)
       .populate('instructor', 'name email avatar');
@@ -111,11 +117,20 @@ router.get('/:id', async (req, res, next) => {
       hasAccess = course.canUserAccess(req.user);
     }
 
-    // Hide materials if user doesn't have access
+    // Only show free preview materials if user doesn't have access. Enrolled
+    // students don't see the materials of lessons drip rules still lock.
     const courseData = course.toObject();
     if (!hasAccess) {
-      courseData.materials = [];
+      courseData.materials = courseData.materials.filter(material => material.isPreview);
+    } else if (req.user.role === 'student') {
+      const { materialIds } = course.getLockedItems(await course.getDripProgress(req.user));
+      courseData.materials = courseData.materials.filter(material => !materialIds.includes(material._id.toString()));
     }
+    courseData.modules = await getCurriculumForUser(course, req.user);
+    courseData.rating.breakdown = await Review.getRatingBreakdown(course._id);
+    courseData.installmentPlans = course.installmentPlans
+      .filter(plan => plan.isActive)
+      .map(plan => ({ ...plan.toObject(), installmentAmounts: plan.getInstallmentAmounts() }));
 
     res.status(200).json({
       success: true,
@@ -321,6 +336,9 @@ router.delete('/:id', protect, requireAdmin, async (req, res, next) => {
 
     await Course.findByIdAndDelete(req.params.id);
 
+    // Remove the course from bundles that sell it
+    await Bundle.updateMany({ courses: course._id }, { $pull: { courses: course._id } });
+
     res.status(200).json({
       success: true,
       message: 'Course deleted successfully'
@@ -339,7 +357,8 @@ router.post('/:id/materials', protect, requireAdmin, uploadFields([
   body('title').trim().notEmpty().withMessage('Material title is required'),
   body('type').isIn(['pdf', 'video', 'link']).withMessage('Invalid material type'),
   body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
-  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a positive integer')
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a positive integer'),
+  body('isPreview').optional().isBoolean().withMessage('isPreview must be a boolean').toBoolean()
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -369,7 +388,7 @@ router.post('/:id/materials', protect, requireAdmin, uploadFields([
       });
     }
 
-    const { title, type, description = '', order = 0 } = req.body;
+    const { title, type, description = '', order = 0, isPreview = false } = req.body;
     let url = req.body.url;
 
     // Handle file upload
@@ -390,7 +409,8 @@ router.post('/:id/materials', protect, requireAdmin, uploadFields([
       type,
       url,
       description,
-      order
+      order,
+      isPreview
     };
 
     course.materials.push(material);
@@ -412,7 +432,8 @@ router.post('/:id/materials', protect, requireAdmin, uploadFields([
 router.put('/:id/materials/:materialId', protect, requireAdmin, [
   body('title').optional().trim().notEmpty().withMessage('Material title cannot be empty'),
   body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
-  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a positive integer')
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a positive integer'),
+  body('isPreview').optional().isBoolean().withMessage('isPreview must be a boolean').toBoolean()
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -452,7 +473,7 @@ router.put('/:id/materials/:materialId', protect, requireAdmin, [
     }
 
     // Update material fields
-    const allowedFields = ['title', 'description', 'order', 'url'];
+    const allowedFields = ['title', 'description', 'order', 'url', 'isPreview'];
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) {
         material[field] = req.body[field];
@@ -508,6 +529,9 @@ router.delete('/:id/materials/:materialId', protect, requireAdmin, async (req, r
     }
 
     course.materials.pull(req.params.materialId);
+    course.modules.forEach(courseModule => {
+      courseModule.lessons.forEach(lesson => lesson.materials.pull(req.params.materialId));
+    });
     await course.save();
 
     res.status(200).json({
@@ -519,6 +543,722 @@ router.delete('/:id/materials/:materialId', protect, requireAdmin, async (req, r
   }
 });
 
+// Helper function to load a course the user may edit.
+// Returns { status, message } or { course }.
+async function getManagedCourse(user, courseId) {
+  const course = await Course.findById(courseId);
+
+  if (!course) {
+    return { status: 404, message: 'Course not found' };
+  }
+
+  if (user.role !== 'superadmin' && course.instructor.toString() !== user._id.toString()) {
+    return { status: 403, message: 'Not authorized to update this course' };
+  }
+
+  return { course };
+}
+
+// Helper function to check lesson materials and tests belong to the course
+async function validateCurriculumRefs(course, { materials, test, drip }) {
+  if (materials && materials.some(id => !course.materials.id(id))) {
+    return 'Materials must belong to this course';
+  }
+
+  const testIds = [...new Set([test, drip && drip.afterPassingTest].filter(Boolean).map(String))];
+  if (testIds.length > 0) {
+    const count = await Test.countDocuments({ _id: { $in: testIds }, course: course._id });
+    if (count !== testIds.length) {
+      return 'Tests must belong to this course';
+    }
+  }
+
+  return null;
+}
+
+// Helper function to build the curriculum a user may see: the full tree for
+// enrolled students (with drip rules applied) and staff, the outline otherwise
+async function getCurriculumForUser(course, user) {
+  if (!user || !course.canUserAccess(user)) {
+    return course.getOutline();
+  }
+
+  if (user.role !== 'student') {
+    return course.getCurriculum();
+  }
+
+  return course.getCurriculum(await course.getDripProgress(user));
+}
+
+const dripValidation = [
+  body('drip.afterDays').optional().isInt({ min: 0 }).withMessage('Drip days must be a positive integer').toInt(),
+  body('drip.afterPassingTest').optional({ nullable: true }).isMongoId().withMessage('Valid test ID is required')
+];
+
+const lessonValidation = (optional = false) => [
+  (optional ? body('title').optional() : body('title')).trim().notEmpty().withMessage('Lesson title is required'),
+  body('content').optional().isString().withMessage('Content must be text'),
+  body('materials').optional().isArray().withMessage('Materials must be an array of material IDs'),
+  body('materials.*').optional().isMongoId().withMessage('Valid material ID is required'),
+  body('test').optional({ nullable: true }).isMongoId().withMessage('Valid test ID is required'),
+  body('duration').optional().isInt({ min: 0 }).withMessage('Duration must be a positive number of minutes').toInt(),
+  ...dripValidation
+];
+
+// @desc    Get course curriculum
+// @route   GET /api/courses/:id/curriculum
+// @access  Public (full tree for enrolled students and course staff, outline for others)
+router.get('/:id/curriculum', optionalAuth, async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .populate('modules.lessons.test', 'title duration totalMarks');
+
+    if (!course || (!course.isPublished && !(req.user && req.user.role !== 'student' && course.canUserAccess(req.user)))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const hasAccess = !!req.user && course.canUserAccess(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hasAccess,
+        modules: await getCurriculumForUser(course, req.user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add curriculum module
+// @route   POST /api/courses/:id/modules
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.post('/:id/modules', protect, requireAdmin, [
+  body('title').trim().notEmpty().withMessage('Module title is required'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  ...dripValidation
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const refError = await validateCurriculumRefs(course, { drip: req.body.drip });
+    if (refError) {
+      return res.status(400).json({
+        success: false,
+        message: refError
+      });
+    }
+
+    course.modules.push({
+      title: req.body.title,
+      description: req.body.description,
+      drip: req.body.drip
+    });
+    await course.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Module added successfully',
+      data: course.modules[course.modules.length - 1]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reorder curriculum modules
+// @route   PUT /api/courses/:id/modules/reorder
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.put('/:id/modules/reorder', protect, requireAdmin, [
+  body('order').isArray({ min: 1 }).withMessage('order must be an array of module IDs'),
+  body('order.*').isMongoId().withMessage('Valid module ID is required')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const order = req.body.order.map(String);
+    const currentIds = course.modules.map(courseModule => courseModule._id.toString());
+
+    if (new Set(order).size !== order.length || order.length !== currentIds.length || order.some(id => !currentIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'order must list every module exactly once'
+      });
+    }
+
+    course.modules = order.map(id => course.modules.id(id).toObject());
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Modules reordered successfully',
+      data: course.getOutline()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update curriculum module
+// @route   PUT /api/courses/:id/modules/:moduleId
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.put('/:id/modules/:moduleId', protect, requireAdmin, [
+  body('title').optional().trim().notEmpty().withMessage('Module title cannot be empty'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  ...dripValidation
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const courseModule = course.modules.id(req.params.moduleId);
+
+    if (!courseModule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const refError = await validateCurriculumRefs(course, { drip: req.body.drip });
+    if (refError) {
+      return res.status(400).json({
+        success: false,
+        message: refError
+      });
+    }
+
+    ['title', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        courseModule[field] = req.body[field];
+      }
+    });
+
+    if (req.body.drip !== undefined) {
+      courseModule.drip = { ...courseModule.drip.toObject(), ...req.body.drip };
+    }
+
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Module updated successfully',
+      data: courseModule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete curriculum module and its lessons
+// @route   DELETE /api/courses/:id/modules/:moduleId
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.delete('/:id/modules/:moduleId', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!course.modules.id(req.params.moduleId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    // Materials stay on the course; only the lessons that list them go
+    course.modules.pull(req.params.moduleId);
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Module deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add lesson to a module
+// @route   POST /api/courses/:id/modules/:moduleId/lessons
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.post('/:id/modules/:moduleId/lessons', protect, requireAdmin, lessonValidation(), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const courseModule = course.modules.id(req.params.moduleId);
+
+    if (!courseModule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const { title, content, materials, test, duration, drip } = req.body;
+
+    const refError = await validateCurriculumRefs(course, { materials, test, drip });
+    if (refError) {
+      return res.status(400).json({
+        success: false,
+        message: refError
+      });
+    }
+
+    courseModule.lessons.push({ title, content, materials, test, duration, drip });
+    await course.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Lesson added successfully',
+      data: courseModule.lessons[courseModule.lessons.length - 1]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reorder lessons in a module (lessons from other modules are moved here)
+// @route   PUT /api/courses/:id/modules/:moduleId/lessons/reorder
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.put('/:id/modules/:moduleId/lessons/reorder', protect, requireAdmin, [
+  body('order').isArray().withMessage('order must be an array of lesson IDs'),
+  body('order.*').isMongoId().withMessage('Valid lesson ID is required')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const courseModule = course.modules.id(req.params.moduleId);
+
+    if (!courseModule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const order = req.body.order.map(String);
+    const entries = order.map(id => course.findLesson(id));
+
+    if (entries.some(entry => !entry) || new Set(order).size !== order.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'order must list existing lessons once each'
+      });
+    }
+
+    if (courseModule.lessons.some(lesson => !order.includes(lesson._id.toString()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'order must include every lesson in the module'
+      });
+    }
+
+    const lessons = entries.map(({ lesson }) => lesson.toObject());
+
+    entries
+      .filter(entry => !entry.courseModule._id.equals(courseModule._id))
+      .forEach(entry => entry.courseModule.lessons.pull(entry.lesson._id));
+
+    courseModule.lessons = lessons;
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Lessons reordered successfully',
+      data: course.getOutline()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update lesson
+// @route   PUT /api/courses/:id/modules/:moduleId/lessons/:lessonId
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.put('/:id/modules/:moduleId/lessons/:lessonId', protect, requireAdmin, lessonValidation(true), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const courseModule = course.modules.id(req.params.moduleId);
+    const lesson = courseModule && courseModule.lessons.id(req.params.lessonId);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    const refError = await validateCurriculumRefs(course, req.body);
+    if (refError) {
+      return res.status(400).json({
+        success: false,
+        message: refError
+      });
+    }
+
+    ['title', 'content', 'materials', 'test', 'duration'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        lesson[field] = req.body[field];
+      }
+    });
+
+    if (req.body.drip !== undefined) {
+      lesson.drip = { ...lesson.drip.toObject(), ...req.body.drip };
+    }
+
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Lesson updated successfully',
+      data: lesson
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete lesson
+// @route   DELETE /api/courses/:id/modules/:moduleId/lessons/:lessonId
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.delete('/:id/modules/:moduleId/lessons/:lessonId', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const courseModule = course.modules.id(req.params.moduleId);
+
+    if (!courseModule || !courseModule.lessons.id(req.params.lessonId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    courseModule.lessons.pull(req.params.lessonId);
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Lesson deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const installmentPlanValidation = (optional = false) => [
+  (optional ? body('title').optional() : body('title')).trim().notEmpty().withMessage('Plan title is required'),
+  (optional ? body('installmentCount').optional() : body('installmentCount'))
+    .isInt({ min: 2, max: 12 }).withMessage('Number of installments must be between 2 and 12').toInt(),
+  body('intervalDays').optional().isInt({ min: 1 }).withMessage('Interval must be at least 1 day').toInt(),
+  (optional ? body('totalAmount').optional() : body('totalAmount'))
+    .isFloat({ min: 1 }).withMessage('Plan total must be at least 1').toFloat(),
+  body('gracePeriodDays').optional().isInt({ min: 0 }).withMessage('Grace period must be a positive number of days').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+// @desc    Add installment plan
+// @route   POST /api/courses/:id/installment-plans
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.post('/:id/installment-plans', protect, requireAdmin, installmentPlanValidation(), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (course.price === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Free courses cannot have installment plans'
+      });
+    }
+
+    const { title, installmentCount, intervalDays, totalAmount, gracePeriodDays, isActive } = req.body;
+
+    // Razorpay does not accept orders below ₹1
+    if (totalAmount / installmentCount < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each installment must be at least ₹1'
+      });
+    }
+
+    course.installmentPlans.push({ title, installmentCount, intervalDays, totalAmount, gracePeriodDays, isActive });
+    await course.save();
+
+    const plan = course.installmentPlans[course.installmentPlans.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Installment plan added successfully',
+      data: { ...plan.toObject(), installmentAmounts: plan.getInstallmentAmounts() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update installment plan (students already on the plan keep their terms)
+// @route   PUT /api/courses/:id/installment-plans/:planId
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.put('/:id/installment-plans/:planId', protect, requireAdmin, installmentPlanValidation(true), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const plan = course.installmentPlans.id(req.params.planId);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Installment plan not found'
+      });
+    }
+
+    ['title', 'installmentCount', 'intervalDays', 'totalAmount', 'gracePeriodDays', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        plan[field] = req.body[field];
+      }
+    });
+
+    if (plan.totalAmount / plan.installmentCount < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each installment must be at least ₹1'
+      });
+    }
+
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Installment plan updated successfully',
+      data: { ...plan.toObject(), installmentAmounts: plan.getInstallmentAmounts() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete installment plan (students already on the plan keep paying it)
+// @route   DELETE /api/courses/:id/installment-plans/:planId
+// @access  Private (Admin/SuperAdmin - own courses only for Admin)
+router.delete('/:id/installment-plans/:planId', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const { status, message, course } = await getManagedCourse(req.user, req.params.id);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!course.installmentPlans.id(req.params.planId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Installment plan not found'
+      });
+    }
+
+    course.installmentPlans.pull(req.params.planId);
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Installment plan deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Enroll in a free course
+// @route   POST /api/courses/:id/enroll
+// @access  Private (Student only)
+router.post('/:id/enroll', protect, requireStudent, async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course || !course.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (course.price !== 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This course is not free. Please purchase it to enroll.'
+      });
+    }
+
+    if (req.user.hasPurchasedCourse(course._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already enrolled in this course'
+      });
+    }
+
+    const user = await enrollStudent(req.user._id, course._id, 'free');
+
+    // Send enrollment confirmation email
+    try {
+      await sendCourseEnrollmentEmail(user.email, user.name, course.title, 'free');
+    } catch (emailError) {
+      console.error('Enrollment email error:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Enrolled successfully',
+      data: user.enrolledCourses.find(enrollment => enrollment.course.toString() === course._id.toString())
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Publish/Unpublish course
 // @route   PUT /api/courses/:id/publish
 // @access  Private (Admin/SuperAdmin - own courses only for Admin)
@@ -566,6 +1306,60 @@ router.put('/:id/publish', protect, requireAdmin, [
   }
 });
 
+// @desc    Get course-wide leaderboard over all published tests
+// @route   GET /api/courses/:id/leaderboard
+// @access  Private (Enrolled students, course instructor, SuperAdmin)
+router.get('/:id/leaderboard', protect, async (req, res, next) => {
+  try {
+    const { policy = 'best', limit = 50 } = req.query;
+
+    if (!['best', 'first'].includes(policy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Policy must be best or first'
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!course.canUserAccess(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this leaderboard'
+      });
+    }
+
+    const testIds = await Test.find({ course: course._id, isPublished: true }).distinct('_id');
+
+    const leaderboard = await TestResult.getLeaderboardView(testIds, {
+      policy,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      user: req.user
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        course: {
+          _id: course._id,
+          title: course.title
+        },
+        totalTests: testIds.length,
+        ...leaderboard
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get course categories
 // @route   GET /api/courses/categories/list
 // @access  Public
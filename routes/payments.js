@@ -2,19 +2,305 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Payment = require('../models/Payment');
 const Course = require('../models/Course');
+const Bundle = require('../models/Bundle');
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const PaymentPlan = require('../models/PaymentPlan');
+const Invoice = require('../models/Invoice');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
 const { protect, requireStudent, requireAdmin } = require('../middleware/auth');
 const { uploadSingle, handleUploadError } = require('../middleware/upload');
-const { createOrder, verifyPaymentSignature, getPaymentDetails } = require('../utils/razorpay');
-const { sendCourseEnrollmentEmail, sendPaymentApprovedEmail, sendPaymentRejectedEmail } = require('../utils/email');
+const { createOrder, verifyPaymentSignature, verifyWebhookSignature, getPaymentDetails, refundPayment } = require('../utils/razorpay');
+const { sendCourseEnrollmentEmail, sendPaymentApprovedEmail, sendPaymentReceiptEmail, sendPaymentRejectedEmail, sendPaymentRefundedEmail } = require('../utils/email');
+const { enrollPaymentCourses, revokePaymentCourses } = require('../utils/enrollment');
+const { getPurchaseItem, getInstallmentItem, resolveCoupon, findPendingPayment } = require('../utils/purchase');
+const { renderInvoice, getInvoiceFilename, getInvoiceAttachment, issueInvoice, issueCreditNote } = require('../utils/invoice');
 
 const router = express.Router();
 
-// @desc    Create Razorpay order for course purchase
+// Helper function to load what a create-order or offline request pays for:
+// a course, a bundle or a course installment
+const getRequestedItem = (user, { courseId, bundleId, installmentPlanId, paymentPlanId }) =>
+  (installmentPlanId || paymentPlanId
+    ? getInstallmentItem(user, { courseId, installmentPlanId, paymentPlanId })
+    : getPurchaseItem(user, courseId, bundleId));
+
+// Helper function to build the payment fields for a course or bundle purchase
+const getPurchaseFields = (item, user) => ({
+  course: item.course ? item.course._id : null,
+  bundle: item.bundle ? item.bundle._id : null,
+  courses: item.bundle ? item.courseIds : [],
+  paymentPlan: item.paymentPlan ? item.paymentPlan._id : null,
+  installmentNumber: item.installmentNumber || null,
+  metadata: {
+    [item.bundle ? 'bundleName' : 'courseName']: item.title,
+    studentName: user.name,
+    studentEmail: user.email
+  }
+});
+
+// Helper function to record the payment for a course or bundle purchase. The
+// first installment of a new plan starts the student's installment schedule,
+// and a coupon gives up one of its uses; both are undone again if the payment
+// cannot be recorded. Returns null when the coupon has no uses left.
+async function createPurchasePayment(item, user, fields) {
+  if (fields.coupon && !await Coupon.reserve(fields.coupon)) {
+    return null;
+  }
+
+  const startedPlan = item.installmentPlan
+    ? await PaymentPlan.start(user._id, item.course, item.installmentPlan)
+    : null;
+
+  if (startedPlan) {
+    item.paymentPlan = startedPlan;
+  }
+
+  try {
+    return await Payment.create({
+      student: user._id,
+      ...getPurchaseFields(item, user),
+      originalAmount: item.price,
+      couponHeld: !!fields.coupon,
+      ...fields
+    });
+  } catch (error) {
+    if (startedPlan) {
+      await PaymentPlan.deleteOne({ _id: startedPlan._id });
+    }
+    if (fields.coupon) {
+      await Coupon.release(fields.coupon);
+    }
+    throw error;
+  }
+}
+
+// Helper function to summarize what a payment enrolled the student in
+// (course or bundle must be populated)
+const getEnrollmentSummary = (payment) => ({
+  paymentId: payment._id,
+  courseId: payment.course ? payment.course._id : null,
+  bundleId: payment.bundle ? payment.bundle._id : null,
+  courseName: payment.getItemTitle(),
+  courseIds: payment.getCourseIds()
+});
+
+// Helper function to check an admin sells a course or bundle (or is a superadmin).
+// The course or bundle must be populated.
+const isSeller = (user, { course, bundle }) => user.role === 'superadmin' ||
+  (user.role === 'admin' && (bundle ? bundle.createdBy : course.instructor).toString() === user._id.toString());
+
+// Helper function to check an admin sells everything a payment is for, or with
+// anyItem at least one of its line items
+const canManagePayment = (user, payment, anyItem = false) => {
+  const lines = payment.items.length > 0 ? payment.items : [payment];
+  return anyItem ? lines.some(line => isSeller(user, line)) : lines.every(line => isSeller(user, line));
+};
+
+// Helper function to take what a payment bought out of the student's cart
+const removeFromCart = (payment) => {
+  const lines = payment.items.length > 0 ? payment.items : [payment];
+
+  return Cart.removePurchased(payment.student._id || payment.student, {
+    courseIds: lines.filter(line => line.course).map(line => line.course._id || line.course),
+    bundleIds: lines.filter(line => line.bundle).map(line => line.bundle._id || line.bundle)
+  });
+};
+
+// Helper function to revoke the courses a refund took away. Pass the course IDs
+// the payment gave access to before the refund was processed.
+// A refunded installment also cancels the student's payment plan, and a
+// payment refunded in full gives back the coupon use it held.
+const revokeRefundedCourses = async (payment, activeCourseIds) => {
+  const stillActive = payment.getActiveCourseIds().map(courseId => courseId.toString());
+  const refundedIds = activeCourseIds.filter(courseId => !stillActive.includes(courseId.toString()));
+
+  if (payment.status === 'refunded') {
+    await payment.releaseCoupon();
+  }
+
+  if (payment.paymentPlan && refundedIds.length > 0) {
+    await PaymentPlan.updateOne(
+      { _id: payment.paymentPlan._id || payment.paymentPlan, status: { $ne: 'cancelled' } },
+      { status: 'cancelled', cancelledAt: new Date() }
+    );
+  }
+
+  return revokePaymentCourses(payment, refundedIds);
+};
+
+// Helper function to limit payment queries to an admin's courses and bundles
+async function getAdminPaymentFilter(user) {
+  const courseIds = await Course.find({ instructor: user._id }).distinct('_id');
+  const bundleIds = await Bundle.find({ createdBy: user._id }).distinct('_id');
+
+  return {
+    $or: [
+      { course: { $in: courseIds } },
+      { bundle: { $in: bundleIds } },
+      { 'items.course': { $in: courseIds } },
+      { 'items.bundle': { $in: bundleIds } }
+    ]
+  };
+}
+
+// Helper function to check a user can see a payment: the student who made it,
+// or an admin selling one of its items (payment must be populated)
+const canViewPayment = (user, payment) => (user.role === 'student'
+  ? payment.student._id.toString() === user._id.toString()
+  : canManagePayment(user, payment, true));
+
+// Helper function to load a payment the user may see, for its invoice and credit notes.
+// Returns { status, message } or { payment }.
+async function getViewablePayment(user, paymentId) {
+  const payment = await Payment.findById(paymentId)
+    .populate('student', 'name email')
+    .populate('course', 'title instructor')
+    .populate('bundle', 'title createdBy')
+    .populate('items.course', 'title instructor')
+    .populate('items.bundle', 'title createdBy');
+
+  if (!payment) {
+    return { status: 404, message: 'Payment not found' };
+  }
+
+  if (!canViewPayment(user, payment)) {
+    return { status: 403, message: 'Not authorized to view this payment' };
+  }
+
+  return { payment };
+}
+
+// Helper function to issue the invoice for a completed online payment and email
+// it with the enrollment confirmation (or a receipt for later installments,
+// which don't enroll again)
+async function sendPaymentConfirmation(user, payment) {
+  const invoice = await issueInvoice(payment);
+
+  try {
+    const attachments = invoice ? [await getInvoiceAttachment(invoice)] : [];
+
+    if (payment.installmentNumber > 1) {
+      await sendPaymentReceiptEmail(user.email, user.name, payment.getItemTitle(), payment.amount, attachments);
+    } else {
+      await sendCourseEnrollmentEmail(user.email, user.name, payment.getItemTitle(), 'online', attachments);
+    }
+  } catch (emailError) {
+    console.error('Enrollment email error:', emailError);
+  }
+}
+
+// Helper function to complete a paid online order. The student is enrolled
+// before the payment is saved as completed (enrolling again is harmless), so
+// if anything fails the webhook retry or /verify finishes the job instead of
+// finding a completed payment with no enrollment.
+async function completeOnlinePayment(payment, details) {
+  const user = await enrollPaymentCourses(payment);
+
+  payment.set({ ...details, status: 'completed' });
+  await payment.save();
+
+  await removeFromCart(payment);
+
+  // Send enrollment confirmation email with the invoice
+  await sendPaymentConfirmation(user, payment);
+}
+
+// Helper function to record money taken for a cancelled order: one a newer
+// cart checkout replaced, or one whose coupon hold lapsed. The payment is
+// flagged for an admin to refund instead of enrolling the student.
+function flagPaidAfterCancellation(payment, razorpayPaymentId) {
+  console.error(`Payment ${payment._id} was paid after it was cancelled`);
+  payment.razorpayPaymentId = razorpayPaymentId;
+  payment.metadata = {
+    ...payment.metadata,
+    paidAfterCancellation: true,
+    failureReason: 'Paid after the order was cancelled. The payment must be refunded.'
+  };
+  return payment.save();
+}
+
+// Helper function to apply a captured Razorpay payment
+async function handlePaymentCaptured(payment, paymentEntity) {
+  if (payment.status === 'completed' || payment.isPaidAfterCancellation()) return;
+
+  if (payment.status === 'cancelled') {
+    return flagPaidAfterCancellation(payment, paymentEntity.id);
+  }
+
+  // Razorpay sends amounts in paise. A capture for any other amount is left
+  // pending for an admin to look into.
+  if (paymentEntity.amount !== Math.round(payment.amount * 100)) {
+    console.error(`Captured amount ${paymentEntity.amount} does not match payment ${payment._id}`);
+    payment.metadata = {
+      ...payment.metadata,
+      failureReason: 'Captured amount does not match the order amount'
+    };
+    return payment.save();
+  }
+
+  await completeOnlinePayment(payment, { razorpayPaymentId: paymentEntity.id });
+}
+
+// Helper function to apply a failed Razorpay payment
+async function handlePaymentFailed(payment, paymentEntity) {
+  // A later successful attempt on the same order wins
+  if (payment.status !== 'pending') return;
+
+  payment.status = 'failed';
+  payment.razorpayPaymentId = paymentEntity.id;
+  payment.metadata = {
+    ...payment.metadata,
+    failureReason: paymentEntity.error_description || null
+  };
+  await payment.save();
+}
+
+// Helper function to apply a processed Razorpay refund
+async function handleRefundProcessed(payment, refundEntity) {
+  if (payment.hasRefund(refundEntity.id)) return;
+
+  const activeCourseIds = payment.getActiveCourseIds();
+
+  // Refunds issued through PUT /:id/refund are recorded as pending first and
+  // applied here or by the route, whichever claims the entry first
+  const pendingRefund = refundEntity.notes?.refundId
+    ? payment.refunds.find(refund => refund.status === 'pending' && refund._id.toString() === refundEntity.notes.refundId)
+    : null;
+
+  let refund = pendingRefund;
+  if (pendingRefund) {
+    if (!await payment.completeRefund(pendingRefund, refundEntity.id)) return;
+  } else {
+    // Refunds made from the Razorpay dashboard
+    if (payment.status === 'refunded') return;
+
+    await payment.processRefund(
+      null,
+      refundEntity.amount / 100, // Razorpay sends amounts in paise
+      refundEntity.notes?.reason || 'Refunded via Razorpay',
+      { method: 'razorpay', razorpayRefundId: refundEntity.id }
+    );
+    refund = payment.refunds[payment.refunds.length - 1];
+  }
+
+  await revokeRefundedCourses(payment, activeCourseIds);
+
+  if (!payment.isPaidAfterCancellation()) {
+    await issueCreditNote(payment, refund);
+  }
+}
+
+// @desc    Create Razorpay order for a course or bundle purchase
 // @route   POST /api/payments/create-order
 // @access  Private (Student only)
 router.post('/create-order', protect, requireStudent, [
-  body('courseId').isMongoId().withMessage('Valid course ID is required')
+  body('courseId').optional().isMongoId().withMessage('Valid course ID is required'),
+  body('bundleId').optional().isMongoId().withMessage('Valid bundle ID is required'),
+  body('installmentPlanId').optional().isMongoId().withMessage('Valid installment plan ID is required'),
+  body('paymentPlanId').optional().isMongoId().withMessage('Valid payment plan ID is required'),
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty')
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -27,60 +313,77 @@ router.post('/create-order', protect, requireStudent, [
       });
     }
 
-    const { courseId } = req.body;
+    const { couponCode } = req.body;
 
-    // Check if course exists
-    const course = await Course.findById(courseId);
-    if (!course || !course.isPublished) {
-      return res.status(404).json({
+    const { status, message, item } = await getRequestedItem(req.user, req.body);
+    if (!item) {
+      return res.status(status).json({
         success: false,
-        message: 'Course not found or not available'
+        message
       });
     }
 
-    // Check if student has already purchased this course
-    if (req.user.hasPurchasedCourse(courseId)) {
+    // Check if there's already a pending payment for the course or any course of the bundle
+    const existingPayment = await findPendingPayment(req.user._id, item.courseIds);
+
+    if (existingPayment) {
       return res.status(400).json({
         success: false,
-        message: 'You have already purchased this course'
+        message: `You already have a pending payment for this ${item.bundle ? 'bundle' : 'course'}`
       });
     }
 
-    // Check if there's already a pending payment
-    const existingPayment = await Payment.findOne({
-      student: req.user._id,
-      course: courseId,
-      status: 'pending'
-    });
+    if (couponCode && item.installmentNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupons cannot be used with installment plans'
+      });
+    }
 
-    if (existingPayment) {
+    // Apply coupon if provided
+    let pricing = { coupon: null, discountAmount: 0, finalAmount: item.price };
+    if (couponCode) {
+      pricing = await resolveCoupon(couponCode, [item], req.user._id);
+      if (pricing.error) {
+        return res.status(400).json({
+          success: false,
+          message: pricing.error
+        });
+      }
+    }
+
+    // Razorpay does not accept orders below ₹1
+    if (pricing.finalAmount < 1) {
       return res.status(400).json({
         success: false,
-        message: 'You already have a pending payment for this course'
+        message: 'Discounted amount is too low for online payment'
       });
     }
 
     // Create Razorpay order
     const order = await createOrder(
-      course.price,
+      pricing.finalAmount,
       'INR',
-      `course_${courseId}_${req.user._id}`
+      item.bundle ? `bundle_${item.bundle._id}_${req.user._id}` : `course_${item.course._id}_${req.user._id}`
     );
 
     // Create payment record
-    const payment = await Payment.create({
-      student: req.user._id,
-      course: courseId,
-      amount: course.price,
+    const payment = await createPurchasePayment(item, req.user, {
+      amount: pricing.finalAmount,
+      discountAmount: pricing.discountAmount,
+      coupon: pricing.coupon ? pricing.coupon._id : null,
+      couponCode: pricing.coupon ? pricing.coupon.code : null,
       paymentMethod: 'online',
-      razorpayOrderId: order.id,
-      metadata: {
-        courseName: course.title,
-        studentName: req.user.name,
-        studentEmail: req.user.email
-      }
+      razorpayOrderId: order.id
     });
 
+    if (!payment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon usage limit has been reached'
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
@@ -89,11 +392,27 @@ router.post('/create-order', protect, requireStudent, [
         amount: order.amount,
         currency: order.currency,
         paymentId: payment._id,
-        course: {
-          id: course._id,
-          title: course.title,
-          price: course.price
-        }
+        ...(item.bundle
+          ? {
+            bundle: {
+              id: item.bundle._id,
+              title: item.bundle.title,
+              price: item.bundle.price,
+              courseIds: item.courseIds
+            }
+          }
+          : {
+            course: {
+              id: item.course._id,
+              title: item.course.title,
+              price: item.course.price
+            }
+          }),
+        couponCode: payment.couponCode,
+        discountAmount: payment.discountAmount,
+        payableAmount: payment.amount,
+        paymentPlanId: payment.paymentPlan,
+        installmentNumber: payment.installmentNumber
       }
     });
   } catch (error) {
@@ -126,8 +445,12 @@ router.post('/verify', protect, requireStudent, [
     const payment = await Payment.findOne({
       razorpayOrderId,
       student: req.user._id,
-      status: 'pending'
-    }).populate('course', 'title');
+      // Cancelled orders can still be paid from an open checkout window.
+      // Such payments are flagged for a refund below.
+      status: { $in: ['pending', 'failed', 'completed', 'cancelled'] }
+    })
+      .populate('course', 'title')
+      .populate('bundle', 'title');
 
     if (!payment) {
       return res.status(404).json({
@@ -136,6 +459,15 @@ router.post('/verify', protect, requireStudent, [
       });
     }
 
+    // The webhook may have already reconciled this payment
+    if (payment.status === 'completed') {
+      return res.status(200).json({
+        success: true,
+        message: 'Payment already verified',
+        data: getEnrollmentSummary(payment)
+      });
+    }
+
     // Verify payment signature
     const isValidSignature = verifyPaymentSignature(
       razorpayOrderId,
@@ -144,9 +476,11 @@ router.post('/verify', protect, requireStudent, [
     );
 
     if (!isValidSignature) {
-      // Mark payment as failed
-      payment.status = 'failed';
-      await payment.save();
+      // A cancelled order stays cancelled
+      if (payment.status !== 'cancelled') {
+        payment.status = 'failed';
+        await payment.save();
+      }
 
       return res.status(400).json({
         success: false,
@@ -154,61 +488,137 @@ router.post('/verify', protect, requireStudent, [
       });
     }
 
-    // Update payment record
-    payment.status = 'completed';
-    payment.razorpayPaymentId = razorpayPaymentId;
-    payment.razorpaySignature = razorpaySignature;
-    await payment.save();
+    if (payment.status === 'cancelled') {
+      if (!payment.isPaidAfterCancellation()) {
+        await flagPaidAfterCancellation(payment, razorpayPaymentId);
+      }
 
-    // Enroll student in course
-    const user = await User.findById(req.user._id);
-    user.enrolledCourses.push({
-      course: payment.course._id,
-      paymentStatus: 'completed',
-      paymentMethod: 'online'
-    });
-    await user.save();
+      return res.status(409).json({
+        success: false,
+        message: 'This order was cancelled before it was paid. Your payment will be refunded.'
+      });
+    }
+
+    // Enroll student in the course, or every course of the bundle or cart
+    await completeOnlinePayment(payment, { razorpayPaymentId, razorpaySignature });
 
-    // Update course enrollment count
-    await Course.findByIdAndUpdate(payment.course._id, {
-      $inc: { enrollmentCount: 1 }
+    res.status(200).json({
+      success: true,
+      message: 'Payment verified and course enrolled successfully',
+      data: getEnrollmentSummary(payment)
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Send enrollment confirmation email
-    try {
-      await sendCourseEnrollmentEmail(
-        user.email,
-        user.name,
-        payment.course.title,
-        'online'
-      );
-    } catch (emailError) {
-      console.error('Enrollment email error:', emailError);
+// @desc    Handle Razorpay webhook events
+// @route   POST /api/payments/webhook
+// @access  Public (Razorpay signature required)
+router.post('/webhook', async (req, res, next) => {
+  try {
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+      return res.status(500).json({
+        success: false,
+        message: 'Webhook secret is not configured'
+      });
+    }
+
+    const signature = req.headers['x-razorpay-signature'];
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+
+    if (!signature || !rawBody || !verifyWebhookSignature(rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const { event, payload = {} } = JSON.parse(rawBody.toString('utf8'));
+
+    const paymentEntity = payload.payment ? payload.payment.entity : null;
+    const refundEntity = payload.refund ? payload.refund.entity : null;
+    const orderEntity = payload.order ? payload.order.entity : null;
+
+    // Without an event ID header, the event and the refund or payment it is
+    // about identify a retry of the same event
+    const entity = refundEntity || paymentEntity || orderEntity;
+    const eventId = req.headers['x-razorpay-event-id'] || (entity ? `${event}:${entity.id}` : null);
+
+    // Find the payment record this event belongs to
+    let payment = null;
+    if (event === 'refund.processed' && refundEntity) {
+      payment = await Payment.findOne({ razorpayPaymentId: refundEntity.payment_id });
+    } else if (paymentEntity && paymentEntity.order_id) {
+      payment = await Payment.findOne({ razorpayOrderId: paymentEntity.order_id });
+    } else if (orderEntity) {
+      payment = await Payment.findOne({ razorpayOrderId: orderEntity.id });
+    }
+
+    // Acknowledge events we cannot match so Razorpay stops retrying them
+    if (!payment) {
+      return res.status(200).json({
+        success: true,
+        message: 'No matching payment record'
+      });
+    }
+
+    if (payment.hasProcessedEvent(eventId)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+
+    await payment.populate('course', 'title');
+    await payment.populate('bundle', 'title');
+
+    switch (event) {
+      case 'payment.captured':
+      case 'order.paid':
+        if (paymentEntity) {
+          await handlePaymentCaptured(payment, paymentEntity);
+        }
+        break;
+
+      case 'payment.failed':
+        if (paymentEntity) {
+          await handlePaymentFailed(payment, paymentEntity);
+        }
+        break;
+
+      case 'refund.processed':
+        if (refundEntity) {
+          await handleRefundProcessed(payment, refundEntity);
+        }
+        break;
     }
 
+    payment.recordEvent(eventId, event);
+    await payment.save();
+
     res.status(200).json({
       success: true,
-      message: 'Payment verified and course enrolled successfully',
-      data: {
-        paymentId: payment._id,
-        courseId: payment.course._id,
-        courseName: payment.course.title
-      }
+      message: 'Webhook processed successfully'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Request offline payment
+// @desc    Request offline payment for a course or bundle
 // @route   POST /api/payments/offline
 // @access  Private (Student only)
 router.post('/offline', protect, requireStudent, uploadSingle('screenshot'), handleUploadError, [
-  body('courseId').isMongoId().withMessage('Valid course ID is required'),
+  body('courseId').optional().isMongoId().withMessage('Valid course ID is required'),
+  body('bundleId').optional().isMongoId().withMessage('Valid bundle ID is required'),
+  body('installmentPlanId').optional().isMongoId().withMessage('Valid installment plan ID is required'),
+  body('paymentPlanId').optional().isMongoId().withMessage('Valid payment plan ID is required'),
   body('bankName').trim().notEmpty().withMessage('Bank name is required'),
   body('transactionId').trim().notEmpty().withMessage('Transaction ID is required'),
   body('transactionDate').isISO8601().withMessage('Valid transaction date is required'),
-  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty')
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -221,51 +631,58 @@ router.post('/offline', protect, requireStudent, uploadSingle('screenshot'), han
       });
     }
 
-    const { courseId, bankName, transactionId, transactionDate, notes } = req.body;
+    const { bankName, transactionId, transactionDate, notes, couponCode } = req.body;
 
-    // Check if course exists
-    const course = await Course.findById(courseId);
-    if (!course || !course.isPublished) {
-      return res.status(404).json({
+    const { status, message, item } = await getRequestedItem(req.user, req.body);
+    if (!item) {
+      return res.status(status).json({
         success: false,
-        message: 'Course not found or not available'
+        message
       });
     }
 
-    // Check if student has already purchased this course
-    if (req.user.hasPurchasedCourse(courseId)) {
+    // Check if there's already a pending payment for the course or any course of the bundle
+    const existingPayment = await findPendingPayment(req.user._id, item.courseIds);
+
+    if (existingPayment) {
       return res.status(400).json({
         success: false,
-        message: 'You have already purchased this course'
+        message: `You already have a pending payment for this ${item.bundle ? 'bundle' : 'course'}`
       });
     }
 
-    // Check if there's already a pending payment
-    const existingPayment = await Payment.findOne({
-      student: req.user._id,
-      course: courseId,
-      status: 'pending'
-    });
-
-    if (existingPayment) {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'You already have a pending payment for this course'
+        message: 'Payment screenshot is required'
       });
     }
 
-    if (!req.file) {
+    if (couponCode && item.installmentNumber) {
       return res.status(400).json({
         success: false,
-        message: 'Payment screenshot is required'
+        message: 'Coupons cannot be used with installment plans'
       });
     }
 
+    // Apply coupon if provided
+    let pricing = { coupon: null, discountAmount: 0, finalAmount: item.price };
+    if (couponCode) {
+      pricing = await resolveCoupon(couponCode, [item], req.user._id);
+      if (pricing.error) {
+        return res.status(400).json({
+          success: false,
+          message: pricing.error
+        });
+      }
+    }
+
     // Create offline payment record
-    const payment = await Payment.create({
-      student: req.user._id,
-      course: courseId,
-      amount: course.price,
+    const payment = await createPurchasePayment(item, req.user, {
+      amount: pricing.finalAmount,
+      discountAmount: pricing.discountAmount,
+      coupon: pricing.coupon ? pricing.coupon._id : null,
+      couponCode: pricing.coupon ? pricing.coupon.code : null,
       paymentMethod: 'offline',
       offlineDetails: {
         bankName,
@@ -273,15 +690,18 @@ router.post('/offline', protect, requireStudent, uploadSingle('screenshot'), han
         transactionDate: new Date(transactionDate),
         screenshot: req.file.path,
         notes
-      },
-      metadata: {
-        courseName: course.title,
-        studentName: req.user.name,
-        studentEmail: req.user.email
       }
     });
 
+    if (!payment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon usage limit has been reached'
+      });
+    }
+
     await payment.populate('course', 'title price');
+    await payment.populate('bundle', 'title price');
     await payment.populate('student', 'name email');
 
     res.status(201).json({
@@ -304,7 +724,8 @@ router.get('/history', protect, async (req, res, next) => {
       limit = 10,
       status = 'all',
       paymentMethod = 'all',
-      courseId = ''
+      courseId = '',
+      bundleId = ''
     } = req.query;
 
     const skip = (page - 1) * limit;
@@ -315,21 +736,30 @@ router.get('/history', protect, async (req, res, next) => {
     if (req.user.role === 'student') {
       query.student = req.user._id;
     } else if (req.user.role === 'admin') {
-      // Admin can see payments for their courses
-      const adminCourses = await Course.find({ instructor: req.user._id }).select('_id');
-      const courseIds = adminCourses.map(course => course._id);
-      query.course = { $in: courseIds };
+      // Admin can see payments for their courses and bundles
+      query = await getAdminPaymentFilter(req.user);
     }
     // SuperAdmin can see all payments (no additional query restrictions)
 
     // Apply filters
     if (status !== 'all') query.status = status;
     if (paymentMethod !== 'all') query.paymentMethod = paymentMethod;
-    if (courseId) query.course = courseId;
+    // Course and bundle filters also match the line items of cart payments
+    const filters = [];
+    if (courseId) {
+      filters.push({ $or: [{ course: courseId }, { courses: courseId }, { 'items.courses': courseId }] });
+    }
+    if (bundleId) {
+      filters.push({ $or: [{ bundle: bundleId }, { 'items.bundle': bundleId }] });
+    }
+    if (filters.length > 0) query.$and = filters;
 
     const payments = await Payment.find(query)
       .populate('student', 'name email')
       .populate('course', 'title price instructor')
+      .populate('bundle', 'title price createdBy')
+      .populate('courses', 'title')
+      .populate('items.courses', 'title')
       .populate('approvedBy', 'name')
       .populate('rejectedBy', 'name')
       .sort({ createdAt: -1 })
@@ -353,6 +783,99 @@ router.get('/history', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Get installment payment plans
+// @route   GET /api/payments/plans
+// @access  Private (Student - own plans, Admin - course plans, SuperAdmin - all)
+router.get('/plans', protect, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status = 'all', courseId = '' } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    // Build query based on user role
+    const query = {};
+
+    if (req.user.role === 'student') {
+      query.student = req.user._id;
+    } else if (req.user.role === 'admin') {
+      query.course = { $in: await Course.find({ instructor: req.user._id }).distinct('_id') };
+    }
+
+    // Apply filters
+    if (status !== 'all') query.status = status;
+    // Kept apart from the admin's course restriction
+    if (courseId) query.$and = [{ course: courseId }];
+
+    const plans = await PaymentPlan.find(query)
+      .populate('student', 'name email')
+      .populate('course', 'title')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PaymentPlan.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: plans.map(plan => ({
+        ...plan.toObject(),
+        balance: plan.getBalance(),
+        nextInstallment: plan.getNextInstallment()
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single installment payment plan
+// @route   GET /api/payments/plans/:id
+// @access  Private
+router.get('/plans/:id', protect, async (req, res, next) => {
+  try {
+    const plan = await PaymentPlan.findById(req.params.id)
+      .populate('student', 'name email phone')
+      .populate('course', 'title instructor')
+      .populate('installments.payment', 'status amount paymentMethod createdAt');
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment plan not found'
+      });
+    }
+
+    // Check access permissions
+    const hasAccess = req.user.role === 'superadmin' ||
+      (req.user.role === 'student' && plan.student._id.toString() === req.user._id.toString()) ||
+      (req.user.role === 'admin' && plan.course.instructor.toString() === req.user._id.toString());
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payment plan'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...plan.toObject(),
+        balance: plan.getBalance(),
+        nextInstallment: plan.getNextInstallment()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get single payment
 // @route   GET /api/payments/:id
 // @access  Private
@@ -361,8 +884,14 @@ router.get('/:id', protect, async (req, res, next) => {
     const payment = await Payment.findById(req.params.id)
       .populate('student', 'name email phone')
       .populate('course', 'title price instructor')
+      .populate('bundle', 'title price createdBy')
+      .populate('courses', 'title')
+      .populate('items.course', 'title price instructor')
+      .populate('items.bundle', 'title price createdBy')
+      .populate('items.courses', 'title')
       .populate('approvedBy', 'name email')
-      .populate('rejectedBy', 'name email');
+      .populate('rejectedBy', 'name email')
+      .populate('refunds.processedBy', 'name email');
 
     if (!payment) {
       return res.status(404).json({
@@ -371,18 +900,9 @@ router.get('/:id', protect, async (req, res, next) => {
       });
     }
 
-    // Check access permissions
-    let hasAccess = false;
-
-    if (req.user.role === 'superadmin') {
-      hasAccess = true;
-    } else if (req.user.role === 'admin') {
-      hasAccess = payment.course.instructor.toString() === req.user._id.toString();
-    } else if (req.user.role === 'student') {
-      hasAccess = payment.student._id.toString() === req.user._id.toString();
-    }
-
-    if (!hasAccess) {
+    // Check access permissions (admins see cart payments that include one of
+    // their courses or bundles)
+    if (!canViewPayment(req.user, payment)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this payment'
@@ -398,6 +918,110 @@ router.get('/:id', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Download the GST invoice for a payment
+// @route   GET /api/payments/:id/invoice
+// @access  Private (Student - own payments, Admin - course payments, SuperAdmin - all)
+router.get('/:id/invoice', protect, async (req, res, next) => {
+  try {
+    const { status, message, payment } = await getViewablePayment(req.user, req.params.id);
+    if (!payment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!['completed', 'refunded'].includes(payment.status) || payment.isPaidAfterCancellation()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoices are only available for completed payments'
+      });
+    }
+
+    // Payments completed before invoicing was added get their invoice now
+    const invoice = await Invoice.issueForPayment(payment);
+
+    if (!invoice) {
+      return res.status(409).json({
+        success: false,
+        message: 'The invoice is being issued. Please try again in a moment.'
+      });
+    }
+
+    const pdf = await renderInvoice(invoice);
+
+    res.attachment(getInvoiceFilename(invoice));
+    res.type('application/pdf');
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the credit notes issued for a payment's refunds
+// @route   GET /api/payments/:id/credit-notes
+// @access  Private (Student - own payments, Admin - course payments, SuperAdmin - all)
+router.get('/:id/credit-notes', protect, async (req, res, next) => {
+  try {
+    const { status, message, payment } = await getViewablePayment(req.user, req.params.id);
+    if (!payment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // Credit notes still being numbered are left out
+    const creditNotes = await Invoice.find({ payment: payment._id, type: 'credit_note', number: { $exists: true } })
+      .populate('invoice', 'number')
+      .sort({ issuedAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: creditNotes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download a credit note
+// @route   GET /api/payments/:id/credit-notes/:creditNoteId
+// @access  Private (Student - own payments, Admin - course payments, SuperAdmin - all)
+router.get('/:id/credit-notes/:creditNoteId', protect, async (req, res, next) => {
+  try {
+    const { status, message, payment } = await getViewablePayment(req.user, req.params.id);
+    if (!payment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const creditNote = await Invoice.findOne({
+      _id: req.params.creditNoteId,
+      payment: payment._id,
+      type: 'credit_note',
+      number: { $exists: true }
+    }).populate('invoice', 'number');
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    const pdf = await renderInvoice(creditNote);
+
+    res.attachment(getInvoiceFilename(creditNote));
+    res.type('application/pdf');
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Approve offline payment
 // @route   PUT /api/payments/:id/approve
 // @access  Private (Admin/SuperAdmin)
@@ -405,7 +1029,10 @@ router.put('/:id/approve', protect, requireAdmin, async (req, res, next) => {
   try {
     const payment = await Payment.findById(req.params.id)
       .populate('student', 'name email')
-      .populate('course', 'title instructor');
+      .populate('course', 'title instructor')
+      .populate('bundle', 'title createdBy')
+      .populate('items.course', 'title instructor')
+      .populate('items.bundle', 'title createdBy');
 
     if (!payment) {
       return res.status(404).json({
@@ -415,7 +1042,7 @@ router.put('/:id/approve', protect, requireAdmin, async (req, res, next) => {
     }
 
     // Check if admin can approve this payment
-    if (req.user.role !== 'superadmin' && payment.course.instructor.toString() !== req.user._id.toString()) {
+    if (!canManagePayment(req.user, payment)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to approve this payment'
@@ -439,39 +1066,20 @@ router.put('/:id/approve', protect, requireAdmin, async (req, res, next) => {
     // Approve payment
     await payment.approve(req.user._id);
 
-    // Enroll student in course
-    const user = await User.findById(payment.student._id);
-    
-    // Check if already enrolled
-    const existingEnrollment = user.enrolledCourses.find(
-      enrollment => enrollment.course.toString() === payment.course._id.toString()
-    );
+    // Enroll student in the course, or every course of the bundle
+    await enrollPaymentCourses(payment);
+    await removeFromCart(payment);
 
-    if (!existingEnrollment) {
-      user.enrolledCourses.push({
-        course: payment.course._id,
-        paymentStatus: 'completed',
-        paymentMethod: 'offline'
-      });
-      await user.save();
+    const invoice = await issueInvoice(payment);
 
-      // Update course enrollment count
-      await Course.findByIdAndUpdate(payment.course._id, {
-        $inc: { enrollmentCount: 1 }
-      });
-    } else {
-      // Update existing enrollment
-      existingEnrollment.paymentStatus = 'completed';
-      await user.save();
-    }
-
-    // Send approval email
+    // Send approval email with the invoice
     try {
       await sendPaymentApprovedEmail(
         payment.student.email,
         payment.student.name,
-        payment.course.title,
-        payment.amount
+        payment.getItemTitle(),
+        payment.amount,
+        invoice ? [await getInvoiceAttachment(invoice)] : []
       );
     } catch (emailError) {
       console.error('Approval email error:', emailError);
@@ -508,7 +1116,10 @@ router.put('/:id/reject', protect, requireAdmin, [
 
     const payment = await Payment.findById(req.params.id)
       .populate('student', 'name email')
-      .populate('course', 'title instructor');
+      .populate('course', 'title instructor')
+      .populate('bundle', 'title createdBy')
+      .populate('items.course', 'title instructor')
+      .populate('items.bundle', 'title createdBy');
 
     if (!payment) {
       return res.status(404).json({
@@ -518,7 +1129,7 @@ router.put('/:id/reject', protect, requireAdmin, [
     }
 
     // Check if admin can reject this payment
-    if (req.user.role !== 'superadmin' && payment.course.instructor.toString() !== req.user._id.toString()) {
+    if (!canManagePayment(req.user, payment)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to reject this payment'
@@ -539,15 +1150,16 @@ router.put('/:id/reject', protect, requireAdmin, [
       });
     }
 
-    // Reject payment
+    // Reject payment and give back the coupon use it held
     await payment.reject(req.user._id, reason);
+    await payment.releaseCoupon();
 
     // Send rejection email
     try {
       await sendPaymentRejectedEmail(
         payment.student.email,
         payment.student.name,
-        payment.course.title,
+        payment.getItemTitle(),
         reason
       );
     } catch (emailError) {
@@ -564,6 +1176,165 @@ router.put('/:id/reject', protect, requireAdmin, [
   }
 });
 
+// @desc    Refund payment (full or partial)
+// @route   PUT /api/payments/:id/refund
+// @access  Private (Admin/SuperAdmin)
+router.put('/:id/refund', protect, requireAdmin, [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be greater than 0'),
+  body('reason').trim().notEmpty().withMessage('Refund reason is required'),
+  body('itemId').optional().isMongoId().withMessage('Valid line item ID is required')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason, itemId } = req.body;
+
+    const payment = await Payment.findById(req.params.id)
+      .populate('student', 'name email')
+      .populate('course', 'title instructor')
+      .populate('bundle', 'title createdBy')
+      .populate('items.course', 'title instructor')
+      .populate('items.bundle', 'title createdBy');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Cart payments can be refunded one line item at a time
+    const item = itemId ? payment.items.id(itemId) : null;
+
+    if (itemId && !item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Line item not found'
+      });
+    }
+
+    // Check if admin can refund this payment (or the line item)
+    if (item ? !isSeller(req.user, item) : !canManagePayment(req.user, payment)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to refund this payment'
+      });
+    }
+
+    if (payment.status !== 'completed' && !payment.isPaidAfterCancellation()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed payments can be refunded'
+      });
+    }
+
+    if (item && item.isRefunded) {
+      return res.status(400).json({
+        success: false,
+        message: 'This item has already been refunded'
+      });
+    }
+
+    const refundableAmount = item ? payment.getItemRefundableAmount(item) : payment.getRefundableAmount();
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : refundableAmount;
+
+    if (amount > refundableAmount) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount cannot exceed ₹${refundableAmount}`
+      });
+    }
+
+    const activeCourseIds = payment.getActiveCourseIds();
+    let refund;
+
+    // Online payments are refunded through Razorpay
+    if (payment.paymentMethod === 'online') {
+      if (!payment.razorpayPaymentId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment has no Razorpay payment ID to refund'
+        });
+      }
+
+      // Record the refund as pending first so a refund.processed webhook that
+      // arrives before Razorpay responds applies this entry instead of a new one
+      refund = await payment.startRefund(req.user._id, amount, reason, { itemId });
+
+      let razorpayRefund;
+      try {
+        razorpayRefund = await refundPayment(payment.razorpayPaymentId, amount, {
+          reason,
+          paymentId: payment._id.toString(),
+          refundId: refund._id.toString()
+        });
+      } catch (razorpayError) {
+        await payment.cancelRefund(refund);
+        return res.status(400).json({
+          success: false,
+          message: razorpayError.error?.description || 'Refund could not be processed by Razorpay'
+        });
+      }
+
+      await payment.completeRefund(refund, razorpayRefund.id);
+    } else {
+      await payment.processRefund(req.user._id, amount, reason, { itemId });
+      refund = payment.refunds[payment.refunds.length - 1];
+    }
+
+    const isFullRefund = item ? item.isRefunded : payment.status === 'refunded';
+    const refundedTitle = item ? item.title : payment.getItemTitle();
+
+    // A full refund removes access to the course, or every course of the bundle or item
+    await revokeRefundedCourses(payment, activeCourseIds);
+
+    // Orders paid after they were cancelled never had an invoice to credit
+    const creditNote = payment.isPaidAfterCancellation() ? null : await issueCreditNote(payment, refund);
+
+    // Send refund email with the credit note
+    try {
+      await sendPaymentRefundedEmail(
+        payment.student.email,
+        payment.student.name,
+        refundedTitle,
+        amount,
+        isFullRefund,
+        creditNote ? [await getInvoiceAttachment(creditNote)] : []
+      );
+    } catch (emailError) {
+      console.error('Refund email error:', emailError);
+    }
+
+    // Send in-app notification
+    try {
+      await Notification.notifyUsers([payment.student._id], {
+        title: 'Payment refunded',
+        message: `A ${isFullRefund ? 'full' : 'partial'} refund of ₹${amount} for "${refundedTitle}" has been processed.`,
+        createdBy: req.user._id,
+        metadata: { paymentId: payment._id }
+      });
+    } catch (notificationError) {
+      console.error('Refund notification error:', notificationError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: isFullRefund ? 'Payment refunded successfully' : 'Partial refund processed successfully',
+      data: payment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get payment statistics
 // @route   GET /api/payments/stats
 // @access  Private (Admin/SuperAdmin)
@@ -583,10 +1354,8 @@ router.get('/stats/overview', protect, requireAdmin, async (req, res, next) => {
     let matchQuery = { ...dateFilter };
 
     if (req.user.role === 'admin') {
-      // Admin can only see stats for their courses
-      const adminCourses = await Course.find({ instructor: req.user._id }).select('_id');
-      const courseIds = adminCourses.map(course => course._id);
-      matchQuery.course = { $in: courseIds };
+      // Admin can only see stats for their courses and bundles
+      matchQuery = { ...matchQuery, ...await getAdminPaymentFilter(req.user) };
     }
 
     const stats = await Payment.aggregate([
@@ -612,6 +1381,70 @@ router.get('/stats/overview', protect, requireAdmin, async (req, res, next) => {
       }
     ]);
 
+    // Get revenue per bundle, whether bought on its own or in a cart
+    const bundleStats = await Payment.aggregate([
+      {
+        $match: {
+          ...matchQuery,
+          status: { $in: ['completed', 'refunded'] },
+          $and: [{ $or: [{ bundle: { $ne: null } }, { 'items.bundle': { $ne: null } }] }]
+        }
+      },
+      {
+        $project: {
+          lines: {
+            $cond: [
+              { $ne: ['$bundle', null] },
+              [{ bundle: '$bundle', amount: '$amount', refundAmount: '$refundAmount', isRefunded: { $eq: ['$status', 'refunded'] } }],
+              {
+                $map: {
+                  input: '$items',
+                  as: 'item',
+                  in: {
+                    bundle: '$$item.bundle',
+                    amount: '$$item.amount',
+                    refundAmount: { $cond: [{ $eq: ['$status', 'refunded'] }, '$$item.amount', '$$item.refundAmount'] },
+                    isRefunded: { $or: ['$$item.isRefunded', { $eq: ['$status', 'refunded'] }] }
+                  }
+                }
+              }
+            ]
+          }
+        }
+      },
+      { $unwind: '$lines' },
+      { $match: { 'lines.bundle': { $ne: null } } },
+      {
+        $group: {
+          _id: '$lines.bundle',
+          count: { $sum: { $cond: ['$lines.isRefunded', 0, 1] } },
+          totalAmount: { $sum: '$lines.amount' },
+          refundedAmount: { $sum: '$lines.refundAmount' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'bundles',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'bundle'
+        }
+      },
+      { $unwind: '$bundle' },
+      {
+        $project: {
+          _id: 0,
+          bundleId: '$_id',
+          title: '$bundle.title',
+          count: 1,
+          amount: '$totalAmount',
+          refundedAmount: 1,
+          netAmount: { $subtract: ['$totalAmount', '$refundedAmount'] }
+        }
+      },
+      { $sort: { netAmount: -1 } }
+    ]);
+
     // Format results
     const formattedStats = {
       total: { count: 0, amount: 0 },
@@ -643,6 +1476,8 @@ router.get('/stats/overview', protect, requireAdmin, async (req, res, next) => {
       }
     });
 
+    formattedStats.bundles = bundleStats;
+
     res.status(200).json({
       success: true,
       data: formattedStats
@@ -681,15 +1516,32 @@ router.get('/export/csv', protect, async (req, res, next) => {
     const payments = await Payment.find(query)
       .populate('student', 'name email')
       .populate('course', 'title')
+      .populate('bundle', 'title')
+      .populate('courses', 'title')
+      .populate('items.courses', 'title')
       .sort({ createdAt: -1 });
 
+    // Courses a payment enrolled, including every course of a bundle or cart
+    const getCourseTitles = (payment) => {
+      if (payment.items.length > 0) {
+        return payment.items.flatMap(item => item.courses.map(course => course.title)).join('; ');
+      }
+      return payment.bundle
+        ? payment.courses.map(course => course.title).join('; ')
+        : payment.course.title;
+    };
+
     // Prepare CSV data
     const csvData = payments.map(payment => ({
       'Payment ID': payment._id,
       'Student Name': payment.student.name,
       'Student Email': payment.student.email,
-      'Course Title': payment.course.title,
+      'Course Title': getCourseTitles(payment),
+      'Bundle Title': payment.bundle ? payment.bundle.title : '',
+      'Items': payment.items.map(item => `${item.title} (₹${item.amount})`).join('; '),
       'Amount': payment.amount,
+      'Coupon Code': payment.couponCode || '',
+      'Discount': payment.discountAmount || 0,
       'Currency': payment.currency,
       'Payment Method': payment.paymentMethod,
       'Status': payment.status,
@@ -0,0 +1,232 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Progress = require('../models/Progress');
+const Course = require('../models/Course');
+const { protect, requireStudent } = require('../middleware/auth');
+const { awardCertificateIfComplete } = require('../utils/certificate');
+
+const router = express.Router();
+
+// Helper function to load a course the student is enrolled in.
+// Returns { status, message } or { course }.
+async function getEnrolledCourse(user, courseId) {
+  const course = await Course.findById(courseId).select('title materials modules');
+
+  if (!course) {
+    return { status: 404, message: 'Course not found' };
+  }
+
+  if (!user.hasPurchasedCourse(course._id)) {
+    return { status: 403, message: 'You must purchase this course to track progress' };
+  }
+
+  return { course };
+}
+
+// Helper function to build the progress response for a student
+async function buildProgress(course, progress) {
+  const completion = await Progress.getCompletion([progress.student], [course._id]);
+  const { material: materialId, lesson: lessonId, at } = progress.lastAccessed;
+
+  return {
+    course: { _id: course._id, title: course.title },
+    completion: completion[`${progress.student}:${course._id}`],
+    completedMaterials: progress.completedMaterials,
+    completedLessons: progress.completedLessons,
+    videoPositions: progress.videoPositions,
+    resume: at
+      ? {
+        material: materialId ? course.materials.id(materialId) : null,
+        lessonId,
+        position: materialId ? progress.getVideoPosition(materialId) : 0,
+        accessedAt: at
+      }
+      : null
+  };
+}
+
+// @desc    Get own progress in a course, with where to resume
+// @route   GET /api/progress/:courseId
+// @access  Private (Student - enrolled courses)
+router.get('/:courseId', protect, requireStudent, async (req, res, next) => {
+  try {
+    const { status, message, course } = await getEnrolledCourse(req.user, req.params.courseId);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const progress = await Progress.findOrCreate(req.user._id, course._id);
+
+    res.status(200).json({
+      success: true,
+      data: await buildProgress(course, progress)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Mark a material or lesson complete (or not complete)
+// @route   POST /api/progress/:courseId/complete
+// @access  Private (Student - enrolled courses)
+router.post('/:courseId/complete', protect, requireStudent, [
+  body('materialId').optional().isMongoId().withMessage('Valid material ID is required'),
+  body('lessonId').optional().isMongoId().withMessage('Valid lesson ID is required'),
+  body('completed').optional().isBoolean().withMessage('completed must be a boolean').toBoolean()
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { materialId, lessonId, completed = true } = req.body;
+
+    if (!materialId && !lessonId) {
+      return res.status(400).json({
+        success: false,
+        message: 'materialId or lessonId is required'
+      });
+    }
+
+    const { status, message, course } = await getEnrolledCourse(req.user, req.params.courseId);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // Items of lessons that drip rules still lock can't be completed yet
+    const locked = course.getLockedItems(await course.getDripProgress(req.user));
+
+    if ((materialId && locked.materialIds.includes(materialId)) || (lessonId && locked.lessonIds.includes(lessonId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This lesson is not unlocked yet'
+      });
+    }
+
+    const progress = await Progress.findOrCreate(req.user._id, course._id);
+
+    if (materialId) {
+      if (!course.materials.id(materialId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Material not found'
+        });
+      }
+
+      progress.setMaterialCompleted(materialId, completed);
+    }
+
+    if (lessonId) {
+      const found = course.findLesson(lessonId);
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lesson not found'
+        });
+      }
+
+      progress.setLessonCompleted(found.lesson, completed);
+    }
+
+    await progress.save();
+
+    if (completed) {
+      await awardCertificateIfComplete(req.user._id, course._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: completed ? 'Marked as complete' : 'Marked as not complete',
+      data: await buildProgress(course, progress)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Save the resume point (last item opened and video position)
+// @route   PUT /api/progress/:courseId/resume
+// @access  Private (Student - enrolled courses)
+router.put('/:courseId/resume', protect, requireStudent, [
+  body('materialId').optional({ nullable: true }).isMongoId().withMessage('Valid material ID is required'),
+  body('lessonId').optional({ nullable: true }).isMongoId().withMessage('Valid lesson ID is required'),
+  body('position').optional().isFloat({ min: 0 }).withMessage('Position must be a positive number of seconds').toFloat()
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { materialId, lessonId, position } = req.body;
+
+    if (!materialId && !lessonId) {
+      return res.status(400).json({
+        success: false,
+        message: 'materialId or lessonId is required'
+      });
+    }
+
+    const { status, message, course } = await getEnrolledCourse(req.user, req.params.courseId);
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const material = materialId ? course.materials.id(materialId) : null;
+
+    if (materialId && !material) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material not found'
+      });
+    }
+
+    if (lessonId && !course.findLesson(lessonId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    if (position !== undefined && (!material || material.type !== 'video')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Position can only be saved for video materials'
+      });
+    }
+
+    const progress = await Progress.findOrCreate(req.user._id, course._id);
+    progress.recordAccess({ materialId, lessonId, position });
+    await progress.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Resume point saved',
+      data: await buildProgress(course, progress)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
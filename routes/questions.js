@@ -0,0 +1,335 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Question = require('../models/Question');
+const Test = require('../models/Test');
+const Course = require('../models/Course');
+const { protect, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Helper function to check an admin can tag questions with a course
+async function validateQuestionCourse(user, courseId) {
+  if (!courseId) return null;
+
+  const course = await Course.findById(courseId).select('instructor');
+  if (!course) {
+    return 'Course not found';
+  }
+
+  if (user.role !== 'superadmin' && course.instructor.toString() !== user._id.toString()) {
+    return 'Not authorized to add questions to this course';
+  }
+
+  return null;
+}
+
+// Helper function to check a user can change a bank question
+function canManageQuestion(user, question) {
+  return user.role === 'superadmin' || question.createdBy.toString() === user._id.toString();
+}
+
+const questionValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('question').trim().notEmpty().withMessage('Question text is required'),
+    field('subject').trim().notEmpty().withMessage('Subject is required'),
+    body('topic').optional().trim(),
+    body('type').optional().isIn(['single', 'multiple', 'true_false', 'numeric', 'fill_blank']).withMessage('Invalid question type'),
+    body('options').optional().isArray({ max: 6 }).withMessage('Each question can have at most 6 options'),
+    body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
+    body('marks').optional().isInt({ min: 1 }).withMessage('Marks must be at least 1'),
+    body('negativeMarks').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Negative marks must be a positive number'),
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('courseId').optional({ nullable: true }).isMongoId().withMessage('Valid course ID is required'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const CONTENT_FIELDS = ['question', 'type', 'options', 'partialScoring', 'numericAnswer', 'tolerance', 'acceptedAnswers', 'caseSensitive', 'explanation', 'difficulty', 'marks', 'negativeMarks', 'subject', 'topic', 'tags', 'isActive'];
+
+// @desc    Search question bank
+// @route   GET /api/questions
+// @access  Private (Admin - own and course questions, SuperAdmin - all)
+router.get('/', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      subject = '',
+      topic = '',
+      difficulty = '',
+      type = '',
+      courseId = '',
+      tag = '',
+      isActive = 'true',
+      search = ''
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const filters = [await Question.getAccessFilter(req.user)];
+
+    if (subject) filters.push({ subject: { $regex: subject, $options: 'i' } });
+    if (topic) filters.push({ topic: { $regex: topic, $options: 'i' } });
+    if (difficulty) filters.push({ difficulty });
+    if (type) filters.push({ type });
+    if (courseId) filters.push({ course: courseId });
+    if (tag) filters.push({ tags: tag.toLowerCase() });
+    if (isActive !== 'all') filters.push({ isActive: isActive === 'true' });
+
+    if (search) {
+      filters.push({
+        $or: [
+          { question: { $regex: search, $options: 'i' } },
+          { explanation: { $regex: search, $options: 'i' } }
+        ]
+      });
+    }
+
+    const query = { $and: filters };
+
+    const questions = await Question.find(query)
+      .populate('course', 'title')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Question.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: questions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get question counts by subject, topic and difficulty
+// @route   GET /api/questions/stats/summary
+// @access  Private (Admin - own and course questions, SuperAdmin - all)
+router.get('/stats/summary', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const accessFilter = await Question.getAccessFilter(req.user);
+
+    const summary = await Question.aggregate([
+      { $match: { $and: [accessFilter, { isActive: true }] } },
+      {
+        $group: {
+          _id: {
+            subject: '$subject',
+            topic: '$topic',
+            difficulty: '$difficulty'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.subject': 1, '_id.topic': 1, '_id.difficulty': 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: summary.map(entry => ({
+        ...entry._id,
+        count: entry.count
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single question
+// @route   GET /api/questions/:id
+// @access  Private (Admin - own and course questions, SuperAdmin - all)
+router.get('/:id', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const accessFilter = await Question.getAccessFilter(req.user);
+    const question = await Question.findOne({ $and: [accessFilter, { _id: req.params.id }] })
+      .populate('course', 'title')
+      .populate('createdBy', 'name email');
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add question to the bank
+// @route   POST /api/questions
+// @access  Private (Admin/SuperAdmin)
+router.post('/', protect, requireAdmin, questionValidation(), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const questionError = Test.validateQuestion(req.body);
+    if (questionError) {
+      return res.status(400).json({
+        success: false,
+        message: `Question ${questionError}`
+      });
+    }
+
+    const courseError = await validateQuestionCourse(req.user, req.body.courseId);
+    if (courseError) {
+      return res.status(400).json({
+        success: false,
+        message: courseError
+      });
+    }
+
+    const questionData = {
+      course: req.body.courseId || null,
+      createdBy: req.user._id
+    };
+
+    CONTENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        questionData[field] = req.body[field];
+      }
+    });
+
+    const question = await Question.create(questionData);
+    await question.populate('course', 'title');
+
+    res.status(201).json({
+      success: true,
+      message: 'Question added to bank',
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update bank question
+// @route   PUT /api/questions/:id
+// @access  Private (Admin - own questions, SuperAdmin - all)
+router.put('/:id', protect, requireAdmin, questionValidation(true), async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (!canManageQuestion(req.user, question)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this question'
+      });
+    }
+
+    if (req.body.courseId !== undefined) {
+      const courseError = await validateQuestionCourse(req.user, req.body.courseId);
+      if (courseError) {
+        return res.status(400).json({
+          success: false,
+          message: courseError
+        });
+      }
+
+      question.course = req.body.courseId || null;
+    }
+
+    CONTENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        question[field] = req.body[field];
+      }
+    });
+
+    const questionError = Test.validateQuestion(question.toObject());
+    if (questionError) {
+      return res.status(400).json({
+        success: false,
+        message: `Question ${questionError}`
+      });
+    }
+
+    // Tests keep their own copy, so edits only affect tests built afterwards
+    await question.save();
+    await question.populate('course', 'title');
+
+    res.status(200).json({
+      success: true,
+      message: 'Question updated successfully',
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete bank question
+// @route   DELETE /api/questions/:id
+// @access  Private (Admin - own questions, SuperAdmin - all)
+router.delete('/:id', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (!canManageQuestion(req.user, question)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this question'
+      });
+    }
+
+    await Question.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Question deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,451 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Course = require('../models/Course');
+const { protect, optionalAuth, requireStudent, requireSuperAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SORT_OPTIONS = {
+  recent: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Helper function to check a user teaches a course (or is a superadmin)
+const isCourseStaff = (user, course) => !!user &&
+  (user.role === 'superadmin' || (user.role === 'admin' && course.instructor.toString() === user._id.toString()));
+
+// @desc    Get reported reviews awaiting moderation
+// @route   GET /api/reviews/reported
+// @access  Private (SuperAdmin only)
+router.get('/reported', protect, requireSuperAdmin, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const query = { 'reports.0': { $exists: true } };
+
+    const reviews = await Review.find(query)
+      .populate('student', 'name email')
+      .populate('course', 'title')
+      .populate('reports.user', 'name email')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: reviews,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get reviews for a course
+// @route   GET /api/reviews/course/:courseId
+// @access  Public (course staff also see hidden reviews with includeHidden=true)
+router.get('/course/:courseId', optionalAuth, async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      sort = 'recent',
+      rating = '',
+      includeHidden = 'false'
+    } = req.query;
+
+    if (!SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+      });
+    }
+
+    const course = await Course.findById(req.params.courseId).select('instructor isPublished rating');
+
+    if (!course || (!course.isPublished && !isCourseStaff(req.user, course))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = { course: course._id };
+
+    if (includeHidden !== 'true' || !isCourseStaff(req.user, course)) {
+      query.isHidden = false;
+    }
+
+    if (rating) query.rating = parseInt(rating);
+
+    const reviews = await Review.find(query)
+      .select(isCourseStaff(req.user, course) ? '' : '-reports -moderation')
+      .populate('student', 'name avatar')
+      .populate('reply.repliedBy', 'name')
+      .sort(SORT_OPTIONS[sort])
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: reviews,
+      rating: {
+        average: course.rating.average,
+        count: course.rating.count,
+        breakdown: await Review.getRatingBreakdown(course._id)
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Review a course
+// @route   POST /api/reviews
+// @access  Private (Students who purchased the course)
+router.post('/', protect, requireStudent, [
+  body('courseId').isMongoId().withMessage('Valid course ID is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toInt(),
+  body('title').optional().trim().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Review cannot exceed 2000 characters')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { courseId, rating, title, comment } = req.body;
+
+    if (!req.user.hasPurchasedCourse(courseId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must purchase this course to review it'
+      });
+    }
+
+    const existingReview = await Review.findOne({ course: courseId, student: req.user._id });
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this course'
+      });
+    }
+
+    const review = await Review.create({
+      course: courseId,
+      student: req.user._id,
+      rating,
+      title,
+      comment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update own review
+// @route   PUT /api/reviews/:id
+// @access  Private (Review author)
+router.put('/:id', protect, [
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toInt(),
+  body('title').optional().trim().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Review cannot exceed 2000 characters')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.student.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this review'
+      });
+    }
+
+    ['rating', 'title', 'comment'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field];
+      }
+    });
+
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete review
+// @route   DELETE /api/reviews/:id
+// @access  Private (Review author or SuperAdmin)
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (req.user.role !== 'superadmin' && review.student.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this review'
+      });
+    }
+
+    await review.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reply to a review
+// @route   PUT /api/reviews/:id/reply
+// @access  Private (Course instructor or SuperAdmin)
+router.put('/:id/reply', protect, [
+  body('text').trim().notEmpty().withMessage('Reply text is required')
+    .isLength({ max: 1000 }).withMessage('Reply cannot exceed 1000 characters')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id).populate('course', 'instructor');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (!isCourseStaff(req.user, review.course)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reply to this review'
+      });
+    }
+
+    review.reply = {
+      text: req.body.text,
+      repliedBy: req.user._id,
+      repliedAt: new Date()
+    };
+
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply saved successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete reply to a review
+// @route   DELETE /api/reviews/:id/reply
+// @access  Private (Course instructor or SuperAdmin)
+router.delete('/:id/reply', protect, async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id).populate('course', 'instructor');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (!isCourseStaff(req.user, review.course)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this reply'
+      });
+    }
+
+    review.reply = { text: null, repliedBy: null, repliedAt: null };
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Report a review
+// @route   POST /api/reviews/:id/report
+// @access  Private
+router.post('/:id/report', protect, [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.student.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    if (review.reports.some(report => report.user.toString() === req.user._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    review.reports.push({ user: req.user._id, reason: req.body.reason });
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review reported. A moderator will look at it.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Hide or unhide a review
+// @route   PUT /api/reviews/:id/hide
+// @access  Private (SuperAdmin only)
+router.put('/:id/hide', protect, requireSuperAdmin, [
+  body('isHidden').isBoolean().withMessage('isHidden must be a boolean').toBoolean(),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.isHidden = req.body.isHidden;
+    review.moderation = {
+      moderatedBy: req.user._id,
+      reason: req.body.reason || null,
+      moderatedAt: new Date()
+    };
+
+    // Reports are resolved once a moderator has looked at the review
+    review.reports = [];
+
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: review.isHidden ? 'Review hidden successfully' : 'Review is visible again',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
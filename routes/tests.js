@@ -3,19 +3,105 @@ const { body, validationResult } = require('express-validator');
 const Test = require('../models/Test');
 const TestResult = require('../models/TestResult');
 const Course = require('../models/Course');
+const User = require('../models/User');
+const Question = require('../models/Question');
+const Notification = require('../models/Notification');
+const fs = require('fs');
 const { protect, requireAdmin, requireStudent } = require('../middleware/auth');
+const { uploadSingle, handleUploadError, deleteFile } = require('../middleware/upload');
+const { createSeed } = require('../utils/shuffle');
+const { getProvider, getProviderNames, validateGeneratedQuestions } = require('../utils/questionGenerator');
+const { FORMATS, detectFormat, parseCsvRecords, parseQuestions, exportQuestions } = require('../utils/questionFormats');
+const { parseAnswerSheet, renderTestPaper, renderAnswerKey } = require('../utils/testPaper');
+const { awardCertificateIfComplete } = require('../utils/certificate');
 
 const router = express.Router();
 
-// @desc    Generate AI-based mock test (placeholder)
+// Fields a test may override on a question taken from the bank
+const BANK_OVERRIDE_FIELDS = ['marks', 'negativeMarks', 'section'];
+
+const pickOverrides = (source) => BANK_OVERRIDE_FIELDS.reduce((overrides, field) => {
+  if (source[field] !== undefined) {
+    overrides[field] = source[field];
+  }
+  return overrides;
+}, {});
+
+// A bank reference names a bank question without copying its content
+const isBankReference = (question) => !!question.bankQuestion && !question.question;
+
+// Helper function to expand bank references and draw rules into test questions
+async function buildTestQuestions(user, questions = [], questionRules = []) {
+  const accessFilter = await Question.getAccessFilter(user);
+  const bankIds = questions.filter(isBankReference).map(q => q.bankQuestion);
+
+  const bankQuestions = bankIds.length > 0
+    ? await Question.find({ $and: [accessFilter, { _id: { $in: bankIds } }] })
+    : [];
+
+  const testQuestions = [];
+
+  for (const question of questions) {
+    if (!isBankReference(question)) {
+      testQuestions.push(question);
+      continue;
+    }
+
+    const bankQuestion = bankQuestions.find(q => q._id.toString() === question.bankQuestion.toString());
+    if (!bankQuestion) {
+      return { error: 'Some bank questions do not exist or are not accessible' };
+    }
+
+    testQuestions.push(Question.toTestQuestion(bankQuestion, pickOverrides(question)));
+  }
+
+  // Rules never draw a question that is already on the test
+  const usedIds = questions.filter(q => q.bankQuestion).map(q => q.bankQuestion);
+
+  for (let i = 0; i < questionRules.length; i++) {
+    const rule = questionRules[i];
+    const filter = { subject: rule.subject };
+
+    if (rule.topic) filter.topic = rule.topic;
+    if (rule.difficulty) filter.difficulty = rule.difficulty;
+    if (rule.type) filter.type = rule.type;
+    if (rule.courseId) filter.course = rule.courseId;
+    if (rule.tags && rule.tags.length > 0) filter.tags = { $all: rule.tags.map(tag => tag.toLowerCase()) };
+
+    const drawn = await Question.drawRandom({ $and: [accessFilter, filter] }, rule.count, usedIds);
+    if (drawn.length < rule.count) {
+      return { error: `Rule ${i + 1} needs ${rule.count} questions but only ${drawn.length} match in the question bank` };
+    }
+
+    drawn.forEach(bankQuestion => {
+      usedIds.push(bankQuestion._id);
+      testQuestions.push(Question.toTestQuestion(bankQuestion, pickOverrides(rule)));
+    });
+  }
+
+  return { questions: testQuestions };
+}
+
+const questionSourceValidation = [
+  body('questions.*.bankQuestion').optional().isMongoId().withMessage('Valid bank question ID is required'),
+  body('questionRules').optional().isArray().withMessage('Question rules must be an array'),
+  body('questionRules.*.subject').trim().notEmpty().withMessage('Each question rule needs a subject'),
+  body('questionRules.*.count').isInt({ min: 1, max: 100 }).withMessage('Each question rule needs a count between 1 and 100'),
+  body('questionRules.*.difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
+  body('questionRules.*.courseId').optional().isMongoId().withMessage('Valid course ID is required')
+];
+
+// @desc    Generate mock test from the question bank or a question generator
 // @route   POST /api/tests/generate
 // @access  Private (Admin/SuperAdmin)
 router.post('/generate', protect, requireAdmin, [
   body('subject').trim().notEmpty().withMessage('Subject is required'),
   body('topic').optional().trim(),
-  body('numQuestions').isInt({ min: 1, max: 50 }).withMessage('Number of questions must be between 1 and 50'),
+  body('numQuestions').isInt({ min: 1, max: 50 }).toInt().withMessage('Number of questions must be between 1 and 50'),
   body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
-  body('courseId').isMongoId().withMessage('Valid course ID is required')
+  body('courseId').isMongoId().withMessage('Valid course ID is required'),
+  body('source').optional().isIn(['bank', 'generator']).withMessage('Source must be bank or generator'),
+  body('provider').optional().isString().withMessage('Provider must be a string')
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -28,7 +114,8 @@ router.post('/generate', protect, requireAdmin, [
       });
     }
 
-    const { subject, topic, numQuestions, difficulty = 'medium', courseId } = req.body;
+    const { subject, topic, numQuestions, difficulty, courseId } = req.body;
+    const source = req.body.source || (req.body.provider ? 'generator' : 'bank');
 
     // Verify course exists and user has access
     const course = await Course.findById(courseId);
@@ -47,38 +134,79 @@ router.post('/generate', protect, requireAdmin, [
       });
     }
 
-    // TODO: Integrate with GPT API for actual question generation
-    // For now, generate dummy questions
-    const dummyQuestions = [];
-    
-    for (let i = 1; i <= numQuestions; i++) {
-      dummyQuestions.push({
-        question: `Sample ${subject} question ${i} about ${topic || 'general concepts'}?`,
-        options: [
-          { text: `Option A for question ${i}`, isCorrect: i % 4 === 1 },
-          { text: `Option B for question ${i}`, isCorrect: i % 4 === 2 },
-          { text: `Option C for question ${i}`, isCorrect: i % 4 === 3 },
-          { text: `Option D for question ${i}`, isCorrect: i % 4 === 0 }
-        ],
-        explanation: `This is the explanation for question ${i}`,
-        difficulty,
-        marks: 1
-      });
+    let questions;
+    let generation = null;
+
+    if (source === 'bank') {
+      // Draw questions at random from the question bank
+      const filter = { subject };
+      if (topic) filter.topic = topic;
+      if (difficulty) filter.difficulty = difficulty;
+
+      const accessFilter = await Question.getAccessFilter(req.user);
+      const bankQuestions = await Question.drawRandom({ $and: [accessFilter, filter] }, numQuestions);
+
+      if (bankQuestions.length < numQuestions) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${bankQuestions.length} matching questions found in the question bank`
+        });
+      }
+
+      questions = bankQuestions.map(question => Question.toTestQuestion(question));
+    } else {
+      const provider = getProvider(req.body.provider);
+      if (!provider) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown question generator. Available: ${getProviderNames().join(', ')}`
+        });
+      }
+
+      const request = { subject, topic, difficulty: difficulty || 'medium', numQuestions };
+      let generated;
+
+      try {
+        generated = await provider.generate(request);
+      } catch (error) {
+        console.error('Question generator error:', error);
+        return res.status(502).json({
+          success: false,
+          message: `Question generator failed: ${error.message}`
+        });
+      }
+
+      // Never save output that does not fit the question schema
+      const { questions: generatedQuestions, error: generatedError } = validateGeneratedQuestions(generated.questions, request);
+      if (generatedError) {
+        return res.status(502).json({
+          success: false,
+          message: generatedError
+        });
+      }
+
+      questions = generatedQuestions;
+      generation = {
+        provider: provider.name,
+        model: generated.model || null,
+        prompt: generated.prompt
+      };
     }
 
-    // Create test
+    // Create test as an unpublished draft for review
     const test = await Test.create({
-      title: `AI Generated Test - ${subject}${topic ? ` (${topic})` : ''}`,
-      description: `Auto-generated test for ${subject}${topic ? ` focusing on ${topic}` : ''}`,
+      title: `${generation ? 'AI Generated Test' : 'Practice Test'} - ${subject}${topic ? ` (${topic})` : ''}`,
+      description: `${generation ? 'Generated' : 'Drawn from the question bank'} for ${subject}${topic ? ` focusing on ${topic}` : ''}`,
       course: courseId,
       createdBy: req.user._id,
       subject,
       topic,
-      questions: dummyQuestions,
+      questions,
       duration: Math.max(numQuestions * 2, 30), // 2 minutes per question, minimum 30 minutes
-      passingMarks: Math.ceil(numQuestions * 0.6), // 60% passing
-      isAIGenerated: true,
-      aiPrompt: `Generate ${numQuestions} ${difficulty} questions for ${subject}${topic ? ` on ${topic}` : ''}`
+      passingMarks: Math.ceil(questions.reduce((total, question) => total + question.marks, 0) * 0.6), // 60% passing
+      isPublished: false,
+      isAIGenerated: !!generation,
+      aiPrompt: generation ? JSON.stringify(generation) : null
     });
 
     await test.populate('course', 'title');
@@ -86,7 +214,7 @@ router.post('/generate', protect, requireAdmin, [
 
     res.status(201).json({
       success: true,
-      message: 'AI test generated successfully',
+      message: generation ? 'Test generated as a draft for review' : 'Test generated from question bank',
       data: test
     });
   } catch (error) {
@@ -202,8 +330,18 @@ router.get('/:id', protect, async (req, res, next) => {
     // Check if student has already attempted this test
     if (req.user.role === 'student') {
       const attemptCount = await TestResult.getAttemptCount(test._id, req.user._id);
+      const activeAttempt = await TestResult.getActiveAttempt(test._id, req.user._id);
+
       testData.attemptCount = attemptCount;
       testData.canAttempt = attemptCount < test.maxAttempts && test.isActive();
+      testData.activeAttempt = activeAttempt && !activeAttempt.isExpired()
+        ? { _id: activeAttempt._id, startedAt: activeAttempt.startedAt, expiresAt: activeAttempt.expiresAt }
+        : null;
+
+      // Keep the order consistent with the attempt in progress
+      if (testData.activeAttempt) {
+        testData.questions = test.getQuestionsForStudent(activeAttempt);
+      }
     }
 
     res.status(200).json({
@@ -224,10 +362,18 @@ router.post('/', protect, requireAdmin, [
   body('courseId').isMongoId().withMessage('Valid course ID is required'),
   body('subject').trim().notEmpty().withMessage('Subject is required'),
   body('duration').isInt({ min: 1 }).withMessage('Duration must be at least 1 minute'),
-  body('questions').isArray({ min: 1 }).withMessage('At least one question is required'),
-  body('questions.*.question').trim().notEmpty().withMessage('Question text is required'),
-  body('questions.*.options').isArray({ min: 2, max: 6 }).withMessage('Each question must have 2-6 options'),
-  body('questions.*.marks').optional().isInt({ min: 1 }).withMessage('Marks must be at least 1')
+  body('questions').optional().isArray().withMessage('Questions must be an array'),
+  body('questions.*').custom(question => isBankReference(question) || (typeof question.question === 'string' && question.question.trim() !== '')).withMessage('Question text is required'),
+  ...questionSourceValidation,
+  body('questions.*.type').optional().isIn(['single', 'multiple', 'true_false', 'numeric', 'fill_blank']).withMessage('Invalid question type'),
+  body('questions.*.options').optional().isArray({ max: 6 }).withMessage('Each question can have at most 6 options'),
+  body('questions.*.marks').optional().isInt({ min: 1 }).withMessage('Marks must be at least 1'),
+  body('questions.*.negativeMarks').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Negative marks must be a positive number'),
+  body('negativeMarks').optional().isFloat({ min: 0 }).withMessage('Negative marks must be a positive number'),
+  body('sections').optional().isArray().withMessage('Sections must be an array'),
+  body('sections.*.timeLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Section time limit must be at least 1 minute'),
+  body('sections.*.cutoff').optional().isFloat().withMessage('Section cutoff must be a number'),
+  body('sections.*.negativeMarks').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Negative marks must be a positive number')
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -240,7 +386,7 @@ router.post('/', protect, requireAdmin, [
       });
     }
 
-    const { title, description, courseId, subject, topic, duration, questions, passingMarks, maxAttempts = 1, shuffleQuestions = false, showResults = true, showCorrectAnswers = true, startDate, endDate } = req.body;
+    const { title, description, courseId, subject, topic, duration, questionRules = [], sections = [], negativeMarks = 0, passingMarks, maxAttempts = 1, shuffleQuestions = false, shuffleOptions = false, showResults = true, showCorrectAnswers = true, startDate, endDate } = req.body;
 
     // Verify course exists and user has access
     const course = await Course.findById(courseId);
@@ -259,20 +405,40 @@ router.post('/', protect, requireAdmin, [
       });
     }
 
+    const { questions, error: bankError } = await buildTestQuestions(req.user, req.body.questions, questionRules);
+    if (bankError) {
+      return res.status(400).json({
+        success: false,
+        message: bankError
+      });
+    }
+
+    if (questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one question is required'
+      });
+    }
+
     // Validate questions
     for (let i = 0; i < questions.length; i++) {
-      const question = questions[i];
-      
-      // Check if at least one option is marked as correct
-      const hasCorrectAnswer = question.options.some(option => option.isCorrect);
-      if (!hasCorrectAnswer) {
+      const questionError = Test.validateQuestion(questions[i]);
+      if (questionError) {
         return res.status(400).json({
           success: false,
-          message: `Question ${i + 1} must have at least one correct answer`
+          message: `Question ${i + 1} ${questionError}`
         });
       }
     }
 
+    const sectionError = Test.validateSections(sections, questions);
+    if (sectionError) {
+      return res.status(400).json({
+        success: false,
+        message: sectionError
+      });
+    }
+
     const test = await Test.create({
       title,
       description,
@@ -281,10 +447,13 @@ router.post('/', protect, requireAdmin, [
       subject,
       topic,
       questions,
+      sections,
+      negativeMarks,
       duration,
       passingMarks: passingMarks || Math.ceil(questions.length * 0.6),
       maxAttempts,
       shuffleQuestions,
+      shuffleOptions,
       showResults,
       showCorrectAnswers,
       startDate,
@@ -310,7 +479,11 @@ router.post('/', protect, requireAdmin, [
 router.put('/:id', protect, requireAdmin, [
   body('title').optional().trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
   body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
-  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be at least 1 minute')
+  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be at least 1 minute'),
+  body('negativeMarks').optional().isFloat({ min: 0 }).withMessage('Negative marks must be a positive number'),
+  body('sections').optional().isArray().withMessage('Sections must be an array'),
+  body('questions').optional().isArray({ min: 1 }).withMessage('At least one question is required'),
+  ...questionSourceValidation
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -342,14 +515,15 @@ router.put('/:id', protect, requireAdmin, [
 
     // Don't allow updating if test has been attempted
     const attemptCount = await TestResult.countDocuments({ test: test._id });
-    if (attemptCount > 0 && req.body.questions) {
+    const changesScoring = ['questions', 'questionRules', 'sections', 'negativeMarks'].some(field => req.body[field] !== undefined);
+    if (attemptCount > 0 && changesScoring) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot modify questions after students have attempted the test'
+        message: 'Cannot modify questions, sections or negative marking after students have attempted the test'
       });
     }
 
-    const allowedFields = ['title', 'description', 'duration', 'passingMarks', 'maxAttempts', 'shuffleQuestions', 'showResults', 'showCorrectAnswers', 'startDate', 'endDate', 'isPublished'];
+    const allowedFields = ['title', 'description', 'duration', 'passingMarks', 'maxAttempts', 'shuffleQuestions', 'shuffleOptions', 'showResults', 'showCorrectAnswers', 'startDate', 'endDate', 'isPublished'];
     const updateData = {};
 
     allowedFields.forEach(field => {
@@ -358,16 +532,63 @@ router.put('/:id', protect, requireAdmin, [
       }
     });
 
-    // Allow questions update only if no attempts
-    if (attemptCount === 0 && req.body.questions) {
-      updateData.questions = req.body.questions;
+    // Allow questions update only if no attempts. Rules draw extra questions
+    // on top of the given questions (or the current ones).
+    if (attemptCount === 0 && (req.body.questions || req.body.questionRules)) {
+      const { questions, error: bankError } = await buildTestQuestions(
+        req.user,
+        req.body.questions || test.questions.map(q => q.toObject()),
+        req.body.questionRules
+      );
+      if (bankError) {
+        return res.status(400).json({
+          success: false,
+          message: bankError
+        });
+      }
+
+      for (let i = 0; i < questions.length; i++) {
+        const questionError = Test.validateQuestion(questions[i]);
+        if (questionError) {
+          return res.status(400).json({
+            success: false,
+            message: `Question ${i + 1} ${questionError}`
+          });
+        }
+      }
+
+      updateData.questions = questions;
+    }
+
+    // Sections and questions are checked together, whichever of them changed
+    if (attemptCount === 0 && (updateData.questions || req.body.sections)) {
+      const sectionError = Test.validateSections(
+        req.body.sections || test.sections,
+        updateData.questions || test.questions
+      );
+      if (sectionError) {
+        return res.status(400).json({
+          success: false,
+          message: sectionError
+        });
+      }
+
+      if (req.body.sections) {
+        updateData.sections = req.body.sections;
+      }
+    }
+
+    if (attemptCount === 0 && req.body.negativeMarks !== undefined) {
+      updateData.negativeMarks = req.body.negativeMarks;
     }
 
-    const updatedTest = await Test.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('course', 'title').populate('createdBy', 'name email');
+    // Saved as a document so the total and section marks are recalculated
+    test.set(updateData);
+    await test.save();
+
+    const updatedTest = await Test.findById(test._id)
+      .populate('course', 'title')
+      .populate('createdBy', 'name email');
 
     res.status(200).json({
       success: true,
@@ -404,6 +625,10 @@ router.delete('/:id', protect, requireAdmin, async (req, res, next) => {
     // Delete all test results first
     await TestResult.deleteMany({ test: test._id });
 
+    // Unlink the test from the course curriculum
+    test.course.detachTest(test._id);
+    await test.course.save();
+
     await Test.findByIdAndDelete(req.params.id);
 
     res.status(200).json({
@@ -415,27 +640,20 @@ router.delete('/:id', protect, requireAdmin, async (req, res, next) => {
   }
 });
 
-// @desc    Submit test answers
-// @route   POST /api/tests/:id/submit
-// @access  Private (Student only)
-router.post('/:id/submit', protect, requireStudent, [
-  body('answers').isArray().withMessage('Answers must be an array'),
-  body('answers.*.questionId').isMongoId().withMessage('Valid question ID is required'),
-  body('answers.*.selectedOption').isMongoId().withMessage('Valid option ID is required'),
-  body('timeTaken').isInt({ min: 1 }).withMessage('Time taken must be at least 1 minute')
-], async (req, res, next) => {
+// @desc    Import questions from a CSV, JSON, GIFT or Aiken file
+// @route   POST /api/tests/:id/questions/import
+// @access  Private (Admin/SuperAdmin - own tests only for Admin)
+router.post('/:id/questions/import', protect, requireAdmin, uploadSingle('questions'), handleUploadError, async (req, res, next) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors.array()
+        message: 'Please upload a questions file'
       });
     }
 
-    const { answers, timeTaken } = req.body;
+    const content = await fs.promises.readFile(req.file.path, 'utf8');
+    deleteFile(req.file.path);
 
     const test = await Test.findById(req.params.id).populate('course');
 
@@ -446,132 +664,104 @@ router.post('/:id/submit', protect, requireStudent, [
       });
     }
 
-    // Check if student has access to this test
-    if (!test.isPublished || !req.user.hasPurchasedCourse(test.course._id)) {
+    // Check if user can update this test
+    if (req.user.role !== 'superadmin' && test.course.instructor.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to take this test'
+        message: 'Not authorized to update this test'
       });
     }
 
-    // Check if test is active
-    if (!test.isActive()) {
+    const attemptCount = await TestResult.countDocuments({ test: test._id });
+    if (attemptCount > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Test is not currently active'
+        message: 'Cannot modify questions after students have attempted the test'
       });
     }
 
-    // Check attempt limit
-    const attemptCount = await TestResult.getAttemptCount(test._id, req.user._id);
-    if (attemptCount >= test.maxAttempts) {
+    const format = detectFormat(req.file.originalname, content, req.body.format);
+    if (!format) {
       return res.status(400).json({
         success: false,
-        message: 'Maximum attempts exceeded'
+        message: `Unsupported format. Use one of: ${FORMATS.join(', ')}`
       });
     }
 
-    // Grade the test
-    let marksObtained = 0;
-    const gradedAnswers = [];
-
-    for (const answer of answers) {
-      const question = test.questions.id(answer.questionId);
-      if (!question) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid question ID'
-        });
+    const { items, errors } = parseQuestions(format, content);
+    const sectionNames = test.sections.map(section => section.name);
+    const rowErrors = [...errors];
+    let imported = 0;
+
+    // Validate each row on its own so one bad row does not block the rest
+    for (const { row, question } of items) {
+      const questionError = Test.validateQuestion(question);
+      if (questionError) {
+        rowErrors.push({ row, message: `Question ${questionError}` });
+        continue;
       }
 
-      const selectedOption = question.options.id(answer.selectedOption);
-      if (!selectedOption) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid option ID'
-        });
+      if (sectionNames.length > 0 ? !sectionNames.includes(question.section) : question.section) {
+        rowErrors.push({ row, message: sectionNames.length > 0 ? `Section must be one of: ${sectionNames.join(', ')}` : 'Test has no sections' });
+        continue;
       }
 
-      const isCorrect = selectedOption.isCorrect;
-      const questionMarks = isCorrect ? question.marks : 0;
-      marksObtained += questionMarks;
+      const subdoc = test.questions.create(question);
+      const validationError = subdoc.validateSync();
+      if (validationError) {
+        rowErrors.push({ row, message: Object.values(validationError.errors).map(err => err.message).join(', ') });
+        continue;
+      }
 
-      gradedAnswers.push({
-        questionId: answer.questionId,
-        selectedOption: answer.selectedOption,
-        isCorrect,
-        marksObtained: questionMarks,
-        timeTaken: answer.timeTaken || 0
-      });
+      test.questions.push(subdoc);
+      imported++;
     }
 
-    // Calculate percentage and pass status
-    const percentage = Math.round((marksObtained / test.totalMarks) * 100);
-    const isPassed = marksObtained >= test.passingMarks;
-
-    // Create test result
-    const testResult = await TestResult.create({
-      test: test._id,
-      student: req.user._id,
-      course: test.course._id,
-      answers: gradedAnswers,
-      totalMarks: test.totalMarks,
-      marksObtained,
-      percentage,
-      isPassed,
-      timeTaken,
-      startedAt: new Date(Date.now() - (timeTaken * 60 * 1000)), // Calculate start time
-      submittedAt: new Date(),
-      attemptNumber: attemptCount + 1
-    });
-
-    await testResult.populate('test', 'title showResults showCorrectAnswers');
-
-    // Prepare response based on test settings
-    let responseData = {
-      _id: testResult._id,
-      marksObtained,
-      totalMarks: test.totalMarks,
-      percentage,
-      isPassed,
-      timeTaken,
-      attemptNumber: testResult.attemptNumber
-    };
+    rowErrors.sort((a, b) => a.row - b.row);
 
-    if (test.showResults) {
-      responseData.answers = testResult.answers;
+    if (imported === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid questions found',
+        errors: rowErrors
+      });
     }
 
-    if (test.showCorrectAnswers) {
-      responseData.correctAnswers = test.questions.map(q => ({
-        questionId: q._id,
-        correctOptions: q.options.filter(opt => opt.isCorrect).map(opt => opt._id),
-        explanation: q.explanation
-      }));
-    }
+    await test.save();
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Test submitted successfully',
-      data: responseData
+      message: `Imported ${imported} of ${imported + rowErrors.length} questions`,
+      data: {
+        format,
+        imported,
+        failed: rowErrors.length,
+        errors: rowErrors,
+        totalQuestions: test.questions.length,
+        totalMarks: test.totalMarks
+      }
     });
   } catch (error) {
+    if (req.file) {
+      deleteFile(req.file.path);
+    }
     next(error);
   }
 });
 
-// @desc    Get test results
-// @route   GET /api/tests/:id/results
-// @access  Private
-router.get('/:id/results', protect, async (req, res, next) => {
+// @desc    Export questions as CSV, JSON, GIFT or Aiken
+// @route   GET /api/tests/:id/questions/export
+// @access  Private (Admin/SuperAdmin - own tests only for Admin)
+router.get('/:id/questions/export', protect, requireAdmin, async (req, res, next) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      studentId = ''
-    } = req.query;
+    const { format = 'csv' } = req.query;
 
-    const skip = (page - 1) * limit;
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${FORMATS.join(', ')}`
+      });
+    }
 
     const test = await Test.findById(req.params.id).populate('course');
 
@@ -582,97 +772,1075 @@ router.get('/:id/results', protect, async (req, res, next) => {
       });
     }
 
-    let query = { test: test._id };
-
-    // Role-based access control
-    if (req.user.role === 'student') {
-      // Students can only see their own results
-      query.student = req.user._id;
-    } else if (req.user.role === 'admin') {
-      // Admins can only see results from their courses
-      if (test.course.instructor.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to view results for this test'
-        });
-      }
+    if (req.user.role !== 'superadmin' && test.course.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export this test'
+      });
     }
-    // SuperAdmin can see all results
 
-    // Filter by student if specified (for admin/superadmin)
-    if (studentId && req.user.role !== 'student') {
-      query.student = studentId;
-    }
+    const { content, contentType, extension } = exportQuestions(format, test.questions.map(q => q.toObject()));
+    const filename = test.title.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'questions';
 
-    const results = await TestResult.find(query)
-      .populate('student', 'name email')
-      .populate('test', 'title totalMarks')
-      .sort({ submittedAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    res.attachment(`${filename}.${extension}`);
+    res.type(contentType);
+    res.send(content);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const total = await TestResult.countDocuments(query);
+// Helper function to load a test an admin may print, with its paper sets.
+// Returns { status, message } or { test, sets }.
+async function getPrintableTest(user, testId, setCount = 1) {
+  const count = parseInt(setCount, 10);
 
-    res.status(200).json({
-      success: true,
-      data: results,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+  if (!Number.isInteger(count) || count < 1 || count > 4) {
+    return { status: 400, message: 'sets must be between 1 and 4' };
+  }
+
+  const test = await Test.findById(testId).populate('course');
+
+  if (!test) {
+    return { status: 404, message: 'Test not found' };
+  }
+
+  if (user.role !== 'superadmin' && test.course.instructor.toString() !== user._id.toString()) {
+    return { status: 403, message: 'Not authorized to print this test' };
+  }
+
+  if (test.questions.length === 0) {
+    return { status: 400, message: 'Test has no questions' };
+  }
+
+  return { test, sets: test.getPaperSets(count) };
+}
+
+const getPaperFilename = (test, suffix) =>
+  `${test.title.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'test'}_${suffix}.pdf`;
+
+// @desc    Download printable question paper with OMR answer sheets
+// @route   GET /api/tests/:id/paper.pdf
+// @access  Private (Admin/SuperAdmin - own tests only for Admin)
+router.get('/:id/paper.pdf', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const printable = await getPrintableTest(req.user, req.params.id, req.query.sets);
+    if (printable.message) {
+      return res.status(printable.status).json({
+        success: false,
+        message: printable.message
+      });
+    }
+
+    const pdf = await renderTestPaper(printable.test, printable.sets);
+
+    res.attachment(getPaperFilename(printable.test, 'paper'));
+    res.type('application/pdf');
+    res.send(pdf);
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Get detailed test result
-// @route   GET /api/tests/results/:resultId
-// @access  Private
-router.get('/results/:resultId', protect, async (req, res, next) => {
+// @desc    Download answer key for each paper set
+// @route   GET /api/tests/:id/answer-key.pdf
+// @access  Private (Admin/SuperAdmin - own tests only for Admin)
+router.get('/:id/answer-key.pdf', protect, requireAdmin, async (req, res, next) => {
   try {
-    const result = await TestResult.findById(req.params.resultId)
-      .populate('test', 'title questions showCorrectAnswers')
-      .populate('student', 'name email')
-      .populate('course', 'title');
-
-    if (!result) {
-      return res.status(404).json({
+    const printable = await getPrintableTest(req.user, req.params.id, req.query.sets);
+    if (printable.message) {
+      return res.status(printable.status).json({
         success: false,
-        message: 'Test result not found'
+        message: printable.message
       });
     }
 
-    // Check access permissions
-    let hasAccess = false;
+    const pdf = await renderAnswerKey(printable.test, printable.sets);
 
-    if (req.user.role === 'superadmin') {
-      hasAccess = true;
-    } else if (req.user.role === 'admin') {
-      // Check if admin owns the course
-      const test = await Test.findById(result.test._id).populate('course');
-      hasAccess = test.course.instructor.toString() === req.user._id.toString();
-    } else if (req.user.role === 'student') {
-      hasAccess = result.student._id.toString() === req.user._id.toString();
-    }
+    res.attachment(getPaperFilename(printable.test, 'answer_key'));
+    res.type('application/pdf');
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!hasAccess) {
-      return res.status(403).json({
+// @desc    Record paper attempts from a CSV of scanned answer sheets
+// @route   POST /api/tests/:id/results/offline
+// @access  Private (Admin/SuperAdmin - own tests only for Admin)
+router.post('/:id/results/offline', protect, requireAdmin, uploadSingle('answerSheets'), handleUploadError, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to view this result'
+        message: 'Please upload an answer sheet CSV'
       });
     }
 
-    // Add analytics
+    const content = await fs.promises.readFile(req.file.path, 'utf8');
+    deleteFile(req.file.path);
+
+    const conductedAt = req.body.conductedAt ? new Date(req.body.conductedAt) : new Date();
+    if (isNaN(conductedAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid conductedAt date is required'
+      });
+    }
+
+    const test = await Test.findById(req.params.id).populate('course');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    if (req.user.role !== 'superadmin' && test.course.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add results to this test'
+      });
+    }
+
+    if (test.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Test has no questions'
+      });
+    }
+
+    const records = parseCsvRecords(content.replace(/^\uFEFF/, ''))
+      .filter(record => record.some(value => value.trim() !== ''));
+    const header = (records.shift() || []).map(column => column.trim().toLowerCase().replace(/[\s_-]+/g, ''));
+    const columns = {
+      email: header.indexOf('studentemail'),
+      setCode: header.indexOf('setcode'),
+      answers: header.indexOf('answers')
+    };
+
+    if (Object.values(columns).includes(-1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV must have studentEmail, setCode and answers columns'
+      });
+    }
+
+    const emails = records.map(record => (record[columns.email] || '').trim().toLowerCase());
+    const students = await User.find({ email: { $in: emails }, role: 'student' });
+    const offlineStudentIds = (await TestResult.find({ test: test._id, isOffline: true }).distinct('student'))
+      .map(id => id.toString());
+
+    const rowErrors = [];
+    const recorded = [];
+    const seenEmails = new Set();
+
+    // Check each sheet on its own so one bad row does not block the rest
+    for (let i = 0; i < records.length; i++) {
+      const row = i + 2; // header is row 1
+      const email = emails[i];
+      const setCode = (records[i][columns.setCode] || 'A').trim().toUpperCase() || 'A';
+
+      if (seenEmails.has(email)) {
+        rowErrors.push({ row, message: `Duplicate answer sheet for ${email}` });
+        continue;
+      }
+      seenEmails.add(email);
+
+      const student = students.find(user => user.email === email);
+      if (!student) {
+        rowErrors.push({ row, message: `No student found with email ${email || '(blank)'}` });
+        continue;
+      }
+
+      if (!student.hasPurchasedCourse(test.course._id)) {
+        rowErrors.push({ row, message: `${email} is not enrolled in this course` });
+        continue;
+      }
+
+      if (offlineStudentIds.includes(student._id.toString())) {
+        rowErrors.push({ row, message: `A paper attempt is already recorded for ${email}` });
+        continue;
+      }
+
+      const set = test.getPaperSetLayout(setCode);
+      if (!set) {
+        rowErrors.push({ row, message: `Unknown set code "${setCode}"` });
+        continue;
+      }
+
+      const sheet = parseAnswerSheet(test, set, records[i][columns.answers]);
+      if (sheet.error) {
+        rowErrors.push({ row, message: sheet.error });
+        continue;
+      }
+
+      const result = await TestResult.createOffline(test, student._id, {
+        set,
+        answers: sheet.answers,
+        attemptNumber: await TestResult.getNextAttemptNumber(test._id, student._id),
+        conductedAt
+      });
+
+      if (result.isPassed) {
+        await awardCertificateIfComplete(student._id, test.course._id);
+      }
+
+      recorded.push({
+        resultId: result._id,
+        studentEmail: email,
+        setCode,
+        marksObtained: result.marksObtained,
+        percentage: result.percentage,
+        isPassed: result.isPassed
+      });
+    }
+
+    if (recorded.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid answer sheets found',
+        errors: rowErrors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Recorded ${recorded.length} of ${records.length} answer sheets`,
+      data: {
+        recorded: recorded.length,
+        failed: rowErrors.length,
+        errors: rowErrors,
+        results: recorded
+      }
+    });
+  } catch (error) {
+    if (req.file) {
+      deleteFile(req.file.path);
+    }
+    next(error);
+  }
+});
+
+// @desc    Correct a question's answer key and regrade submitted attempts
+// @route   PUT /api/tests/:id/questions/:questionId/answer-key
+// @access  Private (Admin/SuperAdmin - own tests only for Admin)
+router.put('/:id/questions/:questionId/answer-key', protect, requireAdmin, [
+  body('reason').trim().notEmpty().withMessage('Reason for the change is required'),
+  body('correctOptions').optional().isArray({ min: 1 }).withMessage('correctOptions must be a non-empty array of option indexes'),
+  body('correctOptions.*').optional().isInt({ min: 0 }).withMessage('Option indexes must be non-negative integers').toInt(),
+  body('numericAnswer').optional().isFloat().withMessage('Numeric answer must be a number').toFloat(),
+  body('tolerance').optional().isFloat({ min: 0 }).withMessage('Tolerance must be a positive number').toFloat(),
+  body('acceptedAnswers').optional().isArray({ min: 1 }).withMessage('acceptedAnswers must be a non-empty array'),
+  body('caseSensitive').optional().isBoolean().withMessage('caseSensitive must be a boolean')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const test = await Test.findById(req.params.id).populate('course');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    if (req.user.role !== 'superadmin' && test.course.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this test'
+      });
+    }
+
+    const question = test.questions.id(req.params.questionId);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const { correctOptions, numericAnswer, tolerance, acceptedAnswers, caseSensitive, reason } = req.body;
+
+    if (['single', 'multiple', 'true_false'].includes(question.type)) {
+      if (!correctOptions) {
+        return res.status(400).json({
+          success: false,
+          message: 'correctOptions is required for this question type'
+        });
+      }
+
+      if (correctOptions.some(index => index >= question.options.length)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Option index out of range'
+        });
+      }
+
+      question.options.forEach((option, index) => {
+        option.isCorrect = correctOptions.includes(index);
+      });
+    } else if (question.type === 'numeric') {
+      if (numericAnswer === undefined && tolerance === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'numericAnswer or tolerance is required for numeric questions'
+        });
+      }
+
+      if (numericAnswer !== undefined) question.numericAnswer = numericAnswer;
+      if (tolerance !== undefined) question.tolerance = tolerance;
+    } else {
+      if (acceptedAnswers === undefined && caseSensitive === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'acceptedAnswers or caseSensitive is required for fill in the blank questions'
+        });
+      }
+
+      if (acceptedAnswers !== undefined) question.acceptedAnswers = acceptedAnswers;
+      if (caseSensitive !== undefined) question.caseSensitive = caseSensitive;
+    }
+
+    const questionError = Test.validateQuestion(question.toObject());
+    if (questionError) {
+      return res.status(400).json({
+        success: false,
+        message: `Question ${questionError}`
+      });
+    }
+
+    await test.save();
+
+    // Regrade every submitted attempt; in-progress attempts are graded on submit
+    const results = await TestResult.find({
+      test: test._id,
+      status: { $in: ['completed', 'timeout'] }
+    });
+
+    const affected = [];
+
+    for (const result of results) {
+      const previousMarks = result.marksObtained;
+      if (await result.regrade(test, req.user._id, reason)) {
+        affected.push({
+          resultId: result._id,
+          student: result.student,
+          previousMarks,
+          newMarks: result.marksObtained
+        });
+      }
+    }
+
+    // Let students know their score changed
+    const changedStudents = affected
+      .filter(entry => entry.previousMarks !== entry.newMarks)
+      .map(entry => entry.student);
+
+    if (changedStudents.length > 0) {
+      try {
+        await Notification.notifyUsers(changedStudents, {
+          title: 'Test regraded',
+          message: `The answer key for "${test.title}" was corrected and your score has been updated. Reason: ${reason}`,
+          createdBy: req.user._id,
+          metadata: { testId: test._id, questionId: question._id }
+        });
+      } catch (notificationError) {
+        console.error('Regrade notification error:', notificationError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Answer key updated and ${affected.length} of ${results.length} results regraded`,
+      data: {
+        question,
+        totalResults: results.length,
+        regraded: affected
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start or resume a test attempt
+// @route   POST /api/tests/:id/start
+// @access  Private (Student only)
+router.post('/:id/start', protect, requireStudent, async (req, res, next) => {
+  try {
+    const test = await Test.findById(req.params.id).populate('course');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    // Check if student has access to this test
+    if (!test.isPublished || !req.user.hasPurchasedCourse(test.course._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to take this test'
+      });
+    }
+
+    // Tests of lessons that drip rules still lock can't be taken yet
+    const { testIds: lockedTestIds } = test.course.getLockedItems(await test.course.getDripProgress(req.user));
+    if (lockedTestIds.includes(test._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'This test is part of a lesson that is not unlocked yet'
+      });
+    }
+
+    let attempt = await TestResult.getActiveAttempt(test._id, req.user._id);
+    let resumed = true;
+
+    // Close out an attempt that ran out of time before resuming
+    if (attempt && attempt.isExpired()) {
+      await attempt.finalize(test, attempt.savedAnswers, 'timeout');
+      attempt = null;
+    }
+
+    if (!attempt) {
+      resumed = false;
+
+      // Check if test is active
+      if (!test.isActive()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Test is not currently active'
+        });
+      }
+
+      // Check attempt limit
+      const attemptCount = await TestResult.getAttemptCount(test._id, req.user._id);
+      if (attemptCount >= test.maxAttempts) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum attempts exceeded'
+        });
+      }
+
+      const startedAt = new Date();
+      const shuffleSeed = createSeed();
+      const { questionOrder, optionOrder } = test.getAttemptLayout(shuffleSeed);
+
+      attempt = await TestResult.create({
+        test: test._id,
+        student: req.user._id,
+        course: test.course._id,
+        shuffleSeed,
+        questionOrder,
+        optionOrder,
+        totalMarks: test.totalMarks,
+        startedAt,
+        expiresAt: test.getAttemptDeadline(startedAt),
+        attemptNumber: await TestResult.getNextAttemptNumber(test._id, req.user._id),
+        status: 'in_progress'
+      });
+    }
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? 'Test attempt resumed' : 'Test attempt started',
+      data: {
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+        remainingSeconds: attempt.getRemainingSeconds(),
+        sectionWindows: test.getSectionWindows(attempt.startedAt),
+        questions: test.getQuestionsForStudent(attempt),
+        savedAnswers: attempt.savedAnswers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Autosave answers for an in-progress attempt
+// @route   PUT /api/tests/:id/autosave
+// @access  Private (Student only)
+router.put('/:id/autosave', protect, requireStudent, [
+  body('answers').isArray().withMessage('Answers must be an array'),
+  body('answers.*.questionId').isMongoId().withMessage('Valid question ID is required'),
+  body('answers.*.selectedOption').optional().isMongoId().withMessage('Valid option ID is required'),
+  body('answers.*.selectedOptions').optional().isArray().withMessage('Selected options must be an array'),
+  body('answers.*.selectedOptions.*').optional().isMongoId().withMessage('Valid option ID is required'),
+  body('answers.*.numericAnswer').optional().isFloat().withMessage('Numeric answer must be a number'),
+  body('answers.*.textAnswer').optional().isString().isLength({ max: 500 }).withMessage('Text answer cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const test = await Test.findById(req.params.id);
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const attempt = await TestResult.getActiveAttempt(test._id, req.user._id);
+
+    if (!attempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'No test attempt in progress'
+      });
+    }
+
+    if (attempt.isExpired()) {
+      await attempt.finalize(test, attempt.savedAnswers, 'timeout');
+
+      return res.status(400).json({
+        success: false,
+        message: 'Time limit exceeded. Your last saved answers have been submitted.'
+      });
+    }
+
+    const answerError = test.validateAnswers(req.body.answers);
+    if (answerError) {
+      return res.status(400).json({
+        success: false,
+        message: answerError
+      });
+    }
+
+    // Timed sections only accept answers while they are open
+    const lockedSections = attempt.getLockedSections(test);
+    const lockedAnswer = req.body.answers.find(answer => {
+      const section = test.getQuestionSection(answer.questionId);
+      return section && lockedSections.includes(section.name);
+    });
+
+    if (lockedAnswer) {
+      return res.status(400).json({
+        success: false,
+        message: `Section "${test.getQuestionSection(lockedAnswer.questionId).name}" is not open`
+      });
+    }
+
+    await attempt.saveAnswers(req.body.answers);
+
+    res.status(200).json({
+      success: true,
+      message: 'Answers saved',
+      data: {
+        savedCount: attempt.savedAnswers.length,
+        remainingSeconds: attempt.getRemainingSeconds()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Submit test answers
+// @route   POST /api/tests/:id/submit
+// @access  Private (Student only)
+router.post('/:id/submit', protect, requireStudent, [
+  body('answers').isArray().withMessage('Answers must be an array'),
+  body('answers.*.questionId').isMongoId().withMessage('Valid question ID is required'),
+  body('answers.*.selectedOption').optional().isMongoId().withMessage('Valid option ID is required'),
+  body('answers.*.selectedOptions').optional().isArray().withMessage('Selected options must be an array'),
+  body('answers.*.selectedOptions.*').optional().isMongoId().withMessage('Valid option ID is required'),
+  body('answers.*.numericAnswer').optional().isFloat().withMessage('Numeric answer must be a number'),
+  body('answers.*.textAnswer').optional().isString().isLength({ max: 500 }).withMessage('Text answer cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { answers } = req.body;
+
+    const test = await Test.findById(req.params.id).populate('course');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    // Check if student has access to this test
+    if (!test.isPublished || !req.user.hasPurchasedCourse(test.course._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to take this test'
+      });
+    }
+
+    // Submissions must belong to an attempt started on the server
+    const attempt = await TestResult.getActiveAttempt(test._id, req.user._id);
+
+    if (!attempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'No test attempt in progress. Start the test first.'
+      });
+    }
+
+    // Late submissions fall back to the last autosaved answers
+    if (attempt.isExpired()) {
+      await attempt.finalize(test, attempt.savedAnswers, 'timeout');
+
+      return res.status(400).json({
+        success: false,
+        message: 'Time limit exceeded. Your last saved answers have been submitted.',
+        data: {
+          _id: attempt._id,
+          status: attempt.status
+        }
+      });
+    }
+
+    const answerError = test.validateAnswers(answers);
+    if (answerError) {
+      return res.status(400).json({
+        success: false,
+        message: answerError
+      });
+    }
+
+    // Grade the test (answers for closed sections come from the last autosave)
+    const testResult = await attempt.finalize(test, attempt.mergeSectionAnswers(test, answers), 'completed');
+
+    if (testResult.isPassed) {
+      await awardCertificateIfComplete(req.user._id, testResult.course);
+    }
+
+    // Prepare response based on test settings
+    let responseData = {
+      _id: testResult._id,
+      marksObtained: testResult.marksObtained,
+      totalMarks: test.totalMarks,
+      percentage: testResult.percentage,
+      isPassed: testResult.isPassed,
+      sectionScores: testResult.sectionScores,
+      timeTaken: testResult.timeTaken,
+      attemptNumber: testResult.attemptNumber
+    };
+
+    if (test.showResults) {
+      responseData.answers = testResult.answers;
+    }
+
+    if (test.showCorrectAnswers) {
+      responseData.correctAnswers = test.questions.map(q => q.getCorrectAnswer());
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Test submitted successfully',
+      data: responseData
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get test results
+// @route   GET /api/tests/:id/results
+// @access  Private
+router.get('/:id/results', protect, async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      studentId = ''
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    const test = await Test.findById(req.params.id).populate('course');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    let query = { test: test._id };
+
+    // Role-based access control
+    if (req.user.role === 'student') {
+      // Students can only see their own results
+      query.student = req.user._id;
+    } else if (req.user.role === 'admin') {
+      // Admins can only see results from their courses
+      if (test.course.instructor.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view results for this test'
+        });
+      }
+    }
+    // SuperAdmin can see all results
+
+    // Filter by student if specified (for admin/superadmin)
+    if (studentId && req.user.role !== 'student') {
+      query.student = studentId;
+    }
+
+    const results = await TestResult.find(query)
+      .populate('student', 'name email')
+      .populate('test', 'title totalMarks')
+      .sort({ submittedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await TestResult.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get test leaderboard
+// @route   GET /api/tests/:id/leaderboard
+// @access  Private (Enrolled students, course instructor, SuperAdmin)
+router.get('/:id/leaderboard', protect, async (req, res, next) => {
+  try {
+    const { policy = 'best', limit = 50 } = req.query;
+
+    if (!['best', 'first'].includes(policy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Policy must be best or first'
+      });
+    }
+
+    const test = await Test.findById(req.params.id).populate('course');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    if (req.user.role === 'student') {
+      if (!test.isPublished || !req.user.hasPurchasedCourse(test.course._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this leaderboard'
+        });
+      }
+    } else if (req.user.role === 'admin' && test.course.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this leaderboard'
+      });
+    }
+
+    const leaderboard = await TestResult.getLeaderboardView([test._id], {
+      policy,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      user: req.user
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        test: {
+          _id: test._id,
+          title: test.title,
+          totalMarks: test.totalMarks
+        },
+        ...leaderboard
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get per-question item analysis
+// @route   GET /api/tests/:id/analytics
+// @access  Private (Admin/SuperAdmin - own tests only for Admin)
+router.get('/:id/analytics', protect, requireAdmin, async (req, res, next) => {
+  try {
+    const { policy = 'first' } = req.query;
+
+    if (!['best', 'first'].includes(policy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Policy must be best or first'
+      });
+    }
+
+    const test = await Test.findById(req.params.id).populate('course');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    if (req.user.role !== 'superadmin' && test.course.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view analytics for this test'
+      });
+    }
+
+    const attemptSort = policy === 'first'
+      ? { attemptNumber: 1 }
+      : { marksObtained: -1, timeTaken: 1 };
+
+    const allResults = await TestResult.find({
+      test: test._id,
+      status: { $in: ['completed', 'timeout'] }
+    }).sort(attemptSort);
+
+    // One result per student so repeat attempts do not skew the statistics
+    const seen = new Set();
+    const results = allResults.filter(result => {
+      const studentId = result.student.toString();
+      if (seen.has(studentId)) return false;
+      seen.add(studentId);
+      return true;
+    });
+
+    const questions = test.getItemAnalysis(results);
+    const scores = results.map(result => result.marksObtained);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        policy,
+        summary: {
+          students: results.length,
+          totalMarks: test.totalMarks,
+          averageMarks: scores.length > 0 ? Math.round((scores.reduce((total, score) => total + score, 0) / scores.length) * 100) / 100 : 0,
+          highestMarks: scores.length > 0 ? Math.max(...scores) : 0,
+          lowestMarks: scores.length > 0 ? Math.min(...scores) : 0,
+          passRate: results.length > 0 ? Math.round((results.filter(result => result.isPassed).length / results.length) * 100) : 0,
+          flaggedQuestions: questions.filter(question => question.flags.length > 0).length
+        },
+        questions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Override the marks for one question in a test result
+// @route   PUT /api/tests/results/:resultId/override
+// @access  Private (Admin/SuperAdmin - own tests only for Admin)
+router.put('/results/:resultId/override', protect, requireAdmin, [
+  body('questionId').isMongoId().withMessage('Valid question ID is required'),
+  body('marksObtained').optional({ nullable: true }).isFloat().withMessage('Marks must be a number').toFloat(),
+  body('isCorrect').optional().isBoolean().withMessage('isCorrect must be a boolean').toBoolean(),
+  body('reason').trim().notEmpty().withMessage('Reason for the override is required')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await TestResult.findById(req.params.resultId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test result not found'
+      });
+    }
+
+    if (!['completed', 'timeout'].includes(result.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted attempts can be overridden'
+      });
+    }
+
+    const test = await Test.findById(result.test).populate('course');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    if (req.user.role !== 'superadmin' && test.course.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this result'
+      });
+    }
+
+    const { questionId, isCorrect, reason } = req.body;
+    // A missing or null marksObtained removes the override
+    const marksObtained = req.body.marksObtained === undefined ? null : req.body.marksObtained;
+    const question = test.questions.id(questionId);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (marksObtained !== null && (marksObtained > question.marks || marksObtained < -test.getNegativeMarks(question))) {
+      return res.status(400).json({
+        success: false,
+        message: `Marks must be between ${-test.getNegativeMarks(question)} and ${question.marks}`
+      });
+    }
+
+    const previousMarks = result.marksObtained;
+    await result.overrideAnswer(test, questionId, {
+      marksObtained,
+      isCorrect,
+      reason,
+      adminId: req.user._id
+    });
+
+    try {
+      await Notification.notifyUsers([result.student], {
+        title: 'Test score updated',
+        message: `Your score for "${test.title}" was changed from ${previousMarks} to ${result.marksObtained}. Reason: ${reason}`,
+        createdBy: req.user._id,
+        metadata: { testId: test._id, resultId: result._id }
+      });
+    } catch (notificationError) {
+      console.error('Override notification error:', notificationError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: marksObtained === null ? 'Override removed' : 'Marks overridden successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get detailed test result
+// @route   GET /api/tests/results/:resultId
+// @access  Private
+router.get('/results/:resultId', protect, async (req, res, next) => {
+  try {
+    const result = await TestResult.findById(req.params.resultId)
+      .populate('test', 'title questions sections negativeMarks showCorrectAnswers')
+      .populate('student', 'name email')
+      .populate('course', 'title');
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test result not found'
+      });
+    }
+
+    if (!result.test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    // Check access permissions
+    let hasAccess = false;
+
+    if (req.user.role === 'superadmin') {
+      hasAccess = true;
+    } else if (req.user.role === 'admin') {
+      // Check if admin owns the course
+      const test = await Test.findById(result.test._id).populate('course');
+      hasAccess = test.course.instructor.toString() === req.user._id.toString();
+    } else if (req.user.role === 'student') {
+      hasAccess = result.student._id.toString() === req.user._id.toString();
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this result'
+      });
+    }
+
+    const isStudent = req.user.role === 'student';
+
+    // The result of an attempt in progress would give away the answer key
+    if (isStudent && result.status === 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt is still in progress'
+      });
+    }
+
+    // Add analytics
     const analytics = result.getAnalytics();
+    const standing = await result.getStanding();
+
+    // Show questions in the order this attempt served them. Students only see
+    // correct answers and explanations when the test shows them.
+    const resultData = result.toObject();
+    resultData.test.questions = isStudent && !result.test.showCorrectAnswers
+      ? result.test.getQuestionsForStudent(result)
+      : result.test.orderQuestions(result);
 
     res.status(200).json({
       success: true,
       data: {
-        ...result.toObject(),
-        analytics
+        ...resultData,
+        analytics,
+        standing
       }
     });
   } catch (error) {
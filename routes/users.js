@@ -2,7 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Course = require('../models/Course');
-const { protect, requireAdmin, requireSuperAdmin } = require('../middleware/auth');
+const TestResult = require('../models/TestResult');
+const Progress = require('../models/Progress');
+const { protect, requireAdmin, requireSuperAdmin, requireStudent } = require('../middleware/auth');
 const { uploadSingle, handleUploadError, deleteFile } = require('../middleware/upload');
 
 const router = express.Router();
@@ -72,6 +74,27 @@ router.get('/', protect, requireAdmin, async (req, res, next) => {
   }
 });
 
+// @desc    Get own performance report across tests and topics
+// @route   GET /api/users/me/performance
+// @access  Private (Student only)
+router.get('/me/performance', protect, requireStudent, async (req, res, next) => {
+  try {
+    const { courseId = '' } = req.query;
+
+    const filter = {};
+    if (courseId) filter.course = courseId;
+
+    const performance = await TestResult.getStudentPerformance(req.user._id, filter);
+
+    res.status(200).json({
+      success: true,
+      data: performance
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get user by ID
 // @route   GET /api/users/:id
 // @access  Private (Admin/SuperAdmin)
@@ -371,9 +394,20 @@ router.get('/my-students/list', protect, requireAdmin, async (req, res, next) =>
 
     const total = await User.countDocuments(query);
 
+    // Add course completion for this admin's courses
+    const completion = await Progress.getCompletion(students.map(student => student._id), courseIds);
+    const studentData = students.map(student => {
+      const data = student.toObject();
+      data.enrolledCourses = data.enrolledCourses.map(enrollment => ({
+        ...enrollment,
+        completion: enrollment.course ? completion[`${student._id}:${enrollment.course._id}`] || null : null
+      }));
+      return data;
+    });
+
     res.status(200).json({
       success: true,
-      data: students,
+      data: studentData,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -17,11 +17,22 @@ const paymentRoutes = require('./routes/payments');
 const notificationRoutes = require('./routes/notifications');
 const inviteRoutes = require('./routes/invites');
 const adminRoutes = require('./routes/admin');
+const couponRoutes = require('./routes/coupons');
+const questionRoutes = require('./routes/questions');
+const progressRoutes = require('./routes/progress');
+const certificateRoutes = require('./routes/certificates');
+const reviewRoutes = require('./routes/reviews');
+const bundleRoutes = require('./routes/bundles');
+const cartRoutes = require('./routes/cart');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
 
+// Import background jobs
+const { startTestSweeper } = require('./utils/testSweeper');
+const { startInstallmentSweeper } = require('./utils/installmentSweeper');
+
 const app = express();
 
 // Ensure upload directories exist
@@ -33,6 +44,7 @@ const uploadDirs = [
   'uploads/materials',
   'uploads/payments',
   'uploads/forum',
+  'uploads/imports',
   'uploads/misc'
 ];
 
@@ -50,11 +62,16 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
+// Razorpay webhooks are verified against the raw request body
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+
+// Rate limiting (not for Razorpay webhooks, which all come from a few
+// Razorpay IPs and are retried when they fail)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: (req) => req.originalUrl.startsWith('/api/payments/webhook')
 });
 app.use('/api/', limiter);
 
@@ -70,7 +87,15 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/coaching-
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  // Finalize test attempts that ran past their time limit
+  startTestSweeper();
+
+  // Send installment reminders and suspend access for overdue installments
+  startInstallmentSweeper();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Initialize Passport
@@ -86,6 +111,13 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/invites', inviteRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/progress', progressRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/cart', cartRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -111,7 +143,14 @@ app.get('/api/docs', (req, res) => {
       payments: '/api/payments',
       notifications: '/api/notifications',
       invites: '/api/invites',
-      admin: '/api/admin'
+      admin: '/api/admin',
+      coupons: '/api/coupons',
+      questions: '/api/questions',
+      progress: '/api/progress',
+      certificates: '/api/certificates',
+      reviews: '/api/reviews',
+      bundles: '/api/bundles',
+      cart: '/api/cart'
     }
   });
 });
@@ -0,0 +1,209 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { razorpayCalls, query, startApp, buildUser, stubUsers, request, sendWebhook, signPayment } = require('./helpers');
+const express = require('express');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const Course = require('../models/Course');
+const Payment = require('../models/Payment');
+const PaymentPlan = require('../models/PaymentPlan');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const cartRoutes = require('../routes/cart');
+const paymentRoutes = require('../routes/payments');
+
+// Match the filters the cart and payment routes send to Payment.findOne
+const matchesFilter = (payment, filter) => Object.entries(filter).every(([key, value]) => {
+  switch (key) {
+    case 'student':
+      return payment.student.equals(value);
+    case 'status':
+      return typeof value === 'string' ? payment.status === value : value.$in.includes(payment.status);
+    case 'razorpayOrderId':
+      return payment.razorpayOrderId === value;
+    case '$or': {
+      const courseIds = Object.values(value[0])[0].$in.map(courseId => courseId.toString());
+      return payment.getCourseIds().some(courseId => courseIds.includes(courseId.toString()));
+    }
+    default:
+      return true;
+  }
+});
+
+describe('cart checkout', () => {
+  const router = express.Router();
+  router.use('/cart', cartRoutes);
+  router.use('/payments', paymentRoutes);
+
+  let app;
+  let student;
+  let admin;
+  let courses;
+  let cart;
+  let payments;
+
+  before(async () => {
+    app = await startApp('/api', router);
+  });
+
+  after(() => app.close());
+
+  const buildCourse = (title, price) => new Course({
+    title,
+    description: `${title} course`,
+    instructor: new mongoose.Types.ObjectId(),
+    category: 'JEE',
+    subject: title,
+    price,
+    isPublished: true
+  });
+
+  const checkout = () => request(`${app.url}/cart/checkout`, { method: 'POST', user: student, body: {} });
+
+  const isEnrolled = (course) => student.hasPurchasedCourse(course._id);
+
+  beforeEach(() => {
+    student = buildUser();
+    admin = buildUser({ name: 'Admin', role: 'superadmin' });
+    courses = [buildCourse('Physics', 1000), buildCourse('Chemistry', 800)];
+    cart = new Cart({ student: student._id, items: courses.map(course => ({ course: course._id })) });
+    payments = [];
+
+    stubUsers(mock, [student, admin]);
+    mock.method(Cart, 'findOne', () => query(cart));
+    mock.method(Cart, 'updateOne', () => query({ modifiedCount: 1 }));
+    mock.method(Course, 'findById', (id) => query(courses.find(course => course._id.equals(id)) || null));
+    mock.method(Course, 'findByIdAndUpdate', () => query(null));
+    mock.method(PaymentPlan, 'findOne', () => query(null));
+    mock.method(PaymentPlan, 'find', () => query([]));
+    mock.method(Payment, 'findOne', (filter) => query(() => payments.find(payment => matchesFilter(payment, filter)) || null));
+    mock.method(Payment, 'findById', (id) => query(() => payments.find(payment => payment._id.equals(id)) || null));
+    mock.method(Payment, 'find', () => query([]));
+    mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Payment, 'updateMany', async (filter, update) => {
+      const cancelled = payments.filter(payment => payment.student.equals(filter.student) &&
+        payment.status === 'pending' && payment.paymentMethod === 'online' && payment.items.length > 0);
+      cancelled.forEach(payment => payment.set(update.$set));
+      return { modifiedCount: cancelled.length };
+    });
+    mock.method(Payment, 'create', async (fields) => {
+      const payment = new Payment(fields);
+      payment.save = async function() { return this; };
+      payment.populate = async function() { return this; };
+      payments.push(payment);
+      return payment;
+    });
+    mock.method(Invoice, 'issueForPayment', async () => null);
+    mock.method(Notification, 'notifyUsers', async () => []);
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('creates one order with a line item per cart item', async () => {
+    const response = await checkout();
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.payableAmount, 1800);
+    assert.deepEqual(response.body.data.items.map(item => [item.title, item.amount]), [['Physics', 1000], ['Chemistry', 800]]);
+    assert.equal(razorpayCalls.orders.at(-1).amount, 180000);
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].status, 'pending');
+  });
+
+  it('cancels an earlier unpaid cart order when checking out again', async () => {
+    await checkout();
+    const response = await checkout();
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(payments.map(payment => payment.status), ['cancelled', 'pending']);
+  });
+
+  it('does not enroll again when a cancelled order is paid through the webhook', async () => {
+    await checkout();
+    await checkout();
+    const [cancelled, current] = payments;
+
+    await sendWebhook(`${app.url}/payments`, {
+      event: 'payment.captured',
+      payload: { payment: { entity: { id: 'pay_new', order_id: current.razorpayOrderId, amount: 180000 } } }
+    });
+    const response = await sendWebhook(`${app.url}/payments`, {
+      event: 'payment.captured',
+      payload: { payment: { entity: { id: 'pay_old', order_id: cancelled.razorpayOrderId, amount: 180000 } } }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(current.status, 'completed');
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.razorpayPaymentId, 'pay_old');
+    assert.ok(cancelled.isPaidAfterCancellation());
+    assert.equal(student.enrolledCourses.length, 2);
+  });
+
+  it('rejects /verify for a cancelled order and flags it for a refund', async () => {
+    await checkout();
+    await checkout();
+    const [cancelled] = payments;
+
+    const response = await request(`${app.url}/payments/verify`, {
+      method: 'POST',
+      user: student,
+      body: {
+        razorpayOrderId: cancelled.razorpayOrderId,
+        razorpayPaymentId: 'pay_old',
+        razorpaySignature: signPayment(cancelled.razorpayOrderId, 'pay_old')
+      }
+    });
+
+    assert.equal(response.status, 409);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.ok(cancelled.isPaidAfterCancellation());
+    assert.ok(courses.every(course => !isEnrolled(course)));
+  });
+
+  it('lets an admin refund a cancelled order that was paid', async () => {
+    await checkout();
+    await checkout();
+    const [cancelled] = payments;
+    cancelled.razorpayPaymentId = 'pay_old';
+    cancelled.metadata = { ...cancelled.metadata, paidAfterCancellation: true };
+
+    const response = await request(`${app.url}/payments/${cancelled._id}/refund`, {
+      method: 'PUT',
+      user: admin,
+      body: { reason: 'Paid a replaced checkout' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(cancelled.status, 'refunded');
+    assert.equal(cancelled.refundAmount, 1800);
+    assert.equal(razorpayCalls.refunds.at(-1).payment_id, 'pay_old');
+  });
+
+  it('refuses checkout while a cart order for the same courses awaits offline review', async () => {
+    await checkout();
+    payments[0].paymentMethod = 'offline';
+
+    const response = await checkout();
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'You already have a pending payment for some of these courses');
+  });
+
+  it('refuses checkout when another checkout took the last use of the coupon', async () => {
+    const coupon = new Coupon({ code: 'JEE10', discountType: 'percentage', discountValue: 10, scope: 'global', usageLimit: 1 });
+    mock.method(Coupon, 'findOne', async () => coupon);
+    mock.method(Payment, 'countDocuments', async () => 0);
+    // The limit is reached between the check and taking the use
+    mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    const response = await request(`${app.url}/cart/checkout`, { method: 'POST', user: student, body: { couponCode: 'JEE10' } });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Coupon usage limit has been reached');
+    assert.equal(payments.length, 0);
+  });
+});
@@ -0,0 +1,193 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, startApp, buildUser, stubUsers, request } = require('./helpers');
+const mongoose = require('mongoose');
+const Certificate = require('../models/Certificate');
+const Course = require('../models/Course');
+const Progress = require('../models/Progress');
+const Notification = require('../models/Notification');
+const { awardCertificateIfComplete } = require('../utils/certificate');
+const router = require('../routes/certificates');
+
+describe('certificates', () => {
+  let app;
+  let student;
+  let course;
+  let completion;
+  let existing;
+  let create;
+
+  before(async () => {
+    app = await startApp('/api/certificates', router);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    course = new Course({ title: 'Physics', instructor: new mongoose.Types.ObjectId() });
+    student = buildUser({ enrolledCourses: [{ course: course._id, paymentStatus: 'completed' }] });
+    completion = { totalItems: 4, completedItems: 4, percentage: 100 };
+    existing = null;
+
+    stubUsers(mock, [student]);
+    mock.method(Course, 'findById', () => query(course));
+    mock.method(Certificate, 'findOne', () => query(() => existing));
+    mock.method(Progress, 'getCompletion', async (studentIds, courseIds) => ({
+      [`${studentIds[0]}:${courseIds[0]}`]: completion
+    }));
+    create = mock.method(Certificate, 'create', async (fields) => new Certificate(fields));
+    mock.method(Notification, 'notifyUsers', async () => []);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('Certificate.issueIfComplete', () => {
+    it('issues a signed certificate once the course is complete', async () => {
+      const { certificate, created } = await Certificate.issueIfComplete(student._id, course._id);
+
+      assert.equal(created, true);
+      assert.match(certificate.serial, /^CERT-\d{4}-[0-9A-F]{8}$/);
+      assert.equal(certificate.studentName, 'Asha');
+      assert.equal(certificate.courseTitle, 'Physics');
+      assert.equal(certificate.isAuthentic(), true);
+    });
+
+    it('does not issue a certificate for an incomplete course', async () => {
+      completion = { totalItems: 4, completedItems: 3, percentage: 75 };
+
+      const { certificate, created } = await Certificate.issueIfComplete(student._id, course._id);
+
+      assert.equal(certificate, null);
+      assert.equal(created, false);
+      assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('does not issue a certificate for a course with nothing to complete', async () => {
+      completion = { totalItems: 0, completedItems: 0, percentage: 100 };
+
+      const { certificate } = await Certificate.issueIfComplete(student._id, course._id);
+
+      assert.equal(certificate, null);
+    });
+
+    it('returns the certificate already issued', async () => {
+      existing = (await Certificate.issueIfComplete(student._id, course._id)).certificate;
+
+      const { certificate, created } = await Certificate.issueIfComplete(student._id, course._id);
+
+      assert.equal(created, false);
+      assert.equal(certificate, existing);
+      assert.equal(create.mock.callCount(), 1);
+    });
+
+    it('returns the certificate another request issued first', async () => {
+      const issued = (await Certificate.issueIfComplete(student._id, course._id)).certificate;
+      create.mock.mockImplementation(async () => {
+        existing = issued;
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      });
+
+      const { certificate, created } = await Certificate.issueIfComplete(student._id, course._id);
+
+      assert.equal(created, false);
+      assert.equal(certificate, issued);
+    });
+  });
+
+  describe('Certificate#isAuthentic', () => {
+    it('fails once the printed details are changed', async () => {
+      const { certificate } = await Certificate.issueIfComplete(student._id, course._id);
+
+      certificate.studentName = 'Someone else';
+
+      assert.equal(certificate.isAuthentic(), false);
+    });
+
+    it('fails for a verification code of another length', async () => {
+      const { certificate } = await Certificate.issueIfComplete(student._id, course._id);
+
+      certificate.verificationCode = 'short';
+
+      assert.equal(certificate.isAuthentic(), false);
+    });
+  });
+
+  describe('awardCertificateIfComplete', () => {
+    it('tells the student when a certificate is issued', async () => {
+      const certificate = await awardCertificateIfComplete(student._id, course._id);
+
+      const [userIds, options] = Notification.notifyUsers.mock.calls[0].arguments;
+      assert.deepEqual(userIds, [student._id]);
+      assert.equal(options.createdBy, course.instructor);
+      assert.equal(options.metadata.certificateId, certificate._id);
+    });
+
+    it('does not notify again for a certificate already issued', async () => {
+      existing = (await Certificate.issueIfComplete(student._id, course._id)).certificate;
+
+      const certificate = await awardCertificateIfComplete(student._id, course._id);
+
+      assert.equal(certificate, existing);
+      assert.equal(Notification.notifyUsers.mock.callCount(), 0);
+    });
+
+    it('logs failures and returns null', async () => {
+      const consoleError = mock.method(console, 'error', () => {});
+      mock.method(Progress, 'getCompletion', async () => { throw new Error('Connection lost'); });
+
+      const certificate = await awardCertificateIfComplete(student._id, course._id);
+
+      assert.equal(certificate, null);
+      assert.equal(consoleError.mock.calls[0].arguments[0], 'Certificate issue error:');
+    });
+  });
+
+  describe('routes', () => {
+    it('verifies an authentic certificate', async () => {
+      existing = (await Certificate.issueIfComplete(student._id, course._id)).certificate;
+
+      const response = await request(`${app.url}/verify/${existing.verificationCode}`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.valid, true);
+      assert.equal(response.body.data.holder, 'Asha');
+      assert.equal(response.body.data.serial, existing.serial);
+    });
+
+    it('rejects a certificate whose details were changed', async () => {
+      existing = (await Certificate.issueIfComplete(student._id, course._id)).certificate;
+      existing.courseTitle = 'Advanced Physics';
+
+      const response = await request(`${app.url}/verify/${existing.verificationCode}`);
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.data.valid, false);
+    });
+
+    it('lets a student claim the certificate for a completed course', async () => {
+      const response = await request(app.url, { method: 'POST', user: student, body: { courseId: course._id } });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.courseTitle, 'Physics');
+      assert.match(response.body.data.verificationUrl, /\/certificates\/verify\/.+$/);
+    });
+
+    it('reports completion when the course is not complete', async () => {
+      completion = { totalItems: 4, completedItems: 3, percentage: 75 };
+
+      const response = await request(app.url, { method: 'POST', user: student, body: { courseId: course._id } });
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body.data.completion, completion);
+    });
+
+    it('does not let a student claim a course they did not buy', async () => {
+      student.enrolledCourses = [];
+
+      const response = await request(app.url, { method: 'POST', user: student, body: { courseId: course._id } });
+
+      assert.equal(response.status, 403);
+      assert.equal(create.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Payment = require('../models/Payment');
+const { resolveCoupon } = require('../utils/purchase');
+
+const studentId = new mongoose.Types.ObjectId();
+const physicsId = new mongoose.Types.ObjectId();
+const chemistryId = new mongoose.Types.ObjectId();
+
+const course = (courseId, price) => ({ course: { _id: courseId }, bundle: null, price, courseIds: [courseId] });
+
+describe('resolveCoupon', () => {
+  const originalFindOne = Coupon.findOne;
+  const originalCountDocuments = Payment.countDocuments;
+  const originalFind = Payment.find;
+  let coupon;
+  let studentRedemptions;
+
+  beforeEach(() => {
+    coupon = new Coupon({
+      code: 'JEE10',
+      discountType: 'percentage',
+      discountValue: 10,
+      scope: 'course',
+      courses: [physicsId]
+    });
+    studentRedemptions = 0;
+
+    Coupon.findOne = async ({ code }) => (code === coupon.code ? coupon : null);
+    Payment.countDocuments = async () => studentRedemptions;
+    // No checkouts have lapsed
+    Payment.find = async () => [];
+  });
+
+  afterEach(() => {
+    Coupon.findOne = originalFindOne;
+    Payment.countDocuments = originalCountDocuments;
+    Payment.find = originalFind;
+  });
+
+  it('discounts an eligible course', async () => {
+    const pricing = await resolveCoupon(' jee10 ', [course(physicsId, 1000)], studentId);
+
+    assert.equal(pricing.coupon, coupon);
+    assert.equal(pricing.discountAmount, 100);
+    assert.equal(pricing.finalAmount, 900);
+    assert.deepEqual(pricing.discounts, [100]);
+  });
+
+  it('rejects unknown, inactive and expired coupons', async () => {
+    assert.deepEqual(await resolveCoupon('NOPE', [course(physicsId, 1000)], studentId), { error: 'Invalid or expired coupon code' });
+
+    coupon.expiresAt = new Date(Date.now() - 1000);
+    assert.deepEqual(await resolveCoupon('JEE10', [course(physicsId, 1000)], studentId), { error: 'Invalid or expired coupon code' });
+
+    coupon.expiresAt = null;
+    coupon.isActive = false;
+    assert.deepEqual(await resolveCoupon('JEE10', [course(physicsId, 1000)], studentId), { error: 'Invalid or expired coupon code' });
+  });
+
+  it('rejects courses and bundles the coupon does not cover', async () => {
+    const bundle = { course: null, bundle: { _id: new mongoose.Types.ObjectId() }, price: 1500, courseIds: [physicsId, chemistryId] };
+
+    assert.deepEqual(await resolveCoupon('JEE10', [course(chemistryId, 700)], studentId), { error: 'Coupon is not valid for this course' });
+    assert.deepEqual(await resolveCoupon('JEE10', [bundle], studentId), { error: 'Coupon is not valid for this bundle' });
+  });
+
+  it('enforces the minimum amount and usage limits', async () => {
+    coupon.minAmount = 1500;
+    assert.deepEqual(await resolveCoupon('JEE10', [course(physicsId, 1000)], studentId), { error: 'Coupon requires a minimum purchase of ₹1500' });
+
+    coupon.minAmount = 0;
+    coupon.usageLimit = 5;
+    coupon.usedCount = 5;
+    assert.deepEqual(await resolveCoupon('JEE10', [course(physicsId, 1000)], studentId), { error: 'Coupon usage limit has been reached' });
+
+    coupon.usedCount = 4;
+    studentRedemptions = 1;
+    assert.deepEqual(await resolveCoupon('JEE10', [course(physicsId, 1000)], studentId), { error: 'You have already used this coupon' });
+  });
+
+  it('splits a cart discount over the eligible items only', async () => {
+    coupon.scope = 'global';
+    coupon.discountType = 'flat';
+    coupon.discountValue = 100;
+
+    const otherId = new mongoose.Types.ObjectId();
+    const pricing = await resolveCoupon('JEE10', [
+      course(physicsId, 1000),
+      course(chemistryId, 500),
+      course(otherId, 300)
+    ], studentId);
+
+    assert.equal(pricing.discountAmount, 100);
+    assert.equal(pricing.finalAmount, 1700);
+    assert.deepEqual(pricing.discounts, [55.56, 27.78, 16.66]);
+  });
+
+  it('caps a percentage discount at maxDiscount', async () => {
+    coupon.maxDiscount = 50;
+
+    const pricing = await resolveCoupon('JEE10', [course(physicsId, 1000), course(chemistryId, 700)], studentId);
+
+    assert.equal(pricing.discountAmount, 50);
+    assert.equal(pricing.finalAmount, 1650);
+    assert.deepEqual(pricing.discounts, [50, 0]);
+  });
+});
+
+describe('Coupon validation', () => {
+  const isPercentageError = (error) => error.errors.discountValue.message === 'Percentage discount cannot exceed 100';
+
+  const buildCoupon = (fields) => new Coupon({
+    code: 'FLAT500',
+    discountType: 'flat',
+    discountValue: 500,
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  it('rejects a percentage discount above 100', async () => {
+    await assert.rejects(buildCoupon({ discountType: 'percentage', discountValue: 150 }).validate(), isPercentageError);
+    await buildCoupon({ discountType: 'percentage', discountValue: 100 }).validate();
+  });
+
+  it('rechecks the value when only the type changes', async () => {
+    // A stored flat coupon, as loaded by the update route
+    const coupon = Coupon.hydrate(buildCoupon().toObject());
+    coupon.discountType = 'percentage';
+
+    await assert.rejects(coupon.validate(), isPercentageError);
+  });
+});
+
+describe('coupon uses', () => {
+  const originals = {
+    updateCoupon: Coupon.updateOne,
+    findPayments: Payment.find,
+    updatePayment: Payment.updateOne
+  };
+  let coupon;
+  let payments;
+
+  // Match the filters the coupon and payment models send to MongoDB
+  const matches = (document, filter) => Object.entries(filter).every(([key, value]) => {
+    if (key === '$or') return value.some(condition => matches(document, condition));
+    if (key === '$expr') return document[value.$lt[0].slice(1)] < document[value.$lt[1].slice(1)];
+    if (value === null) return document[key] === null;
+    if (value.$in) return value.$in.includes(document[key]);
+    if (value.$lt) return document[key] < value.$lt;
+    if (value.$gt !== undefined) return document[key] > value.$gt;
+    return document[key].equals ? document[key].equals(value) : document[key] === value;
+  });
+
+  const update = (documents) => async (filter, changes) => {
+    const document = documents().find(d => matches(d, filter));
+    if (!document) return { modifiedCount: 0 };
+
+    Object.entries(changes.$inc || {}).forEach(([key, amount]) => { document[key] += amount; });
+    Object.entries(changes).filter(([key]) => key !== '$inc').forEach(([key, value]) => { document[key] = value; });
+    return { modifiedCount: 1 };
+  };
+
+  const buildCheckout = (fields = {}) => {
+    const payment = new Payment({
+      student: new mongoose.Types.ObjectId(),
+      course: new mongoose.Types.ObjectId(),
+      amount: 900,
+      coupon: coupon._id,
+      couponHeld: true,
+      paymentMethod: 'online',
+      ...fields
+    });
+    payments.push(payment);
+    return payment;
+  };
+
+  beforeEach(() => {
+    coupon = new Coupon({ code: 'JEE10', discountType: 'percentage', discountValue: 10, usageLimit: 2 });
+    payments = [];
+
+    Coupon.updateOne = update(() => [coupon]);
+    Payment.updateOne = update(() => payments);
+    Payment.find = async (filter) => payments.filter(payment => matches(payment, filter));
+  });
+
+  afterEach(() => {
+    Coupon.updateOne = originals.updateCoupon;
+    Payment.find = originals.findPayments;
+    Payment.updateOne = originals.updatePayment;
+  });
+
+  it('takes uses until the usage limit is reached', async () => {
+    const taken = await Promise.all([1, 2, 3].map(() => Coupon.reserve(coupon._id)));
+
+    assert.deepEqual(taken, [true, true, false]);
+    assert.equal(coupon.usedCount, 2);
+  });
+
+  it('has no limit without a usageLimit', async () => {
+    coupon.usageLimit = null;
+    coupon.usedCount = 10;
+
+    assert.equal(await Coupon.reserve(coupon._id), true);
+    assert.equal(coupon.usedCount, 11);
+  });
+
+  it('gives a use back once per payment', async () => {
+    coupon.usedCount = 1;
+    const payment = buildCheckout();
+
+    await payment.releaseCoupon();
+    await payment.releaseCoupon();
+
+    assert.equal(coupon.usedCount, 0);
+    assert.equal(payment.couponHeld, false);
+  });
+
+  it('cancels checkouts whose hold lapsed and gives their uses back', async () => {
+    coupon.usedCount = 2;
+    const studentId = new mongoose.Types.ObjectId();
+    const lapsed = buildCheckout({ createdAt: new Date(Date.now() - 31 * 60 * 1000) });
+    const recent = buildCheckout({ createdAt: new Date() });
+    const paid = buildCheckout({ createdAt: new Date(Date.now() - 31 * 60 * 1000), status: 'completed' });
+
+    await coupon.releaseLapsedHolds(studentId);
+
+    assert.equal(lapsed.status, 'cancelled');
+    assert.equal(lapsed.couponHeld, false);
+    assert.equal(recent.status, 'pending');
+    assert.equal(paid.status, 'completed');
+    assert.equal(coupon.usedCount, 1);
+    assert.equal(await Coupon.reserve(coupon._id), true);
+  });
+
+  it("cancels the student's own failed checkouts so they can retry", async () => {
+    coupon.usedCount = 2;
+    const studentId = new mongoose.Types.ObjectId();
+    const own = buildCheckout({ student: studentId, status: 'failed', createdAt: new Date() });
+    const other = buildCheckout({ status: 'failed', createdAt: new Date() });
+
+    await coupon.releaseLapsedHolds(studentId);
+
+    assert.equal(own.status, 'cancelled');
+    assert.equal(other.status, 'failed');
+    assert.equal(coupon.usedCount, 1);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, buildUser } = require('./helpers');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const TestResult = require('../models/TestResult');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('course drip rules', () => {
+  const firstTestId = new mongoose.Types.ObjectId();
+  const secondTestId = new mongoose.Types.ObjectId();
+  let course;
+  let notes;
+  let video;
+  let worksheet;
+
+  const progress = ({ enrolledDaysAgo = 0, passedTestIds = [] } = {}) => ({
+    enrolledAt: new Date(Date.now() - enrolledDaysAgo * DAY_MS),
+    passedTestIds: passedTestIds.map(id => id.toString())
+  });
+
+  beforeEach(() => {
+    course = new Course({
+      title: 'Physics',
+      description: 'Mechanics for JEE',
+      instructor: new mongoose.Types.ObjectId(),
+      category: 'JEE',
+      subject: 'Physics',
+      price: 1000,
+      materials: [
+        { title: 'Notes', type: 'pdf', url: 'https://example.com/notes.pdf' },
+        { title: 'Lecture', type: 'video', url: 'https://example.com/lecture.mp4' },
+        { title: 'Worksheet', type: 'pdf', url: 'https://example.com/worksheet.pdf' }
+      ]
+    });
+    [notes, video, worksheet] = course.materials;
+
+    course.modules = [
+      {
+        title: 'Kinematics',
+        lessons: [
+          { title: 'Motion', content: 'Speed and velocity', materials: [notes._id], test: firstTestId },
+          { title: 'Projectiles', content: 'Parabolic paths', materials: [worksheet._id], drip: { afterDays: 7 } }
+        ]
+      },
+      {
+        title: 'Dynamics',
+        drip: { afterPassingTest: firstTestId },
+        lessons: [
+          { title: 'Forces', content: 'Newton\'s laws', materials: [notes._id, video._id], test: secondTestId }
+        ]
+      }
+    ];
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('locks lessons until their days have passed and their tests are passed', () => {
+    const projectiles = course.modules[0].lessons[1];
+    const [forces] = course.modules[1].lessons;
+
+    const locked = course.getLockedItems(progress());
+
+    assert.deepEqual(locked.lessonIds, [projectiles._id.toString(), forces._id.toString()]);
+    assert.deepEqual(locked.testIds, [secondTestId.toString()]);
+  });
+
+  it('keeps materials an unlocked lesson also uses available', () => {
+    const locked = course.getLockedItems(progress());
+
+    assert.deepEqual(locked.materialIds.sort(), [video._id.toString(), worksheet._id.toString()].sort());
+  });
+
+  it('unlocks everything once the days have passed and the test is passed', () => {
+    const locked = course.getLockedItems(progress({ enrolledDaysAgo: 8, passedTestIds: [firstTestId] }));
+
+    assert.deepEqual(locked, { lessonIds: [], materialIds: [], testIds: [] });
+  });
+
+  it('shows only the outline of locked lessons with what unlocks them', () => {
+    const curriculum = course.getCurriculum(progress({ enrolledDaysAgo: 2 }));
+    const [kinematics, dynamics] = curriculum;
+
+    assert.equal(kinematics.isLocked, false);
+    assert.equal(kinematics.lessons[0].content, 'Speed and velocity');
+    assert.equal(kinematics.lessons[0].materials[0].title, 'Notes');
+
+    const projectiles = kinematics.lessons[1];
+    assert.equal(projectiles.isLocked, true);
+    assert.equal(projectiles.content, undefined);
+    assert.equal(Math.round((projectiles.lock.unlocksAt - Date.now()) / DAY_MS), 5);
+
+    assert.equal(dynamics.isLocked, true);
+    assert.equal(dynamics.lock.requiredTest.toString(), firstTestId.toString());
+    assert.equal(dynamics.lessons[0].materials, undefined);
+  });
+
+  it('shows the full curriculum without a student', () => {
+    const curriculum = course.getCurriculum();
+
+    assert.ok(curriculum.every(courseModule => !courseModule.isLocked));
+    assert.equal(curriculum[1].lessons[0].content, 'Newton\'s laws');
+  });
+
+  it('loads when the student enrolled and the tests they passed', async () => {
+    const enrolledAt = new Date(Date.now() - 3 * DAY_MS);
+    const student = buildUser({ enrolledCourses: [{ course: course._id, enrolledAt, paymentStatus: 'completed' }] });
+    const find = mock.method(TestResult, 'find', () => query([firstTestId]));
+
+    const dripProgress = await course.getDripProgress(student);
+
+    assert.deepEqual(dripProgress, { enrolledAt, passedTestIds: [firstTestId.toString()] });
+    assert.equal(find.mock.calls[0].arguments[0].isPassed, true);
+  });
+});
@@ -0,0 +1,169 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Test = require('../models/Test');
+
+// Build a test with one question of each type. Documents are never saved.
+const buildTest = (fields = {}) => new Test({
+  title: 'Mechanics',
+  course: new mongoose.Types.ObjectId(),
+  createdBy: new mongoose.Types.ObjectId(),
+  subject: 'Physics',
+  duration: 60,
+  passingMarks: 5,
+  questions: [
+    {
+      question: 'Unit of force?',
+      type: 'single',
+      marks: 4,
+      options: [{ text: 'Newton', isCorrect: true }, { text: 'Joule' }]
+    },
+    {
+      question: 'Vector quantities?',
+      type: 'multiple',
+      marks: 4,
+      partialScoring: 'partial',
+      options: [{ text: 'Velocity', isCorrect: true }, { text: 'Force', isCorrect: true }, { text: 'Mass' }]
+    },
+    {
+      question: 'g in m/s^2?',
+      type: 'numeric',
+      marks: 2,
+      numericAnswer: 9.8,
+      tolerance: 0.1
+    },
+    {
+      question: 'SI unit of power?',
+      type: 'fill_blank',
+      marks: 2,
+      acceptedAnswers: ['Watt']
+    }
+  ],
+  ...fields
+});
+
+const optionId = (question, index) => question.options[index]._id;
+
+describe('Test.gradeAnswers', () => {
+  it('grades every question type', () => {
+    const test = buildTest();
+    const [single, multiple, numeric, fillBlank] = test.questions;
+
+    const { gradedAnswers, marksObtained } = test.gradeAnswers([
+      { questionId: single._id, selectedOption: optionId(single, 0), timeTaken: 20 },
+      { questionId: multiple._id, selectedOptions: [optionId(multiple, 0), optionId(multiple, 1)] },
+      { questionId: numeric._id, numericAnswer: '9.85' },
+      { questionId: fillBlank._id, textAnswer: '  watt ' }
+    ]);
+
+    assert.equal(marksObtained, 12);
+    assert.ok(gradedAnswers.every(answer => answer.isCorrect));
+    assert.equal(gradedAnswers[0].timeTaken, 20);
+    assert.equal(gradedAnswers[3].textAnswer, 'watt');
+  });
+
+  it('gives partial marks for a subset of correct options', () => {
+    const test = buildTest();
+    const multiple = test.questions[1];
+
+    const { gradedAnswers, marksObtained } = test.gradeAnswers([
+      { questionId: multiple._id, selectedOptions: [optionId(multiple, 0)] }
+    ]);
+
+    assert.equal(gradedAnswers[0].isCorrect, false);
+    assert.equal(marksObtained, 2);
+  });
+
+  it('deducts negative marks for wrong answers only', () => {
+    const test = buildTest({ negativeMarks: 1 });
+    const [single, multiple] = test.questions;
+    single.negativeMarks = 2;
+
+    const { gradedAnswers, marksObtained } = test.gradeAnswers([
+      { questionId: single._id, selectedOption: optionId(single, 1) },
+      { questionId: multiple._id, selectedOptions: [optionId(multiple, 2)] }
+    ]);
+
+    assert.deepEqual(gradedAnswers.map(answer => answer.marksObtained), [-2, -1]);
+    assert.equal(marksObtained, -3);
+  });
+
+  it('skips unknown questions and malformed answers', () => {
+    const test = buildTest();
+    const [single, , numeric] = test.questions;
+
+    const { gradedAnswers, marksObtained } = test.gradeAnswers([
+      { questionId: new mongoose.Types.ObjectId(), selectedOption: optionId(single, 0) },
+      { questionId: single._id, selectedOption: new mongoose.Types.ObjectId() },
+      { questionId: numeric._id, numericAnswer: 'abc' }
+    ]);
+
+    assert.equal(gradedAnswers.length, 0);
+    assert.equal(marksObtained, 0);
+  });
+
+  it('counts only the last answer to a question', () => {
+    const test = buildTest({ negativeMarks: 1 });
+    const single = test.questions[0];
+
+    const { gradedAnswers, marksObtained } = test.gradeAnswers([
+      { questionId: single._id, selectedOption: optionId(single, 1) },
+      { questionId: single._id, selectedOption: optionId(single, 1) },
+      { questionId: single._id, selectedOption: optionId(single, 0) }
+    ]);
+
+    assert.equal(gradedAnswers.length, 1);
+    assert.equal(gradedAnswers[0].isCorrect, true);
+    assert.equal(marksObtained, 4);
+  });
+
+  it('scores sections against their cutoffs', () => {
+    const test = buildTest({
+      sections: [{ name: 'A', cutoff: 4 }, { name: 'B', cutoff: 2, negativeMarks: 1 }]
+    });
+    const [single, multiple, numeric, fillBlank] = test.questions;
+    single.section = 'A';
+    multiple.section = 'A';
+    numeric.section = 'B';
+    fillBlank.section = 'B';
+
+    const { sectionScores } = test.gradeAnswers([
+      { questionId: single._id, selectedOption: optionId(single, 0) },
+      { questionId: numeric._id, numericAnswer: 5 }
+    ]);
+
+    assert.deepEqual(sectionScores.map(({ name, marksObtained, negativeMarks, correct, incorrect, unattempted, isPassed }) =>
+      ({ name, marksObtained, negativeMarks, correct, incorrect, unattempted, isPassed })), [
+      { name: 'A', marksObtained: 4, negativeMarks: 0, correct: 1, incorrect: 0, unattempted: 1, isPassed: true },
+      { name: 'B', marksObtained: -1, negativeMarks: 1, correct: 0, incorrect: 1, unattempted: 1, isPassed: false }
+    ]);
+  });
+});
+
+describe('Test.validateAnswers', () => {
+  it('accepts one valid answer per question', () => {
+    const test = buildTest();
+    const [single, , numeric] = test.questions;
+
+    assert.equal(test.validateAnswers([
+      { questionId: single._id, selectedOption: optionId(single, 0) },
+      { questionId: numeric._id, numericAnswer: 9.8 }
+    ]), null);
+  });
+
+  it('rejects unknown questions', () => {
+    const test = buildTest();
+
+    assert.equal(test.validateAnswers([{ questionId: new mongoose.Types.ObjectId() }]), 'Invalid question ID');
+  });
+
+  it('rejects a question answered more than once', () => {
+    const test = buildTest();
+    const single = test.questions[0];
+
+    assert.equal(test.validateAnswers([
+      { questionId: single._id, selectedOption: optionId(single, 0) },
+      { questionId: single._id.toString(), selectedOption: optionId(single, 0) }
+    ]), 'Each question can only be answered once');
+  });
+});
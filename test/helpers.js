@@ -0,0 +1,121 @@
+// Shared helpers for route tests. Nothing here connects to MongoDB: each test
+// stubs the model methods the route calls.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'rzp_webhook_secret';
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { errorHandler } = require('../middleware/errorHandler');
+
+// Razorpay API calls are replaced before any route loads them
+const razorpay = require('../utils/razorpay');
+const razorpayCalls = { orders: [], refunds: [] };
+
+razorpay.createOrder = async (amount, currency = 'INR', receipt = null) => {
+  const order = { id: `order_test_${razorpayCalls.orders.length + 1}`, amount: Math.round(amount * 100), currency, receipt };
+  razorpayCalls.orders.push(order);
+  return order;
+};
+
+razorpay.refundPayment = async (paymentId, amount, notes = {}) => {
+  const refund = { id: `rfnd_test_${razorpayCalls.refunds.length + 1}`, payment_id: paymentId, amount: Math.round(amount * 100), notes };
+  razorpayCalls.refunds.push(refund);
+  return refund;
+};
+
+// A value that can be chained and awaited like a Mongoose query
+const query = (value) => ({
+  select() { return this; },
+  populate() { return this; },
+  sort() { return this; },
+  limit() { return this; },
+  skip() { return this; },
+  lean() { return this; },
+  distinct() { return this; },
+  then: (resolve, reject) => Promise.resolve(typeof value === 'function' ? value() : value).then(resolve, reject)
+});
+
+// Serve one router the way server.js mounts it and return its base URL
+async function startApp(path, router) {
+  const app = express();
+  app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}${path}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Build a user document whose saves are skipped
+const buildUser = (fields = {}) => {
+  const user = new User({
+    name: 'Asha',
+    email: `asha.${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'secret123',
+    role: 'student',
+    ...fields
+  });
+  user.save = async function() { return this; };
+  return user;
+};
+
+// Look users up by ID, for the auth middleware and the routes
+const stubUsers = (mock, users) => mock.method(User, 'findById', (id) =>
+  query(users.find(user => user._id.toString() === (id._id || id).toString()) || null));
+
+// Send a JSON request, signed in as a user when one is given
+async function request(url, { method = 'GET', body, user, headers = {} } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(user && { Authorization: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}` }),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  return { status: response.status, body: await response.json() };
+}
+
+// Send a Razorpay webhook event signed with the webhook secret
+const sendWebhook = (url, event, headers = {}) => {
+  const rawBody = JSON.stringify(event);
+  const signature = crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET).update(rawBody).digest('hex');
+
+  return fetch(`${url}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-razorpay-signature': signature, ...headers },
+    body: rawBody
+  }).then(async response => ({ status: response.status, body: await response.json() }));
+};
+
+// Sign a Checkout response the way Razorpay does for /verify
+const signPayment = (orderId, paymentId) =>
+  crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(`${orderId}|${paymentId}`).digest('hex');
+
+module.exports = {
+  razorpayCalls,
+  query,
+  startApp,
+  buildUser,
+  stubUsers,
+  request,
+  sendWebhook,
+  signPayment
+};
@@ -0,0 +1,235 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, buildUser } = require('./helpers');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const PaymentPlan = require('../models/PaymentPlan');
+const Notification = require('../models/Notification');
+const { getInstallmentItem } = require('../utils/purchase');
+const { enrollPaymentCourses } = require('../utils/enrollment');
+const { sendInstallmentReminders, suspendOverduePlans } = require('../utils/installmentSweeper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('installment plans', () => {
+  let student;
+  let course;
+  let installmentPlan;
+
+  // A plan for the student, with the given installments paid
+  const buildPlan = ({ paid = 0, status = paid > 0 ? 'active' : 'pending', firstDueDaysAgo = 0 } = {}) => {
+    const plan = new PaymentPlan({
+      student,
+      course,
+      installmentPlan: installmentPlan._id,
+      title: installmentPlan.title,
+      totalAmount: installmentPlan.totalAmount,
+      intervalDays: installmentPlan.intervalDays,
+      gracePeriodDays: installmentPlan.gracePeriodDays,
+      status,
+      installments: installmentPlan.getInstallmentAmounts().map((amount, index) => ({
+        number: index + 1,
+        amount,
+        dueDate: new Date(Date.now() + (index * installmentPlan.intervalDays - firstDueDaysAgo) * DAY_MS),
+        status: index < paid ? 'paid' : 'due'
+      }))
+    });
+    plan.save = async function() { return this; };
+    return plan;
+  };
+
+  beforeEach(() => {
+    student = buildUser();
+    course = new Course({
+      title: 'Physics',
+      description: 'Mechanics for JEE',
+      instructor: new mongoose.Types.ObjectId(),
+      category: 'JEE',
+      subject: 'Physics',
+      price: 9000,
+      isPublished: true,
+      installmentPlans: [{ title: 'Three months', installmentCount: 3, intervalDays: 30, gracePeriodDays: 5, totalAmount: 10000 }]
+    });
+    [installmentPlan] = course.installmentPlans;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('schedule', () => {
+    it('splits the plan total into installments that add up exactly', () => {
+      assert.deepEqual(installmentPlan.getInstallmentAmounts(), [3333.33, 3333.33, 3333.34]);
+    });
+
+    it('cancels unpaid earlier plans when a new plan starts', async () => {
+      const updateMany = mock.method(PaymentPlan, 'updateMany', async () => ({ modifiedCount: 1 }));
+      mock.method(PaymentPlan, 'create', async (fields) => new PaymentPlan(fields));
+
+      const plan = await PaymentPlan.start(student._id, course, installmentPlan);
+
+      const [filter, update] = updateMany.mock.calls[0].arguments;
+      assert.deepEqual(filter, { student: student._id, course: course._id, status: 'pending' });
+      assert.equal(update.status, 'cancelled');
+      assert.equal(plan.status, 'pending');
+      assert.deepEqual(plan.installments.map(installment => installment.amount), [3333.33, 3333.33, 3333.34]);
+      assert.equal(Math.round((plan.installments[2].dueDate - plan.installments[0].dueDate) / DAY_MS), 60);
+    });
+
+    it('activates the plan and counts due dates from the first payment', () => {
+      const plan = buildPlan({ firstDueDaysAgo: 10 });
+      const paymentId = new mongoose.Types.ObjectId();
+
+      plan.markInstallmentPaid(1, paymentId);
+
+      assert.equal(plan.status, 'active');
+      assert.equal(plan.installments[0].payment, paymentId);
+      assert.equal(Math.round((plan.installments[1].dueDate - Date.now()) / DAY_MS), 30);
+      assert.equal(plan.getNextInstallment().number, 2);
+      assert.equal(plan.getBalance(), 6666.67);
+    });
+
+    it('completes the plan once the last installment is paid', () => {
+      const plan = buildPlan({ paid: 2 });
+
+      plan.markInstallmentPaid(3, new mongoose.Types.ObjectId());
+
+      assert.equal(plan.status, 'completed');
+      assert.ok(plan.completedAt);
+      assert.equal(plan.getBalance(), 0);
+    });
+
+    it('ignores an installment that is already paid', () => {
+      const plan = buildPlan({ paid: 1 });
+      const { paidAt } = plan.installments[0];
+
+      plan.markInstallmentPaid(1, new mongoose.Types.ObjectId());
+
+      assert.equal(plan.installments[0].paidAt, paidAt);
+      assert.equal(plan.installments[0].payment, null);
+    });
+
+    it('finds installments only once their grace period has passed', () => {
+      assert.equal(buildPlan({ paid: 1, firstDueDaysAgo: 33 }).getOverdueInstallment(), null);
+      assert.equal(buildPlan({ paid: 1, firstDueDaysAgo: 36 }).getOverdueInstallment().number, 2);
+    });
+
+    it('reactivates a suspended plan once nothing is overdue', () => {
+      const plan = buildPlan({ paid: 1, status: 'suspended', firstDueDaysAgo: 36 });
+
+      plan.markInstallmentPaid(2, new mongoose.Types.ObjectId());
+
+      assert.equal(plan.status, 'active');
+      assert.equal(plan.suspendedAt, null);
+    });
+
+    it('keeps a plan suspended while another installment is overdue', () => {
+      const plan = buildPlan({ paid: 1, status: 'suspended', firstDueDaysAgo: 70 });
+
+      plan.markInstallmentPaid(2, new mongoose.Types.ObjectId());
+
+      assert.equal(plan.status, 'suspended');
+      assert.equal(plan.getOverdueInstallment().number, 3);
+    });
+  });
+
+  describe('getInstallmentItem', () => {
+    beforeEach(() => {
+      mock.method(Course, 'findById', () => query(course));
+      mock.method(PaymentPlan, 'findCurrent', () => query(null));
+    });
+
+    it('charges the first installment of a new plan', async () => {
+      const { item } = await getInstallmentItem(student, { courseId: course._id, installmentPlanId: installmentPlan._id });
+
+      assert.equal(item.price, 3333.33);
+      assert.equal(item.installmentNumber, 1);
+      assert.equal(item.title, 'Physics (installment 1 of 3)');
+      assert.equal(item.installmentPlan, installmentPlan);
+    });
+
+    it('charges the next installment of a plan being paid', async () => {
+      const plan = buildPlan({ paid: 1 });
+      const findOne = mock.method(PaymentPlan, 'findOne', () => query(plan));
+
+      const { item } = await getInstallmentItem(student, { paymentPlanId: plan._id });
+
+      assert.equal(item.price, 3333.33);
+      assert.equal(item.installmentNumber, 2);
+      assert.equal(item.paymentPlan, plan);
+      assert.equal(findOne.mock.calls[0].arguments[0].student, student._id);
+    });
+
+    it('rejects a second plan for a course being paid in installments', async () => {
+      mock.method(PaymentPlan, 'findCurrent', () => query(buildPlan({ paid: 1 })));
+
+      const result = await getInstallmentItem(student, { courseId: course._id, installmentPlanId: installmentPlan._id });
+
+      assert.deepEqual(result, { status: 400, message: 'You are already paying for this course in installments' });
+    });
+
+    it('rejects an inactive installment plan', async () => {
+      installmentPlan.isActive = false;
+
+      const result = await getInstallmentItem(student, { courseId: course._id, installmentPlanId: installmentPlan._id });
+
+      assert.equal(result.status, 404);
+    });
+
+    it('needs exactly one of an installment plan and a payment plan', async () => {
+      const result = await getInstallmentItem(student, { courseId: course._id });
+
+      assert.deepEqual(result, { status: 400, message: 'Provide either installmentPlanId or paymentPlanId' });
+    });
+  });
+
+  describe('enrollPaymentCourses', () => {
+    it('does not restore access while another installment is overdue', async () => {
+      const plan = buildPlan({ paid: 1, status: 'suspended', firstDueDaysAgo: 70 });
+      student.enrolledCourses = [{ course: course._id, paymentStatus: 'suspended' }];
+      mock.method(PaymentPlan, 'findById', () => query(plan));
+      mock.method(User, 'findById', () => query(student));
+
+      await enrollPaymentCourses({ student: student._id, paymentPlan: plan._id, installmentNumber: 2, getCourseIds: () => [course._id] });
+
+      assert.equal(plan.installments[1].status, 'paid');
+      assert.equal(student.hasPurchasedCourse(course._id), false);
+    });
+  });
+
+  describe('sweeper', () => {
+    let plans;
+    let updateOne;
+
+    beforeEach(() => {
+      plans = [];
+      mock.method(PaymentPlan, 'find', () => query(() => plans));
+      updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+      mock.method(Notification, 'notifyUsers', async () => []);
+      mock.method(console, 'error', () => {});
+    });
+
+    it('suspends access for plans past their grace period', async () => {
+      plans = [buildPlan({ paid: 1, firstDueDaysAgo: 36 }), buildPlan({ paid: 1, firstDueDaysAgo: 32 })];
+
+      const suspendedCount = await suspendOverduePlans();
+
+      assert.equal(suspendedCount, 1);
+      assert.deepEqual(plans.map(plan => plan.status), ['suspended', 'active']);
+      assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { 'enrolledCourses.$.paymentStatus': 'suspended' } });
+      assert.equal(Notification.notifyUsers.mock.calls[0].arguments[1].title, 'Course access suspended');
+    });
+
+    it('reminds students once about installments due soon', async () => {
+      const plan = buildPlan({ paid: 1, firstDueDaysAgo: 28 });
+      plans = [plan];
+
+      assert.equal(await sendInstallmentReminders(), 1);
+      assert.ok(plan.installments[1].reminderSentAt);
+      assert.equal(plan.installments[2].reminderSentAt, null);
+
+      const [userIds, options] = Notification.notifyUsers.mock.calls[0].arguments;
+      assert.deepEqual(userIds, [student._id]);
+      assert.match(options.message, /^Installment 2 of 3 \(₹3333\.33\) for "Physics"/);
+    });
+  });
+});
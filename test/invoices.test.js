@@ -0,0 +1,201 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+
+describe('Invoice.buildLine', () => {
+  it('splits a GST-inclusive amount into taxable value, CGST and SGST', () => {
+    const line = Invoice.buildLine({ description: 'Physics', price: 1416, discountAmount: 236, amount: 1180 }, 18);
+
+    assert.deepEqual(line, {
+      description: 'Physics',
+      sacCode: '999293',
+      price: 1416,
+      discountAmount: 236,
+      taxableAmount: 1000,
+      cgstAmount: 90,
+      sgstAmount: 90,
+      totalAmount: 1180
+    });
+  });
+
+  it('gives the rounding difference to SGST so the line adds up', () => {
+    const line = Invoice.buildLine({ description: 'Chemistry', amount: 999 }, 18);
+
+    assert.equal(line.taxableAmount, 846.61);
+    assert.equal(line.cgstAmount, 76.19);
+    assert.equal(line.sgstAmount, 76.2);
+    assert.equal(Math.round((line.taxableAmount + line.cgstAmount + line.sgstAmount) * 100) / 100, 999);
+  });
+
+  it('has no tax at a zero rate', () => {
+    const line = Invoice.buildLine({ description: 'Maths', amount: 500 }, 0);
+
+    assert.equal(line.taxableAmount, 500);
+    assert.equal(line.cgstAmount, 0);
+    assert.equal(line.sgstAmount, 0);
+  });
+});
+
+describe('Invoice.issueForPayment', () => {
+  const originals = {
+    findOne: Invoice.findOne,
+    findById: Invoice.findById,
+    create: Invoice.create,
+    findOneAndUpdate: Invoice.findOneAndUpdate,
+    next: Counter.next,
+    findUser: User.findById
+  };
+  let documents;
+  let sequence;
+
+  // A query that can be chained like a Mongoose query and awaited
+  const query = (value) => ({
+    select() { return this; },
+    populate() { return this; },
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  });
+
+  // Match the filters the invoice model sends to MongoDB
+  const matches = (document, filter) => Object.entries(filter).every(([key, value]) => {
+    if (key === '$or') return value.some(condition => matches(document, condition));
+    if (value === null) return document[key] == null;
+    if (value.$exists === false) return document[key] == null;
+    if (value.$lt) return document[key] < value.$lt;
+    if (value instanceof Date) return document[key] && document[key].getTime() === value.getTime();
+    return document[key].equals ? document[key].equals(value) : document[key] === value;
+  });
+
+  beforeEach(() => {
+    documents = [];
+    sequence = 0;
+
+    Invoice.findOne = (filter) => query(documents.find(document => matches(document, filter)) || null);
+    Invoice.findById = (id) => query(documents.find(document => document._id.equals(id)) || null);
+    Invoice.create = async (fields) => {
+      if (documents.some(document => document.payment.equals(fields.payment) && document.type === fields.type)) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      const document = new Invoice(fields);
+      documents.push(document);
+      return document;
+    };
+    Invoice.findOneAndUpdate = async (filter, update) => {
+      const document = documents.find(d => matches(d, filter));
+      if (!document) return null;
+      document.set(update);
+      return document;
+    };
+    // Numbers are taken slowly enough for concurrent requests to overlap
+    Counter.next = async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return ++sequence;
+    };
+    User.findById = () => query({ _id: new mongoose.Types.ObjectId(), name: 'Asha', email: 'asha@example.com' });
+  });
+
+  afterEach(() => {
+    Object.assign(Invoice, {
+      findOne: originals.findOne,
+      findById: originals.findById,
+      create: originals.create,
+      findOneAndUpdate: originals.findOneAndUpdate
+    });
+    Counter.next = originals.next;
+    User.findById = originals.findUser;
+  });
+
+  const buildPayment = () => new Payment({
+    student: new mongoose.Types.ObjectId(),
+    course: new mongoose.Types.ObjectId(),
+    amount: 1180,
+    originalAmount: 1180,
+    paymentMethod: 'offline',
+    status: 'completed',
+    metadata: { courseName: 'Physics' }
+  });
+
+  // An invoice whose request died after recording it
+  const buildUnnumbered = (payment, fields = {}) => {
+    const document = new Invoice({
+      type: 'invoice',
+      payment: payment._id,
+      student: payment.student,
+      lines: [Invoice.buildLine({ description: 'Physics', amount: 1180 }, 18)],
+      gstRate: 18,
+      taxableAmount: 1000,
+      totalAmount: 1180,
+      paymentMethod: 'offline',
+      ...fields
+    });
+    documents.push(document);
+    return document;
+  };
+
+  it('issues one numbered invoice per payment', async () => {
+    const payment = buildPayment();
+
+    const invoice = await Invoice.issueForPayment(payment);
+    const again = await Invoice.issueForPayment(payment);
+
+    assert.match(invoice.number, /^INV\/\d{4}-\d{2}\/00001$/);
+    assert.equal(again, invoice);
+    assert.equal(invoice.numberingAt, null);
+    assert.equal(invoice.totalAmount, 1180);
+    assert.equal(invoice.taxableAmount, 1000);
+    assert.equal(invoice.lines[0].description, 'Physics');
+    assert.equal(documents.length, 1);
+  });
+
+  it('does not take a number when another request claimed the payment', async () => {
+    const payment = buildPayment();
+
+    await Promise.all([
+      Invoice.issueForPayment(payment),
+      Invoice.issueForPayment(payment)
+    ]);
+
+    assert.equal(sequence, 1);
+    assert.equal(documents.length, 1);
+    assert.match(documents[0].number, /\/00001$/);
+  });
+
+  it('takes one number when two requests number the same invoice', async () => {
+    const payment = buildPayment();
+    const document = buildUnnumbered(payment);
+
+    const results = await Promise.all([
+      Invoice.issueForPayment(payment),
+      Invoice.issueForPayment(payment)
+    ]);
+
+    assert.equal(sequence, 1);
+    assert.match(document.number, /\/00001$/);
+    // The request that lost the lock does not wait for the number
+    assert.deepEqual(results, [document, null]);
+  });
+
+  it('leaves an invoice another request is numbering alone', async () => {
+    const payment = buildPayment();
+    buildUnnumbered(payment, { numberingAt: new Date() });
+
+    const invoice = await Invoice.issueForPayment(payment);
+
+    assert.equal(invoice, null);
+    assert.equal(sequence, 0);
+  });
+
+  it('numbers an invoice whose numbering request died', async () => {
+    const payment = buildPayment();
+    const document = buildUnnumbered(payment, { numberingAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+    const invoice = await Invoice.issueForPayment(payment);
+
+    assert.equal(invoice, document);
+    assert.match(invoice.number, /\/00001$/);
+    assert.equal(invoice.numberingAt, null);
+  });
+});
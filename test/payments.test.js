@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, startApp, buildUser, stubUsers, request, sendWebhook, signPayment } = require('./helpers');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Course = require('../models/Course');
+const Cart = require('../models/Cart');
+const Invoice = require('../models/Invoice');
+const router = require('../routes/payments');
+
+describe('online payment capture', () => {
+  let app;
+  let student;
+  let payments;
+
+  before(async () => {
+    app = await startApp('/api/payments', router);
+  });
+
+  after(() => app.close());
+
+  const buildPayment = (fields = {}) => {
+    const payment = new Payment({
+      student: student._id,
+      course: new mongoose.Types.ObjectId(),
+      amount: 1180,
+      paymentMethod: 'online',
+      razorpayOrderId: `order_${payments.length + 1}`,
+      ...fields
+    });
+    payment.save = async function() { return this; };
+    payment.populate = async function() { return this; };
+    payments.push(payment);
+    return payment;
+  };
+
+  const isEnrolled = (payment) => student.hasPurchasedCourse(payment.course);
+
+  const capturedEvent = (payment, amount = payment.amount * 100) => ({
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: `pay_${payment.razorpayOrderId}`, order_id: payment.razorpayOrderId, amount } } }
+  });
+
+  beforeEach(() => {
+    student = buildUser();
+    payments = [];
+
+    stubUsers(mock, [student]);
+    mock.method(Payment, 'findOne', (filter) => query(() => payments.find(payment =>
+      (!filter.razorpayOrderId || payment.razorpayOrderId === filter.razorpayOrderId) &&
+      (!filter.status || !filter.status.$in || filter.status.$in.includes(payment.status))) || null));
+    mock.method(Course, 'findByIdAndUpdate', () => query(null));
+    mock.method(Cart, 'updateOne', () => query({ modifiedCount: 0 }));
+    mock.method(Invoice, 'issueForPayment', async () => null);
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('completes the payment and enrolls the student from the webhook', async () => {
+    const payment = buildPayment();
+
+    const response = await sendWebhook(app.url, capturedEvent(payment), { 'x-razorpay-event-id': 'evt_1' });
+
+    assert.equal(response.status, 200);
+    assert.equal(payment.status, 'completed');
+    assert.equal(payment.razorpayPaymentId, 'pay_order_1');
+    assert.ok(isEnrolled(payment));
+    assert.ok(payment.hasProcessedEvent('evt_1'));
+  });
+
+  it('finishes the enrollment when Razorpay retries after a failure', async () => {
+    const payment = buildPayment();
+    mock.method(Course, 'findByIdAndUpdate', () => query(() => {
+      throw new Error('connection lost');
+    }), { times: 1 });
+
+    const failed = await sendWebhook(app.url, capturedEvent(payment), { 'x-razorpay-event-id': 'evt_1' });
+    assert.equal(failed.status, 500);
+    assert.equal(payment.status, 'pending');
+
+    const retried = await sendWebhook(app.url, capturedEvent(payment), { 'x-razorpay-event-id': 'evt_1' });
+    assert.equal(retried.status, 200);
+    assert.equal(payment.status, 'completed');
+    assert.ok(isEnrolled(payment));
+  });
+
+  it('leaves a capture for the wrong amount pending', async () => {
+    const payment = buildPayment();
+
+    await sendWebhook(app.url, capturedEvent(payment, 100));
+
+    assert.equal(payment.status, 'pending');
+    assert.equal(payment.metadata.failureReason, 'Captured amount does not match the order amount');
+    assert.equal(isEnrolled(payment), false);
+  });
+
+  it('completes the payment from /verify with a valid signature', async () => {
+    const payment = buildPayment();
+
+    const response = await request(`${app.url}/verify`, {
+      method: 'POST',
+      user: student,
+      body: {
+        razorpayOrderId: payment.razorpayOrderId,
+        razorpayPaymentId: 'pay_1',
+        razorpaySignature: signPayment(payment.razorpayOrderId, 'pay_1')
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(payment.status, 'completed');
+    assert.ok(isEnrolled(payment));
+  });
+
+  it('fails the payment from /verify with a bad signature', async () => {
+    const payment = buildPayment();
+
+    const response = await request(`${app.url}/verify`, {
+      method: 'POST',
+      user: student,
+      body: { razorpayOrderId: payment.razorpayOrderId, razorpayPaymentId: 'pay_1', razorpaySignature: 'forged' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(payment.status, 'failed');
+    assert.equal(isEnrolled(payment), false);
+  });
+});
@@ -0,0 +1,221 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FORMATS, detectFormat, parseCsvRecords, parseQuestions, exportQuestions } = require('../utils/questionFormats');
+
+const questions = [
+  {
+    question: 'Unit of force?',
+    type: 'single',
+    options: [{ text: 'Newton', isCorrect: true }, { text: 'Joule', isCorrect: false }],
+    explanation: 'F = ma',
+    difficulty: 'easy',
+    marks: 4
+  },
+  {
+    question: 'Vector quantities?',
+    type: 'multiple',
+    options: [{ text: 'Velocity', isCorrect: true }, { text: 'Force', isCorrect: true }, { text: 'Mass', isCorrect: false }],
+    marks: 4
+  },
+  {
+    question: 'g in m/s^2?',
+    type: 'numeric',
+    options: [],
+    numericAnswer: 9.8,
+    tolerance: 0.1,
+    marks: 2
+  },
+  {
+    question: 'SI unit of power?',
+    type: 'fill_blank',
+    options: [],
+    acceptedAnswers: ['Watt', 'W'],
+    marks: 2
+  }
+];
+
+// What survives a round trip in every format
+const summarize = ({ question, type, options = [], numericAnswer, tolerance, acceptedAnswers = [] }) => ({
+  question,
+  type,
+  options: options.map(option => [option.text, option.isCorrect]),
+  numericAnswer,
+  tolerance,
+  acceptedAnswers
+});
+
+describe('detectFormat', () => {
+  it('uses an explicit format over the file name', () => {
+    assert.equal(detectFormat('questions.csv', '', 'GIFT'), 'gift');
+    assert.equal(detectFormat('questions.csv', '', 'xml'), null);
+  });
+
+  it('detects the format from the extension', () => {
+    assert.equal(detectFormat('questions.csv'), 'csv');
+    assert.equal(detectFormat('questions.json'), 'json');
+    assert.equal(detectFormat('questions.gift'), 'gift');
+    assert.equal(detectFormat('questions.docx'), null);
+  });
+
+  it('tells GIFT and Aiken text files apart', () => {
+    assert.equal(detectFormat('questions.txt', 'Unit of force? {=Newton ~Joule}'), 'gift');
+    assert.equal(detectFormat('questions.txt', 'Unit of force?\nA. Newton\nB. Joule\nANSWER: A'), 'aiken');
+  });
+});
+
+describe('CSV', () => {
+  it('splits records with quoted commas, quotes and newlines', () => {
+    assert.deepEqual(parseCsvRecords('a,"b, c","say ""hi""\nthere"\r\nd,e,f'), [
+      ['a', 'b, c', 'say "hi"\nthere'],
+      ['d', 'e', 'f']
+    ]);
+  });
+
+  it('reads option letters and infers the question type', () => {
+    const { items, errors } = parseQuestions('csv', [
+      'Question,Option A,Option B,Option C,Correct,Numeric Answer,Accepted Answers,Marks',
+      'Unit of force?,Newton,Joule,,A,,,4',
+      'Vector quantities?,Velocity,Force,Mass,"A;B",,,4',
+      'g in m/s^2?,,,,,9.8,,2',
+      'SI unit of power?,,,,,,Watt|W,2'
+    ].join('\n'));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(items.map(item => item.question.type), ['single', 'multiple', 'numeric', 'fill_blank']);
+    assert.deepEqual(items[1].question.options.map(option => option.isCorrect), [true, true, false]);
+    assert.equal(items[2].question.numericAnswer, 9.8);
+    assert.deepEqual(items[3].question.acceptedAnswers, ['Watt', 'W']);
+    assert.equal(items[0].question.marks, 4);
+  });
+
+  it('reports bad rows by line number and keeps the rest', () => {
+    const { items, errors } = parseQuestions('csv', [
+      'question,optionA,optionB,correct,marks',
+      'Unit of force?,Newton,Joule,C,4',
+      '',
+      'Unit of energy?,Joule,Watt,A,four',
+      'Unit of power?,Watt,Joule,A,2'
+    ].join('\n'));
+
+    assert.deepEqual(errors, [
+      { row: 2, message: 'Correct answer "C" does not match an option' },
+      { row: 4, message: 'marks must be a number' }
+    ]);
+    assert.deepEqual(items.map(item => item.row), [5]);
+  });
+
+  it('requires a question column', () => {
+    assert.deepEqual(parseQuestions('csv', 'text,answer\nUnit of force?,Newton').errors, [
+      { row: 1, message: 'Header row must include a "question" column' }
+    ]);
+  });
+});
+
+describe('JSON', () => {
+  it('accepts a list or a questions object and keeps known fields only', () => {
+    const { items } = parseQuestions('json', JSON.stringify({
+      questions: [{ question: 'Unit of force?', type: 'single', options: [{ text: ' Newton ', isCorrect: true }, { text: 'Joule' }], author: 'Ravi' }]
+    }));
+
+    assert.deepEqual(items[0].question, {
+      question: 'Unit of force?',
+      type: 'single',
+      options: [{ text: 'Newton', isCorrect: true }, { text: 'Joule', isCorrect: false }]
+    });
+    assert.equal(parseQuestions('json', '[{"question":"Unit of force?"}]').items.length, 1);
+  });
+
+  it('reports invalid files and questions', () => {
+    assert.deepEqual(parseQuestions('json', '{').errors, [{ row: 1, message: 'File is not valid JSON' }]);
+    assert.deepEqual(parseQuestions('json', '{"items":[]}').errors, [
+      { row: 1, message: 'JSON must be an array of questions or { "questions": [...] }' }
+    ]);
+    assert.deepEqual(parseQuestions('json', '[null,{"question":"Q","options":["A"]}]').errors, [
+      { row: 1, message: 'Question must be an object' },
+      { row: 2, message: 'Options must be a list of { text, isCorrect }' }
+    ]);
+  });
+});
+
+describe('GIFT', () => {
+  it('reads every answer block type', () => {
+    const { items, errors } = parseQuestions('gift', [
+      '// Mechanics',
+      '::Q1:: Unit of force? {=Newton ~Joule#Energy ####F = ma}',
+      '',
+      'The earth is round. {T}',
+      '',
+      'g in m/s^2? {#9.7..9.9}',
+      '',
+      'SI unit of power is the {=Watt =W}.',
+      '',
+      'Vector quantities? {~%50%Velocity ~%50%Force ~%-100%Mass}'
+    ].join('\n'));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(items.map(item => item.question.type), ['single', 'true_false', 'numeric', 'fill_blank', 'multiple']);
+    assert.equal(items[0].question.explanation, 'F = ma');
+    assert.deepEqual(items[0].question.options, [{ text: 'Newton', isCorrect: true }, { text: 'Joule', isCorrect: false }]);
+    assert.deepEqual(items[1].question.options.map(option => option.isCorrect), [true, false]);
+    assert.equal(items[2].question.numericAnswer, 9.8);
+    assert.ok(Math.abs(items[2].question.tolerance - 0.1) < 1e-9);
+    assert.equal(items[3].question.question, 'SI unit of power is the _____ .');
+    assert.equal(items[4].question.partialScoring, 'proportional');
+  });
+
+  it('unescapes special characters and reports blocks without answers', () => {
+    const { items, errors } = parseQuestions('gift', 'What is 1\\:2? {=Half}\n\nNo answers here');
+
+    assert.equal(items[0].question.question, 'What is 1:2?');
+    assert.deepEqual(errors, [{ row: 2, message: 'Question has no {answer} block' }]);
+  });
+});
+
+describe('Aiken', () => {
+  it('reads single-answer questions over several lines', () => {
+    const { items, errors } = parseQuestions('aiken', [
+      'Which is the',
+      'unit of force?',
+      'A. Newton',
+      'B) Joule',
+      'ANSWER: A'
+    ].join('\n'));
+
+    assert.deepEqual(errors, []);
+    assert.equal(items[0].question.question, 'Which is the unit of force?');
+    assert.deepEqual(items[0].question.options, [{ text: 'Newton', isCorrect: true }, { text: 'Joule', isCorrect: false }]);
+  });
+
+  it('reports malformed questions', () => {
+    const { errors } = parseQuestions('aiken', [
+      'Unit of force?', 'A. Newton', 'ANSWER: A', '',
+      'Unit of energy?', 'A. Joule', 'B. Watt', 'ANSWER: C', '',
+      'Unit of power?', 'A. Watt', 'B. Joule'
+    ].join('\n'));
+
+    assert.deepEqual(errors, [
+      { row: 1, message: 'Question needs at least 2 options' },
+      { row: 2, message: 'Answer "C" does not match an option' },
+      { row: 3, message: 'Question is missing an ANSWER line' }
+    ]);
+  });
+});
+
+describe('exportQuestions', () => {
+  for (const format of FORMATS.filter(format => format !== 'aiken')) {
+    it(`reads back what it exports as ${format}`, () => {
+      const { content } = exportQuestions(format, questions);
+      const { items, errors } = parseQuestions(format, content);
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual(items.map(item => summarize(item.question)), questions.map(summarize));
+    });
+  }
+
+  it('exports only single-answer questions as Aiken', () => {
+    const { content, extension } = exportQuestions('aiken', questions);
+
+    assert.equal(extension, 'txt');
+    assert.equal(content, 'Unit of force?\nA. Newton\nB. Joule\nANSWER: A\n');
+  });
+});
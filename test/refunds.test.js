@@ -0,0 +1,132 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+
+const adminId = new mongoose.Types.ObjectId();
+
+// Build a completed payment whose saves are skipped
+const buildPayment = (fields = {}) => {
+  const payment = new Payment({
+    student: new mongoose.Types.ObjectId(),
+    course: new mongoose.Types.ObjectId(),
+    amount: 1000,
+    paymentMethod: 'online',
+    status: 'completed',
+    ...fields
+  });
+  payment.save = async function() { return this; };
+  return payment;
+};
+
+const buildCartPayment = () => buildPayment({
+  course: null,
+  amount: 1500,
+  items: [
+    { course: new mongoose.Types.ObjectId(), title: 'Physics', price: 1000, amount: 900, courses: [new mongoose.Types.ObjectId()] },
+    { course: new mongoose.Types.ObjectId(), title: 'Chemistry', price: 700, amount: 600, courses: [new mongoose.Types.ObjectId()] }
+  ]
+});
+
+describe('Payment.processRefund', () => {
+  it('refunds the full amount when none is given', async () => {
+    const payment = buildPayment();
+
+    await payment.processRefund(adminId, null, 'Course cancelled');
+
+    assert.equal(payment.refundAmount, 1000);
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.refunds.length, 1);
+    assert.equal(payment.refunds[0].method, 'manual');
+    assert.equal(payment.refunds[0].reason, 'Course cancelled');
+    assert.equal(payment.refundedBy, adminId);
+    assert.deepEqual(payment.getActiveCourseIds(), []);
+  });
+
+  it('keeps the payment completed after a partial refund', async () => {
+    const payment = buildPayment();
+
+    await payment.processRefund(adminId, 400, 'Goodwill');
+
+    assert.equal(payment.refundAmount, 400);
+    assert.equal(payment.status, 'completed');
+    assert.equal(payment.getRefundableAmount(), 600);
+  });
+
+  it('refunds one line item of a cart payment', async () => {
+    const payment = buildCartPayment();
+    const [physics, chemistry] = payment.items;
+
+    await payment.processRefund(adminId, null, 'Wrong course', { itemId: physics._id });
+
+    assert.equal(physics.refundAmount, 900);
+    assert.equal(physics.isRefunded, true);
+    assert.equal(chemistry.isRefunded, false);
+    assert.equal(payment.refunds[0].item, physics._id);
+    assert.equal(payment.status, 'completed');
+    assert.deepEqual(payment.getActiveCourseIds(), chemistry.courses.map(course => course._id || course));
+  });
+
+  it('caps an item refund at what is left of the payment', async () => {
+    const payment = buildCartPayment();
+    await payment.processRefund(adminId, 1000, 'Partial');
+
+    assert.equal(payment.getItemRefundableAmount(payment.items[0]), 500);
+  });
+});
+
+describe('Payment Razorpay refunds', () => {
+  const originalUpdateOne = Payment.updateOne;
+
+  afterEach(() => {
+    Payment.updateOne = originalUpdateOne;
+  });
+
+  it('records a pending refund without touching the totals', async () => {
+    const payment = buildPayment();
+
+    const refund = await payment.startRefund(adminId, 300, 'Partial');
+
+    assert.equal(refund.status, 'pending');
+    assert.equal(refund.method, 'razorpay');
+    assert.equal(payment.refundAmount, 0);
+    assert.equal(payment.hasRefund('rfnd_1'), false);
+  });
+
+  it('applies a pending refund once, for whichever caller claims it', async () => {
+    const claimed = new Set();
+    Payment.updateOne = async (filter) => {
+      const refundId = filter.refunds.$elemMatch._id.toString();
+      if (claimed.has(refundId)) return { modifiedCount: 0 };
+      claimed.add(refundId);
+      return { modifiedCount: 1 };
+    };
+
+    const payment = buildPayment();
+    const refund = await payment.startRefund(adminId, null, 'Full refund');
+
+    // The route and the refund.processed webhook race on separate copies
+    const webhookCopy = buildPayment();
+    webhookCopy.set(payment.toObject());
+
+    assert.equal(await webhookCopy.completeRefund(webhookCopy.refunds.id(refund._id), 'rfnd_1'), true);
+    assert.equal(await payment.completeRefund(refund, 'rfnd_1'), false);
+
+    for (const copy of [payment, webhookCopy]) {
+      assert.equal(copy.refundAmount, 1000);
+      assert.equal(copy.status, 'refunded');
+      assert.equal(copy.refunds.length, 1);
+      assert.equal(copy.hasRefund('rfnd_1'), true);
+    }
+  });
+
+  it('drops a pending refund that Razorpay rejected', async () => {
+    const payment = buildPayment();
+    const refund = await payment.startRefund(adminId, 300, 'Partial');
+
+    await payment.cancelRefund(refund);
+
+    assert.equal(payment.refunds.length, 0);
+    assert.equal(payment.refundAmount, 0);
+  });
+});
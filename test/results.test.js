@@ -0,0 +1,85 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, startApp, buildUser, stubUsers, request } = require('./helpers');
+const mongoose = require('mongoose');
+const Test = require('../models/Test');
+const TestResult = require('../models/TestResult');
+const Course = require('../models/Course');
+const Notification = require('../models/Notification');
+const router = require('../routes/tests');
+
+describe('result overrides', () => {
+  let app;
+  let superadmin;
+  let admin;
+  let test;
+  let result;
+
+  before(async () => {
+    app = await startApp('/api/tests', router);
+  });
+
+  after(() => app.close());
+
+  const override = (user, body) => request(`${app.url}/results/${result._id}/override`, { method: 'PUT', user, body });
+
+  beforeEach(() => {
+    superadmin = buildUser({ name: 'Owner', role: 'superadmin' });
+    admin = buildUser({ name: 'Ravi', role: 'admin' });
+    test = new Test({
+      title: 'Mechanics',
+      createdBy: new mongoose.Types.ObjectId(),
+      subject: 'Physics',
+      duration: 60,
+      questions: [{
+        question: 'Unit of force?',
+        type: 'single',
+        marks: 4,
+        options: [{ text: 'Newton', isCorrect: true }, { text: 'Joule' }]
+      }]
+    });
+    // Loaded with its course populated, as the route does
+    test.course = new Course({ title: 'Physics', instructor: new mongoose.Types.ObjectId() });
+    result = new TestResult({
+      test: test._id,
+      student: new mongoose.Types.ObjectId(),
+      course: test.course._id,
+      status: 'completed',
+      answers: [{ questionId: test.questions[0]._id, selectedOption: test.questions[0].options[1]._id, isCorrect: false, marksObtained: 0 }],
+      marksObtained: 0,
+      totalMarks: 4
+    });
+    result.save = async function() { return this; };
+
+    stubUsers(mock, [superadmin, admin]);
+    mock.method(TestResult, 'findById', () => query(result));
+    mock.method(Test, 'findById', () => query(test));
+    mock.method(Notification, 'notifyUsers', async () => []);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('overrides the marks for a question', async () => {
+    const response = await override(superadmin, { questionId: test.questions[0]._id, marksObtained: 4, reason: 'Both units accepted' });
+
+    assert.equal(response.status, 200);
+    assert.equal(result.marksObtained, 4);
+    assert.equal(result.adjustments[0].kind, 'override');
+  });
+
+  it("does not let an admin override another instructor's test", async () => {
+    const response = await override(admin, { questionId: test.questions[0]._id, marksObtained: 4, reason: 'Both units accepted' });
+
+    assert.equal(response.status, 403);
+    assert.equal(result.marksObtained, 0);
+  });
+
+  it('returns 404 when the test was deleted', async () => {
+    mock.method(Test, 'findById', () => query(null));
+
+    const response = await override(superadmin, { questionId: test.questions[0]._id, marksObtained: 4, reason: 'Both units accepted' });
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.message, 'Test not found');
+  });
+});
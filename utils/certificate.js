@@ -0,0 +1,75 @@
+const Certificate = require('../models/Certificate');
+const Course = require('../models/Course');
+const Notification = require('../models/Notification');
+const { renderPdf } = require('./pdf');
+
+const getVerificationUrl = (certificate) =>
+  `${process.env.FRONTEND_URL}/certificates/verify/${certificate.verificationCode}`;
+
+// Render a certificate as a landscape PDF
+const renderCertificate = (certificate) => renderPdf(doc => {
+  const { width, height } = doc.page;
+  const left = doc.page.margins.left;
+  const contentWidth = width - left - doc.page.margins.right;
+
+  doc.lineWidth(3).rect(20, 20, width - 40, height - 40).stroke();
+  doc.lineWidth(1).rect(28, 28, width - 56, height - 56).stroke();
+
+  doc.font('Helvetica-Bold').fontSize(32).text('Certificate of Completion', left, 110, { width: contentWidth, align: 'center' });
+
+  doc.moveDown(1.2);
+  doc.font('Helvetica').fontSize(14).text('This is to certify that', { width: contentWidth, align: 'center' });
+
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(26).text(certificate.studentName, { width: contentWidth, align: 'center' });
+
+  doc.moveDown(0.6);
+  doc.font('Helvetica').fontSize(14).text('has successfully completed the course', { width: contentWidth, align: 'center' });
+
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(20).text(certificate.courseTitle, { width: contentWidth, align: 'center' });
+
+  doc.moveDown(1);
+  doc.font('Helvetica').fontSize(12).text(
+    `Issued on ${certificate.issuedAt.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}`,
+    { width: contentWidth, align: 'center' }
+  );
+
+  doc.font('Helvetica').fontSize(9).text(
+    `Serial: ${certificate.serial}    Verification code: ${certificate.verificationCode}\nVerify at ${getVerificationUrl(certificate)}`,
+    left,
+    height - 100,
+    { width: contentWidth, align: 'center' }
+  );
+}, { title: `Certificate ${certificate.serial}`, layout: 'landscape' });
+
+// Issue a certificate if the student has completed the course, and tell them.
+// Failures are logged so they never block the action that triggered the check.
+const awardCertificateIfComplete = async (studentId, courseId) => {
+  try {
+    const { certificate, created } = await Certificate.issueIfComplete(studentId, courseId);
+
+    if (created) {
+      const course = await Course.findById(courseId).select('instructor');
+
+      await Notification.notifyUsers([studentId], {
+        title: 'Certificate issued',
+        message: `Congratulations on completing "${certificate.courseTitle}". Your certificate ${certificate.serial} is ready to download.`,
+        type: 'success',
+        createdBy: course.instructor,
+        metadata: { certificateId: certificate._id, courseId }
+      });
+    }
+
+    return certificate;
+  } catch (error) {
+    console.error('Certificate issue error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  getVerificationUrl,
+  renderCertificate,
+  awardCertificateIfComplete
+};
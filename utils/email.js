@@ -21,7 +21,8 @@ const sendEmail = async (options) => {
     from: `${process.env.FROM_NAME || 'Coaching Platform'} <${process.env.EMAIL_USER}>`,
     to: options.email,
     subject: options.subject,
-    html: options.html || options.message
+    html: options.html || options.message,
+    attachments: options.attachments || []
   };
   
   try {
@@ -98,7 +99,7 @@ const emailTemplates = {
         <p>Hello ${studentName},</p>
         <p>Congratulations! You have successfully enrolled in:</p>
         <h3 style="color: #007bff;">${courseName}</h3>
-        <p>Payment Method: ${paymentMethod === 'online' ? 'Online Payment' : 'Offline Payment'}</p>
+        <p>Payment Method: ${{ online: 'Online Payment', offline: 'Offline Payment', free: 'Free Enrollment' }[paymentMethod]}</p>
         <p>You can now access all course materials, participate in discussions, and take tests.</p>
         <p>Happy learning!</p>
         <p>Best regards,<br>Coaching Platform Team</p>
@@ -121,6 +122,35 @@ const emailTemplates = {
     `
   }),
   
+  // Receipt for a payment that did not enroll the student (later installments)
+  paymentReceipt: (studentName, courseName, amount) => ({
+    subject: 'Payment Received',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Payment Received</h2>
+        <p>Hello ${studentName},</p>
+        <p>We have received your payment of ₹${amount} for "${courseName}".</p>
+        <p>Your invoice is attached to this email.</p>
+        <p>Best regards,<br>Coaching Platform Team</p>
+      </div>
+    `
+  }),
+
+  // Payment refund notification
+  paymentRefunded: (studentName, courseName, amount, isFullRefund) => ({
+    subject: 'Payment Refunded',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Refund Processed</h2>
+        <p>Hello ${studentName},</p>
+        <p>A ${isFullRefund ? 'full' : 'partial'} refund of ₹${amount} for the course "${courseName}" has been processed.</p>
+        ${isFullRefund ? '<p>Your access to this course has been removed.</p>' : '<p>Your access to this course is unchanged.</p>'}
+        <p>Refunds usually reach your account within 5-7 working days.</p>
+        <p>Best regards,<br>Coaching Platform Team</p>
+      </div>
+    `
+  }),
+
   // Payment rejection notification
   paymentRejected: (studentName, courseName, reason) => ({
     subject: 'Payment Rejected - Action Required',
@@ -134,6 +164,35 @@ const emailTemplates = {
         <p>Best regards,<br>Coaching Platform Team</p>
       </div>
     `
+  }),
+
+  // Installment due reminder
+  installmentReminder: (studentName, courseName, installmentNumber, installmentCount, amount, dueDate) => ({
+    subject: `Installment ${installmentNumber} of ${installmentCount} Due Soon`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Installment Reminder</h2>
+        <p>Hello ${studentName},</p>
+        <p>Installment ${installmentNumber} of ${installmentCount} for the course "${courseName}" is due on ${dueDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}.</p>
+        <p><strong>Amount:</strong> ₹${amount}</p>
+        <p>Pay online or submit an offline payment before the due date to keep your access to the course.</p>
+        <p>Best regards,<br>Coaching Platform Team</p>
+      </div>
+    `
+  }),
+
+  // Course access suspended for an overdue installment
+  courseAccessSuspended: (studentName, courseName, installmentNumber, amount) => ({
+    subject: 'Course Access Suspended - Installment Overdue',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Course Access Suspended</h2>
+        <p>Hello ${studentName},</p>
+        <p>Installment ${installmentNumber} of ₹${amount} for the course "${courseName}" is overdue, so your access to the course has been suspended.</p>
+        <p>Your progress is saved. Access is restored as soon as the installment is paid.</p>
+        <p>Best regards,<br>Coaching Platform Team</p>
+      </div>
+    `
   })
 };
 
@@ -162,19 +221,30 @@ const sendAdminInviteEmail = async (email, inviteCode, inviterName) => {
   });
 };
 
-const sendCourseEnrollmentEmail = async (email, studentName, courseName, paymentMethod) => {
+const sendCourseEnrollmentEmail = async (email, studentName, courseName, paymentMethod, attachments = []) => {
   const template = emailTemplates.courseEnrollment(studentName, courseName, paymentMethod);
   return await sendEmail({
     email,
-    ...template
+    ...template,
+    attachments
   });
 };
 
-const sendPaymentApprovedEmail = async (email, studentName, courseName, amount) => {
+const sendPaymentApprovedEmail = async (email, studentName, courseName, amount, attachments = []) => {
   const template = emailTemplates.paymentApproved(studentName, courseName, amount);
   return await sendEmail({
     email,
-    ...template
+    ...template,
+    attachments
+  });
+};
+
+const sendPaymentReceiptEmail = async (email, studentName, courseName, amount, attachments = []) => {
+  const template = emailTemplates.paymentReceipt(studentName, courseName, amount);
+  return await sendEmail({
+    email,
+    ...template,
+    attachments
   });
 };
 
@@ -186,6 +256,31 @@ const sendPaymentRejectedEmail = async (email, studentName, courseName, reason)
   });
 };
 
+const sendPaymentRefundedEmail = async (email, studentName, courseName, amount, isFullRefund, attachments = []) => {
+  const template = emailTemplates.paymentRefunded(studentName, courseName, amount, isFullRefund);
+  return await sendEmail({
+    email,
+    ...template,
+    attachments
+  });
+};
+
+const sendInstallmentReminderEmail = async (email, studentName, courseName, installmentNumber, installmentCount, amount, dueDate) => {
+  const template = emailTemplates.installmentReminder(studentName, courseName, installmentNumber, installmentCount, amount, dueDate);
+  return await sendEmail({
+    email,
+    ...template
+  });
+};
+
+const sendCourseAccessSuspendedEmail = async (email, studentName, courseName, installmentNumber, amount) => {
+  const template = emailTemplates.courseAccessSuspended(studentName, courseName, installmentNumber, amount);
+  return await sendEmail({
+    email,
+    ...template
+  });
+};
+
 module.exports = {
   sendEmail,
   sendPasswordResetEmail,
@@ -193,5 +288,9 @@ module.exports = {
   sendAdminInviteEmail,
   sendCourseEnrollmentEmail,
   sendPaymentApprovedEmail,
-  sendPaymentRejectedEmail
+  sendPaymentReceiptEmail,
+  sendPaymentRejectedEmail,
+  sendPaymentRefundedEmail,
+  sendInstallmentReminderEmail,
+  sendCourseAccessSuspendedEmail
 };
\ No newline at end of file
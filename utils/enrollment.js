@@ -0,0 +1,134 @@
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Payment = require('../models/Payment');
+const PaymentPlan = require('../models/PaymentPlan');
+
+// Enroll a student in a course after a completed payment (or for free)
+async function enrollStudent(studentId, courseId, paymentMethod) {
+  const user = await User.findById(studentId);
+
+  // Check if already enrolled
+  const existingEnrollment = user.enrolledCourses.find(
+    enrollment => enrollment.course.toString() === courseId.toString()
+  );
+
+  if (!existingEnrollment) {
+    user.enrolledCourses.push({
+      course: courseId,
+      paymentStatus: 'completed',
+      paymentMethod
+    });
+    await user.save();
+
+    // Update course enrollment count
+    await Course.findByIdAndUpdate(courseId, {
+      $inc: { enrollmentCount: 1 }
+    });
+  } else if (existingEnrollment.paymentStatus !== 'completed') {
+    // Update existing enrollment
+    existingEnrollment.paymentStatus = 'completed';
+    existingEnrollment.paymentMethod = paymentMethod;
+    await user.save();
+  }
+
+  return user;
+}
+
+// Revoke a student's enrollment after a full refund
+async function revokeEnrollment(studentId, courseId) {
+  const user = await User.findById(studentId);
+  if (!user) return null;
+
+  const existingEnrollment = user.enrolledCourses.find(
+    enrollment => enrollment.course.toString() === courseId.toString()
+  );
+
+  if (existingEnrollment) {
+    user.enrolledCourses.pull(existingEnrollment._id);
+    await user.save();
+
+    // Update course enrollment count
+    await Course.findByIdAndUpdate(courseId, {
+      $inc: { enrollmentCount: -1 }
+    });
+  }
+
+  return user;
+}
+
+// Enroll a student in every course a completed payment covers
+async function enrollPaymentCourses(payment) {
+  const studentId = payment.student._id || payment.student;
+  let user = null;
+
+  // Installments update the plan. Access stays suspended while another
+  // installment is still overdue.
+  if (payment.paymentPlan) {
+    const plan = await PaymentPlan.findById(payment.paymentPlan._id || payment.paymentPlan);
+    plan.markInstallmentPaid(payment.installmentNumber, payment._id);
+    await plan.save();
+
+    if (plan.status === 'suspended') {
+      return User.findById(studentId);
+    }
+  }
+
+  for (const courseId of payment.getCourseIds()) {
+    user = await enrollStudent(studentId, courseId, payment.paymentMethod);
+  }
+
+  return user;
+}
+
+// Get the IDs of the courses a student still has through their other completed
+// payments, e.g. a course bought on its own and again in a bundle. Installments
+// of the same plan are one purchase, so they do not count.
+async function getCoursesPaidElsewhere(payment, courseIds) {
+  const planId = payment.paymentPlan ? payment.paymentPlan._id || payment.paymentPlan : null;
+
+  const otherPayments = await Payment.find({
+    _id: { $ne: payment._id },
+    student: payment.student._id || payment.student,
+    status: 'completed',
+    ...(planId && { paymentPlan: { $ne: planId } }),
+    $or: [
+      { course: { $in: courseIds } },
+      { courses: { $in: courseIds } },
+      { 'items.courses': { $in: courseIds } }
+    ]
+  });
+
+  return otherPayments.flatMap(otherPayment => otherPayment.getActiveCourseIds().map(courseId => courseId.toString()));
+}
+
+// Revoke the enrollments a refunded payment covered (all of them by default).
+// Courses the student also paid for through another payment are kept.
+async function revokePaymentCourses(payment, courseIds = payment.getCourseIds()) {
+  if (courseIds.length === 0) return null;
+
+  const paidElsewhere = await getCoursesPaidElsewhere(payment, courseIds);
+  let user = null;
+
+  for (const courseId of courseIds) {
+    if (paidElsewhere.includes(courseId.toString())) continue;
+    user = await revokeEnrollment(payment.student._id || payment.student, courseId);
+  }
+
+  return user;
+}
+
+// Suspend or restore a student's access to a course without removing the enrollment
+async function setEnrollmentStatus(studentId, courseId, paymentStatus) {
+  return User.updateOne(
+    { _id: studentId, 'enrolledCourses.course': courseId },
+    { $set: { 'enrolledCourses.$.paymentStatus': paymentStatus } }
+  );
+}
+
+module.exports = {
+  enrollStudent,
+  revokeEnrollment,
+  enrollPaymentCourses,
+  revokePaymentCourses,
+  setEnrollmentStatus
+};
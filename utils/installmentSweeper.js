@@ -0,0 +1,136 @@
+const PaymentPlan = require('../models/PaymentPlan');
+const Notification = require('../models/Notification');
+const { setEnrollmentStatus } = require('./enrollment');
+const { sendInstallmentReminderEmail, sendCourseAccessSuspendedEmail } = require('./email');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Remind students about installments due within the reminder window
+const sendInstallmentReminders = async (now = new Date()) => {
+  const reminderDays = parseInt(process.env.INSTALLMENT_REMINDER_DAYS) || 3;
+  const windowEnd = new Date(now.getTime() + reminderDays * DAY_MS);
+
+  const plans = await PaymentPlan.find({
+    status: { $in: ['active', 'suspended'] },
+    installments: {
+      $elemMatch: { status: 'due', dueDate: { $lte: windowEnd }, reminderSentAt: null }
+    }
+  })
+    .populate('student', 'name email')
+    .populate('course', 'title instructor');
+
+  let reminderCount = 0;
+
+  for (const plan of plans) {
+    try {
+      const installment = plan.installments.find(entry =>
+        entry.status === 'due' && entry.dueDate <= windowEnd && !entry.reminderSentAt
+      );
+
+      await Notification.notifyUsers([plan.student._id], {
+        title: 'Installment due soon',
+        message: `Installment ${installment.number} of ${plan.installments.length} (₹${installment.amount}) for "${plan.course.title}" is due on ${installment.dueDate.toDateString()}.`,
+        type: 'warning',
+        createdBy: plan.course.instructor,
+        metadata: { paymentPlanId: plan._id, courseId: plan.course._id }
+      });
+
+      try {
+        await sendInstallmentReminderEmail(
+          plan.student.email,
+          plan.student.name,
+          plan.course.title,
+          installment.number,
+          plan.installments.length,
+          installment.amount,
+          installment.dueDate
+        );
+      } catch (emailError) {
+        console.error('Installment reminder email error:', emailError);
+      }
+
+      installment.reminderSentAt = now;
+      await plan.save();
+      reminderCount++;
+    } catch (error) {
+      console.error(`Error sending reminder for payment plan ${plan._id}:`, error);
+    }
+  }
+
+  return reminderCount;
+};
+
+// Suspend course access for plans with an installment past its grace period
+const suspendOverduePlans = async (now = new Date()) => {
+  const plans = await PaymentPlan.find({
+    status: 'active',
+    installments: { $elemMatch: { status: 'due', dueDate: { $lt: now } } }
+  })
+    .populate('student', 'name email')
+    .populate('course', 'title instructor');
+
+  let suspendedCount = 0;
+
+  for (const plan of plans) {
+    try {
+      const installment = plan.getOverdueInstallment(now);
+      if (!installment) continue;
+
+      plan.suspend();
+      await plan.save();
+      await setEnrollmentStatus(plan.student._id, plan.course._id, 'suspended');
+      suspendedCount++;
+
+      await Notification.notifyUsers([plan.student._id], {
+        title: 'Course access suspended',
+        message: `Installment ${installment.number} (₹${installment.amount}) for "${plan.course.title}" is overdue. Pay it to restore your access.`,
+        type: 'error',
+        createdBy: plan.course.instructor,
+        metadata: { paymentPlanId: plan._id, courseId: plan.course._id }
+      });
+
+      try {
+        await sendCourseAccessSuspendedEmail(
+          plan.student.email,
+          plan.student.name,
+          plan.course.title,
+          installment.number,
+          installment.amount
+        );
+      } catch (emailError) {
+        console.error('Access suspended email error:', emailError);
+      }
+    } catch (error) {
+      console.error(`Error suspending payment plan ${plan._id}:`, error);
+    }
+  }
+
+  return suspendedCount;
+};
+
+// Run the sweeper on an interval
+const startInstallmentSweeper = (intervalMs = parseInt(process.env.INSTALLMENT_SWEEP_INTERVAL_MS) || 60 * 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const suspendedCount = await suspendOverduePlans();
+      const reminderCount = await sendInstallmentReminders();
+
+      if (suspendedCount > 0 || reminderCount > 0) {
+        console.log(`Installments: suspended ${suspendedCount} plans, sent ${reminderCount} reminders`);
+      }
+    } catch (error) {
+      console.error('Installment sweeper error:', error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  sendInstallmentReminders,
+  suspendOverduePlans,
+  startInstallmentSweeper
+};
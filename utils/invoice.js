@@ -0,0 +1,173 @@
+const Invoice = require('../models/Invoice');
+const { renderPdf, drawRule, ensureSpace } = require('./pdf');
+
+// The built-in PDF fonts have no rupee sign
+const formatAmount = (amount) =>
+  `Rs. ${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Table columns: x offset from the left margin and width
+const COLUMNS = {
+  description: { x: 0, width: 150 },
+  sac: { x: 155, width: 40 },
+  taxable: { x: 200, width: 75 },
+  cgst: { x: 280, width: 70 },
+  sgst: { x: 355, width: 70 },
+  total: { x: 430, width: 65 }
+};
+
+// Draw one table row and move below its tallest cell
+const drawRow = (doc, cells, font = 'Helvetica') => {
+  const left = doc.page.margins.left;
+  const y = doc.y;
+  let bottom = y;
+
+  doc.font(font).fontSize(9);
+  Object.entries(cells).forEach(([column, value]) => {
+    const { x, width } = COLUMNS[column];
+    doc.text(value, left + x, y, { width, align: column === 'description' ? 'left' : 'right' });
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.x = left;
+  doc.y = bottom + 4;
+};
+
+// Render an invoice or credit note as a PDF
+const renderInvoice = (invoice) => renderPdf(doc => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const isCreditNote = invoice.type === 'credit_note';
+  const halfRate = invoice.gstRate / 2;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(isCreditNote ? 'Credit Note' : 'Tax Invoice', { width, align: 'center' });
+  doc.moveDown(0.5);
+
+  // Seller details
+  doc.font('Helvetica-Bold').fontSize(12).text(invoice.seller.name);
+  doc.font('Helvetica').fontSize(9);
+  if (invoice.seller.address) doc.text(invoice.seller.address);
+  if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`);
+  if (invoice.seller.state) {
+    doc.text(`State: ${invoice.seller.state}${invoice.seller.stateCode ? ` (${invoice.seller.stateCode})` : ''}`);
+  }
+
+  drawRule(doc);
+
+  // Document and buyer details
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10).text('Billed to', left, top);
+  doc.font('Helvetica').fontSize(9).text(invoice.buyer.name);
+  doc.text(invoice.buyer.email);
+  if (invoice.buyer.phone) doc.text(invoice.buyer.phone);
+  const buyerBottom = doc.y;
+
+  const details = [
+    `${isCreditNote ? 'Credit note' : 'Invoice'} no: ${invoice.number}`,
+    `Date: ${formatDate(invoice.issuedAt)}`
+  ];
+  if (isCreditNote && invoice.invoice) {
+    details.push(`Against invoice: ${invoice.invoice.number || invoice.invoice}`);
+  }
+  if (invoice.seller.state) details.push(`Place of supply: ${invoice.seller.state}`);
+  details.push(`Payment: ${invoice.paymentMethod}${invoice.paymentReference ? ` (${invoice.paymentReference})` : ''}`);
+
+  doc.font('Helvetica').fontSize(9).text(details.join('\n'), left + width / 2, top, { width: width / 2, align: 'right' });
+
+  doc.x = left;
+  doc.y = Math.max(buyerBottom, doc.y);
+  drawRule(doc);
+
+  // Line items
+  drawRow(doc, {
+    description: 'Description',
+    sac: 'SAC',
+    taxable: 'Taxable value',
+    cgst: `CGST ${halfRate}%`,
+    sgst: `SGST ${halfRate}%`,
+    total: 'Amount'
+  }, 'Helvetica-Bold');
+  drawRule(doc);
+
+  invoice.lines.forEach(line => {
+    ensureSpace(doc, 40);
+
+    const discount = line.discountAmount > 0
+      ? `\nList price ${formatAmount(line.price)}, discount ${formatAmount(line.discountAmount)}`
+      : '';
+
+    drawRow(doc, {
+      description: `${line.description}${discount}`,
+      sac: line.sacCode || '',
+      taxable: formatAmount(line.taxableAmount),
+      cgst: formatAmount(line.cgstAmount),
+      sgst: formatAmount(line.sgstAmount),
+      total: formatAmount(line.totalAmount)
+    });
+  });
+
+  drawRule(doc);
+  drawRow(doc, {
+    description: 'Total',
+    taxable: formatAmount(invoice.taxableAmount),
+    cgst: formatAmount(invoice.cgstAmount),
+    sgst: formatAmount(invoice.sgstAmount),
+    total: formatAmount(invoice.totalAmount)
+  }, 'Helvetica-Bold');
+
+  doc.moveDown(1);
+  doc.font('Helvetica').fontSize(9);
+  if (isCreditNote && invoice.reason) {
+    doc.text(`Reason: ${invoice.reason}`, left, doc.y, { width });
+  }
+  doc.text(
+    `${isCreditNote ? 'Refunded' : 'Paid'}: ${formatAmount(invoice.totalAmount)} (GST included at ${invoice.gstRate}%)`,
+    left,
+    doc.y,
+    { width }
+  );
+
+  doc.moveDown(2);
+  doc.fontSize(8).text('This is a computer-generated document and does not need a signature.', { width, align: 'center' });
+}, { title: `${invoice.type === 'credit_note' ? 'Credit Note' : 'Invoice'} ${invoice.number}` });
+
+// File name for an invoice or credit note, e.g. INV-2026-27-00042.pdf
+const getInvoiceFilename = (invoice) => `${invoice.number.replace(/\//g, '-')}.pdf`;
+
+// Get an invoice as an email attachment
+const getInvoiceAttachment = async (invoice) => ({
+  filename: getInvoiceFilename(invoice),
+  content: await renderInvoice(invoice),
+  contentType: 'application/pdf'
+});
+
+// Issue the invoice for a completed payment. Failures are logged so they never
+// block the payment flow; the invoice is issued on first download instead.
+const issueInvoice = async (payment) => {
+  try {
+    return await Invoice.issueForPayment(payment);
+  } catch (error) {
+    console.error('Invoice issue error:', error);
+    return null;
+  }
+};
+
+// Issue the credit note for one of a payment's refunds (the last one by default)
+const issueCreditNote = async (payment, refund = payment.refunds[payment.refunds.length - 1]) => {
+  try {
+    return await Invoice.issueCreditNote(payment, refund);
+  } catch (error) {
+    console.error('Credit note issue error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  renderInvoice,
+  getInvoiceFilename,
+  getInvoiceAttachment,
+  issueInvoice,
+  issueCreditNote
+};
@@ -0,0 +1,46 @@
+const PDFDocument = require('pdfkit');
+
+// Render a PDF in memory and resolve with its contents.
+// `draw` receives the pdfkit document and must not call doc.end().
+const renderPdf = (draw, { title = '', layout = 'portrait', margin = 50 } = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout,
+    margin,
+    info: { Title: title }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+// Draw a horizontal rule across the page at the current position
+const drawRule = (doc) => {
+  const y = doc.y + 4;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .stroke();
+  doc.y = y + 8;
+};
+
+// Start a new page when less than `height` points are left
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+module.exports = {
+  renderPdf,
+  drawRule,
+  ensureSpace
+};
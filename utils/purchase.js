@@ -0,0 +1,242 @@
+const Course = require('../models/Course');
+const Bundle = require('../models/Bundle');
+const Coupon = require('../models/Coupon');
+const Payment = require('../models/Payment');
+const PaymentPlan = require('../models/PaymentPlan');
+
+// Load the course or bundle a student wants to buy.
+// Returns { status, message } or { item } with the price and courses to enroll.
+async function getPurchaseItem(user, courseId, bundleId) {
+  if (!courseId === !bundleId) {
+    return { status: 400, message: 'Provide either courseId or bundleId' };
+  }
+
+  if (courseId) {
+    const course = await Course.findById(courseId);
+    if (!course || !course.isPublished) {
+      return { status: 404, message: 'Course not found or not available' };
+    }
+
+    // Check if student has already purchased this course
+    if (user.hasPurchasedCourse(courseId)) {
+      return { status: 400, message: 'You have already purchased this course' };
+    }
+
+    // Access suspended for an overdue installment comes back by paying it
+    if (await PaymentPlan.findCurrent(user._id, courseId)) {
+      return { status: 400, message: 'You are paying for this course in installments. Pay the next installment with paymentPlanId' };
+    }
+
+    // Free courses are enrolled directly
+    if (course.price === 0) {
+      return { status: 400, message: 'This course is free. Enroll with POST /api/courses/:id/enroll' };
+    }
+
+    return {
+      item: {
+        course,
+        bundle: null,
+        title: course.title,
+        price: course.price,
+        courseIds: [course._id]
+      }
+    };
+  }
+
+  const bundle = await Bundle.findById(bundleId).populate('courses', 'title price isPublished');
+  if (!bundle || !bundle.isPublished) {
+    return { status: 404, message: 'Bundle not found or not available' };
+  }
+
+  if (bundle.courses.some(course => !course.isPublished)) {
+    return { status: 400, message: 'Some courses in this bundle are not available' };
+  }
+
+  // Courses the student already owns or pays for in installments are left out of the enrollment
+  const planCourseIds = await PaymentPlan.find({
+    student: user._id,
+    course: { $in: bundle.courses.map(course => course._id) },
+    status: { $in: ['active', 'suspended'] }
+  }).distinct('course');
+
+  const courseIds = bundle.courses
+    .filter(course => !user.hasPurchasedCourse(course._id) &&
+      !planCourseIds.some(courseId => courseId.toString() === course._id.toString()))
+    .map(course => course._id);
+
+  if (courseIds.length === 0) {
+    return { status: 400, message: 'You already own every course in this bundle' };
+  }
+
+  return {
+    item: {
+      course: null,
+      bundle,
+      title: bundle.title,
+      price: bundle.getPriceFor(courseIds),
+      courseIds
+    }
+  };
+}
+
+// Load the course installment a student wants to pay: the first installment of
+// a new plan (installmentPlanId) or the next one of their plan (paymentPlanId).
+// Returns { status, message } or { item } like getPurchaseItem.
+async function getInstallmentItem(user, { courseId, installmentPlanId, paymentPlanId }) {
+  if (!installmentPlanId === !paymentPlanId) {
+    return { status: 400, message: 'Provide either installmentPlanId or paymentPlanId' };
+  }
+
+  if (installmentPlanId) {
+    if (!courseId) {
+      return { status: 400, message: 'courseId is required to start an installment plan' };
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course || !course.isPublished) {
+      return { status: 404, message: 'Course not found or not available' };
+    }
+
+    if (user.hasPurchasedCourse(courseId)) {
+      return { status: 400, message: 'You have already purchased this course' };
+    }
+
+    if (await PaymentPlan.findCurrent(user._id, courseId)) {
+      return { status: 400, message: 'You are already paying for this course in installments' };
+    }
+
+    const installmentPlan = course.installmentPlans.id(installmentPlanId);
+    if (!installmentPlan || !installmentPlan.isActive) {
+      return { status: 404, message: 'Installment plan not found' };
+    }
+
+    return {
+      item: {
+        course,
+        bundle: null,
+        title: `${course.title} (installment 1 of ${installmentPlan.installmentCount})`,
+        price: installmentPlan.getInstallmentAmounts()[0],
+        courseIds: [course._id],
+        installmentPlan,
+        paymentPlan: null,
+        installmentNumber: 1
+      }
+    };
+  }
+
+  const paymentPlan = await PaymentPlan.findOne({
+    _id: paymentPlanId,
+    student: user._id,
+    status: { $in: ['active', 'suspended'] }
+  });
+
+  if (!paymentPlan) {
+    return { status: 404, message: 'Payment plan not found or not active' };
+  }
+
+  const course = await Course.findById(paymentPlan.course);
+  if (!course) {
+    return { status: 404, message: 'Course not found' };
+  }
+
+  const installment = paymentPlan.getNextInstallment();
+
+  return {
+    item: {
+      course,
+      bundle: null,
+      title: `${course.title} (installment ${installment.number} of ${paymentPlan.installments.length})`,
+      price: installment.amount,
+      courseIds: [course._id],
+      installmentPlan: null,
+      paymentPlan,
+      installmentNumber: installment.number
+    }
+  };
+}
+
+// Validate a coupon code for the items being bought and split its discount
+// across the items it covers, by price. Returns { error } or
+// { coupon, discountAmount, finalAmount, discounts } with one discount per item.
+async function resolveCoupon(couponCode, items, studentId) {
+  const coupon = await Coupon.findOne({ code: couponCode.trim().toUpperCase() });
+
+  if (!coupon || !coupon.isValid()) {
+    return { error: 'Invalid or expired coupon code' };
+  }
+
+  // Bundle coupons must cover every course in the bundle
+  const isEligible = items.map(item => item.courseIds.every(courseId => coupon.appliesToCourse(courseId)));
+
+  if (!isEligible.includes(true)) {
+    return {
+      error: items.length === 1
+        ? `Coupon is not valid for this ${items[0].bundle ? 'bundle' : 'course'}`
+        : 'Coupon is not valid for any item in your cart'
+    };
+  }
+
+  const eligibleAmount = items.reduce((total, item, index) => total + (isEligible[index] ? item.price : 0), 0);
+
+  if (eligibleAmount < coupon.minAmount) {
+    return { error: `Coupon requires a minimum purchase of ₹${coupon.minAmount}` };
+  }
+
+  await coupon.releaseLapsedHolds(studentId);
+
+  // Checked again when the use is taken (see Coupon.reserve)
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'Coupon usage limit has been reached' };
+  }
+
+  if (await coupon.getRedemptionCount(studentId) >= coupon.perUserLimit) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  const discountAmount = coupon.calculateDiscount(eligibleAmount);
+
+  // The last eligible item takes whatever rounding leaves over
+  const lastEligible = isEligible.lastIndexOf(true);
+  let remaining = discountAmount;
+
+  const discounts = items.map((item, index) => {
+    if (!isEligible[index]) return 0;
+
+    const share = index === lastEligible
+      ? remaining
+      : Math.round((discountAmount * item.price / eligibleAmount) * 100) / 100;
+
+    remaining = Math.round((remaining - share) * 100) / 100;
+    return share;
+  });
+
+  const totalAmount = items.reduce((total, item) => total + item.price, 0);
+
+  return {
+    coupon,
+    discountAmount,
+    finalAmount: Math.round((totalAmount - discountAmount) * 100) / 100,
+    discounts
+  };
+}
+
+// Find a student's pending payment for any of the given courses, whether they
+// were bought on their own, in a bundle or as a cart line item
+function findPendingPayment(studentId, courseIds) {
+  return Payment.findOne({
+    student: studentId,
+    status: 'pending',
+    $or: [
+      { course: { $in: courseIds } },
+      { courses: { $in: courseIds } },
+      { 'items.courses': { $in: courseIds } }
+    ]
+  });
+}
+
+module.exports = {
+  getPurchaseItem,
+  getInstallmentItem,
+  resolveCoupon,
+  findPendingPayment
+};
@@ -0,0 +1,580 @@
+const { createObjectCsvStringifier } = require('csv-writer');
+
+// Import and export test questions as CSV, JSON, Moodle GIFT or Aiken.
+// Parsers return { items: [{ row, question }], errors: [{ row, message }] },
+// where row is the line (CSV), index (JSON) or block (GIFT/Aiken) number.
+
+const FORMATS = ['csv', 'json', 'gift', 'aiken'];
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+const CSV_COLUMNS = [
+  'question', 'type',
+  ...OPTION_LETTERS.map(letter => `option${letter}`),
+  'correct', 'partialScoring', 'numericAnswer', 'tolerance', 'acceptedAnswers', 'caseSensitive',
+  'explanation', 'difficulty', 'marks', 'negativeMarks', 'section'
+];
+
+const JSON_FIELDS = ['question', 'type', 'options', 'partialScoring', 'numericAnswer', 'tolerance', 'acceptedAnswers', 'caseSensitive', 'explanation', 'difficulty', 'marks', 'negativeMarks', 'section'];
+
+// Pick the format from an explicit value or the file name
+const detectFormat = (filename = '', content = '', format = '') => {
+  if (format) return FORMATS.includes(format.toLowerCase()) ? format.toLowerCase() : null;
+
+  const extension = filename.split('.').pop().toLowerCase();
+  if (['csv', 'json', 'gift'].includes(extension)) return extension;
+
+  // Plain text files are GIFT when they use answer blocks, otherwise Aiken
+  if (extension === 'txt') return /\{[\s\S]*\}/.test(content) ? 'gift' : 'aiken';
+
+  return null;
+};
+
+const toNumber = (value) => (value === undefined || value === null || String(value).trim() === '' ? undefined : Number(value));
+
+const toBoolean = (value) => ['true', 'yes', '1'].includes(String(value).trim().toLowerCase());
+
+// ---------- CSV ----------
+
+// Split CSV text into records, honouring quoted fields with commas, quotes and newlines
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]+/g, '');
+
+const csvRowToQuestion = (values) => {
+  const options = OPTION_LETTERS
+    .map(letter => values[`option${letter}`.toLowerCase()])
+    .filter(text => text !== undefined && text.trim() !== '')
+    .map(text => ({ text: text.trim(), isCorrect: false }));
+
+  const correctLetters = (values.correct || '')
+    .split(/[\s,;|]+/)
+    .map(letter => letter.trim().toUpperCase())
+    .filter(Boolean);
+
+  for (const letter of correctLetters) {
+    const index = OPTION_LETTERS.indexOf(letter);
+    if (index === -1 || !options[index]) {
+      return { error: `Correct answer "${letter}" does not match an option` };
+    }
+    options[index].isCorrect = true;
+  }
+
+  const acceptedAnswers = (values.acceptedanswers || '')
+    .split('|')
+    .map(answer => answer.trim())
+    .filter(Boolean);
+
+  let type = (values.type || '').trim().toLowerCase();
+  if (!type) {
+    if (values.numericanswer && values.numericanswer.trim() !== '') type = 'numeric';
+    else if (acceptedAnswers.length > 0) type = 'fill_blank';
+    else type = correctLetters.length > 1 ? 'multiple' : 'single';
+  }
+
+  const question = {
+    question: (values.question || '').trim(),
+    type,
+    options,
+    acceptedAnswers,
+    explanation: (values.explanation || '').trim()
+  };
+
+  const numericFields = { numericanswer: 'numericAnswer', tolerance: 'tolerance', marks: 'marks', negativemarks: 'negativeMarks' };
+  for (const [column, field] of Object.entries(numericFields)) {
+    const value = toNumber(values[column]);
+    if (value !== undefined) {
+      if (!Number.isFinite(value)) {
+        return { error: `${field} must be a number` };
+      }
+      question[field] = value;
+    }
+  }
+
+  if (values.difficulty && values.difficulty.trim()) question.difficulty = values.difficulty.trim().toLowerCase();
+  if (values.partialscoring && values.partialscoring.trim()) question.partialScoring = values.partialscoring.trim().toLowerCase();
+  if (values.casesensitive && values.casesensitive.trim()) question.caseSensitive = toBoolean(values.casesensitive);
+  if (values.section && values.section.trim()) question.section = values.section.trim();
+
+  return { question };
+};
+
+const parseCsv = (text) => {
+  const records = parseCsvRecords(text.replace(/^\uFEFF/, ''));
+  const items = [];
+  const errors = [];
+
+  if (records.length === 0) {
+    return { items, errors: [{ row: 1, message: 'File is empty' }] };
+  }
+
+  const headers = records[0].map(normalizeHeader);
+  if (!headers.includes('question')) {
+    return { items, errors: [{ row: 1, message: 'Header row must include a "question" column' }] };
+  }
+
+  records.slice(1).forEach((record, index) => {
+    const row = index + 2;
+    if (record.every(value => value.trim() === '')) return;
+
+    const values = {};
+    headers.forEach((header, column) => {
+      values[header] = record[column];
+    });
+
+    const { question, error } = csvRowToQuestion(values);
+    if (error) {
+      errors.push({ row, message: error });
+    } else {
+      items.push({ row, question });
+    }
+  });
+
+  return { items, errors };
+};
+
+const exportCsv = (questions) => {
+  const stringifier = createObjectCsvStringifier({
+    header: CSV_COLUMNS.map(column => ({ id: column, title: column }))
+  });
+
+  const records = questions.map(q => {
+    const record = {
+      question: q.question,
+      type: q.type,
+      correct: q.options
+        .map((option, index) => (option.isCorrect ? OPTION_LETTERS[index] : null))
+        .filter(Boolean)
+        .join(';'),
+      partialScoring: q.partialScoring,
+      numericAnswer: q.type === 'numeric' ? q.numericAnswer : '',
+      tolerance: q.type === 'numeric' ? q.tolerance : '',
+      acceptedAnswers: (q.acceptedAnswers || []).join('|'),
+      caseSensitive: q.type === 'fill_blank' ? q.caseSensitive : '',
+      explanation: q.explanation,
+      difficulty: q.difficulty,
+      marks: q.marks,
+      negativeMarks: q.negativeMarks !== null && q.negativeMarks !== undefined ? q.negativeMarks : '',
+      section: q.section || ''
+    };
+
+    OPTION_LETTERS.forEach((letter, index) => {
+      record[`option${letter}`] = q.options[index] ? q.options[index].text : '';
+    });
+
+    return record;
+  });
+
+  return stringifier.getHeaderString() + stringifier.stringifyRecords(records);
+};
+
+// ---------- JSON ----------
+
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { items: [], errors: [{ row: 1, message: 'File is not valid JSON' }] };
+  }
+
+  const questions = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(questions)) {
+    return { items: [], errors: [{ row: 1, message: 'JSON must be an array of questions or { "questions": [...] }' }] };
+  }
+
+  const items = [];
+  const errors = [];
+
+  questions.forEach((raw, index) => {
+    const row = index + 1;
+
+    if (!raw || typeof raw !== 'object') {
+      errors.push({ row, message: 'Question must be an object' });
+      return;
+    }
+
+    const question = {};
+    JSON_FIELDS.forEach(field => {
+      if (raw[field] !== undefined) {
+        question[field] = raw[field];
+      }
+    });
+
+    if (question.options !== undefined && (!Array.isArray(question.options) || question.options.some(option => !option || typeof option.text !== 'string'))) {
+      errors.push({ row, message: 'Options must be a list of { text, isCorrect }' });
+      return;
+    }
+
+    if (question.options) {
+      question.options = question.options.map(option => ({ text: option.text.trim(), isCorrect: option.isCorrect === true }));
+    }
+
+    items.push({ row, question });
+  });
+
+  return { items, errors };
+};
+
+const exportJson = (questions) => JSON.stringify({
+  questions: questions.map(q => {
+    const question = {};
+    JSON_FIELDS.forEach(field => {
+      if (q[field] !== undefined && q[field] !== null) {
+        question[field] = field === 'options'
+          ? q.options.map(option => ({ text: option.text, isCorrect: option.isCorrect }))
+          : q[field];
+      }
+    });
+    return question;
+  })
+}, null, 2);
+
+// ---------- GIFT ----------
+
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+const escapeGift = (text) => String(text).replace(GIFT_SPECIAL, match => `\\${match}`);
+
+const unescapeGift = (text) => text.replace(/\\([~=#{}:\\n])/g, (match, char) => (char === 'n' ? '\n' : char)).trim();
+
+// Split on characters that are not escaped with a backslash
+const splitUnescaped = (text, pattern) => {
+  const parts = [];
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      current += text[i] + text[i + 1];
+      i++;
+    } else if (pattern.test(text[i])) {
+      parts.push(current);
+      current = text[i];
+    } else {
+      current += text[i];
+    }
+  }
+
+  parts.push(current);
+  return parts;
+};
+
+// Find the first unescaped occurrence of a character
+const indexOfUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Remove per-answer feedback ("answer#feedback")
+const stripFeedback = (text) => {
+  const index = indexOfUnescaped(text, '#');
+  return index === -1 ? text : text.slice(0, index);
+};
+
+const giftBlockToQuestion = (block) => {
+  let text = block.replace(/^::[\s\S]*?::/, '').trim();
+  text = text.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+  const open = indexOfUnescaped(text, '{');
+  const close = open === -1 ? -1 : indexOfUnescaped(text, '}', open);
+
+  if (open === -1 || close === -1) {
+    return { error: 'Question has no {answer} block' };
+  }
+
+  const before = text.slice(0, open).trim();
+  const after = text.slice(close + 1).trim();
+  const questionText = unescapeGift(after ? `${before} _____ ${after}` : before);
+  let answerBlock = text.slice(open + 1, close).trim();
+
+  const question = { question: questionText };
+
+  // General feedback becomes the explanation
+  const generalFeedback = answerBlock.indexOf('####');
+  if (generalFeedback !== -1) {
+    question.explanation = unescapeGift(answerBlock.slice(generalFeedback + 4));
+    answerBlock = answerBlock.slice(0, generalFeedback).trim();
+  }
+
+  // True/false
+  const trueFalse = answerBlock.match(/^(T|TRUE|F|FALSE)(#.*)?$/i);
+  if (trueFalse) {
+    const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+    question.type = 'true_false';
+    question.options = [
+      { text: 'True', isCorrect: isTrue },
+      { text: 'False', isCorrect: !isTrue }
+    ];
+    return { question };
+  }
+
+  // Numeric: {#value:tolerance} or {#min..max}
+  if (answerBlock.startsWith('#')) {
+    const answer = stripFeedback(answerBlock.slice(1).replace(/^=/, '').split(/\s*=\s*/)[0]).trim();
+    const range = answer.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+    const tolerance = answer.match(/^(-?[\d.]+)(?::([\d.]+))?$/);
+
+    question.type = 'numeric';
+    if (range) {
+      const min = Number(range[1]);
+      const max = Number(range[2]);
+      question.numericAnswer = (min + max) / 2;
+      question.tolerance = (max - min) / 2;
+    } else if (tolerance) {
+      question.numericAnswer = Number(tolerance[1]);
+      question.tolerance = tolerance[2] ? Number(tolerance[2]) : 0;
+    } else {
+      return { error: 'Numeric answer must be #value, #value:tolerance or #min..max' };
+    }
+    return { question };
+  }
+
+  const answers = splitUnescaped(answerBlock, /[=~]/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const isCorrect = part.startsWith('=');
+      let answerText = part.slice(1).trim();
+      let weight = isCorrect ? 100 : 0;
+
+      const weightMatch = answerText.match(/^%(-?[\d.]+)%/);
+      if (weightMatch) {
+        weight = Number(weightMatch[1]);
+        answerText = answerText.slice(weightMatch[0].length);
+      }
+
+      return {
+        text: unescapeGift(stripFeedback(answerText)),
+        isWrongMarker: part.startsWith('~'),
+        weight
+      };
+    });
+
+  if (answers.length === 0) {
+    return { error: 'Answer block is empty' };
+  }
+
+  // Only "=" answers and no distractors means a short answer question
+  if (answers.every(answer => !answer.isWrongMarker)) {
+    question.type = 'fill_blank';
+    question.acceptedAnswers = answers.map(answer => answer.text);
+    return { question };
+  }
+
+  const options = answers.map(answer => ({ text: answer.text, isCorrect: answer.weight > 0 }));
+  const correctCount = options.filter(option => option.isCorrect).length;
+
+  question.options = options;
+  question.type = correctCount > 1 ? 'multiple' : 'single';
+  if (question.type === 'multiple') {
+    question.partialScoring = answers.some(answer => answer.weight < 0) ? 'proportional' : 'partial';
+  }
+
+  return { question };
+};
+
+const parseGift = (text) => {
+  const items = [];
+  const errors = [];
+
+  // Questions are separated by blank lines; comment lines are ignored
+  const blocks = text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(line => !line.trim().startsWith('//') && !line.trim().startsWith('$CATEGORY'))
+    .join('\n')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean);
+
+  blocks.forEach((block, index) => {
+    const row = index + 1;
+    const { question, error } = giftBlockToQuestion(block);
+
+    if (error) {
+      errors.push({ row, message: error });
+    } else {
+      items.push({ row, question });
+    }
+  });
+
+  return { items, errors };
+};
+
+const exportGift = (questions) => questions.map((q, index) => {
+  const lines = [`::Q${index + 1}:: ${escapeGift(q.question)} {`];
+
+  const correctOption = q.options.find(option => option.isCorrect);
+  const isTrueFalse = q.type === 'true_false' && q.options.length === 2 &&
+    q.options.every(option => /^(true|false)$/i.test(option.text));
+
+  if (q.type === 'numeric') {
+    lines.push(`#${q.numericAnswer}${q.tolerance ? `:${q.tolerance}` : ''}`);
+  } else if (isTrueFalse) {
+    lines.push(/^true$/i.test(correctOption.text) ? 'T' : 'F');
+  } else if (q.type === 'fill_blank') {
+    q.acceptedAnswers.forEach(answer => lines.push(`=${escapeGift(answer)}`));
+  } else if (q.type === 'multiple') {
+    const correctCount = q.options.filter(option => option.isCorrect).length;
+    const weight = Math.round((100 / correctCount) * 100000) / 100000;
+    q.options.forEach(option => lines.push(`~%${option.isCorrect ? weight : -100}%${escapeGift(option.text)}`));
+  } else {
+    q.options.forEach(option => lines.push(`${option.isCorrect ? '=' : '~'}${escapeGift(option.text)}`));
+  }
+
+  if (q.explanation) {
+    lines.push(`####${escapeGift(q.explanation)}`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}).join('\n\n') + '\n';
+
+// ---------- Aiken ----------
+
+const parseAiken = (text) => {
+  const items = [];
+  const errors = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  let block = 0;
+  let current = null;
+
+  const reset = () => {
+    current = null;
+  };
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (!current) {
+      block++;
+      current = { question: line, options: [] };
+      return;
+    }
+
+    const option = line.match(/^([A-Z])[.)]\s+(.*)$/);
+    const answer = line.match(/^ANSWER:\s*([A-Z])$/i);
+
+    if (answer) {
+      const index = current.options.findIndex(opt => opt.letter === answer[1].toUpperCase());
+
+      if (current.options.length < 2) {
+        errors.push({ row: block, message: 'Question needs at least 2 options' });
+      } else if (index === -1) {
+        errors.push({ row: block, message: `Answer "${answer[1]}" does not match an option` });
+      } else {
+        items.push({
+          row: block,
+          question: {
+            question: current.question,
+            type: 'single',
+            options: current.options.map((opt, optIndex) => ({ text: opt.text, isCorrect: optIndex === index }))
+          }
+        });
+      }
+
+      reset();
+    } else if (option) {
+      current.options.push({ letter: option[1], text: option[2].trim() });
+    } else if (current.options.length === 0) {
+      // Question text can span several lines
+      current.question += ` ${line}`;
+    } else {
+      errors.push({ row: block, message: `Unexpected line "${line}"` });
+    }
+  });
+
+  if (current) {
+    errors.push({ row: block, message: 'Question is missing an ANSWER line' });
+  }
+
+  return { items, errors };
+};
+
+// Aiken only supports single-answer multiple choice; other questions are skipped
+const exportAiken = (questions) => questions
+  .filter(q => ['single', 'true_false'].includes(q.type) && q.options.length <= 26)
+  .map(q => {
+    const lines = [q.question.replace(/\s*\n\s*/g, ' ')];
+    q.options.forEach((option, index) => lines.push(`${String.fromCharCode(65 + index)}. ${option.text}`));
+    lines.push(`ANSWER: ${String.fromCharCode(65 + q.options.findIndex(option => option.isCorrect))}`);
+    return lines.join('\n');
+  })
+  .join('\n\n') + '\n';
+
+// ---------- Public API ----------
+
+const parsers = { csv: parseCsv, json: parseJson, gift: parseGift, aiken: parseAiken };
+const exporters = { csv: exportCsv, json: exportJson, gift: exportGift, aiken: exportAiken };
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  gift: 'text/plain',
+  aiken: 'text/plain'
+};
+
+const FILE_EXTENSIONS = { csv: 'csv', json: 'json', gift: 'gift', aiken: 'txt' };
+
+const parseQuestions = (format, text) => parsers[format](text);
+
+const exportQuestions = (format, questions) => ({
+  content: exporters[format](questions),
+  contentType: CONTENT_TYPES[format],
+  extension: FILE_EXTENSIONS[format]
+});
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseCsvRecords,
+  parseQuestions,
+  exportQuestions
+};
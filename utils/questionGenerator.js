@@ -0,0 +1,193 @@
+const Test = require('../models/Test');
+
+// Question generators share one interface:
+//   generate({ subject, topic, difficulty, numQuestions }) -> { prompt, questions, model? }
+// The provider is picked with QUESTION_GENERATOR_PROVIDER (or per request).
+
+const QUESTION_FIELDS = ['question', 'type', 'options', 'partialScoring', 'numericAnswer', 'tolerance', 'acceptedAnswers', 'caseSensitive', 'explanation', 'difficulty', 'marks'];
+
+// Build the prompt sent to language model providers
+const buildPrompt = ({ subject, topic, difficulty, numQuestions }) => [
+  `Generate ${numQuestions} ${difficulty} multiple choice questions for ${subject}${topic ? ` on ${topic}` : ''}.`,
+  'Each question has exactly 4 options and exactly one correct option.',
+  'Respond with JSON only, in this shape:',
+  `{"questions": [{"question": "string", "type": "single", "options": [{"text": "string", "isCorrect": true}], "explanation": "string", "difficulty": "${difficulty}", "marks": 1}]}`
+].join('\n');
+
+// Deterministic provider for offline use and tests: the same request always
+// produces the same questions.
+const templateProvider = {
+  name: 'template',
+
+  async generate({ subject, topic, difficulty, numQuestions }) {
+    const area = topic || subject;
+    const templates = [
+      `Which statement about ${area} is correct?`,
+      `Which of the following is a key concept in ${area}?`,
+      `Which example best illustrates ${area}?`,
+      `Which of the following is NOT related to ${area}?`
+    ];
+
+    const questions = [];
+
+    for (let i = 0; i < numQuestions; i++) {
+      const correctIndex = i % 4;
+
+      questions.push({
+        question: `${templates[i % templates.length]} (${subject} practice ${i + 1})`,
+        type: 'single',
+        options: ['A', 'B', 'C', 'D'].map((label, index) => ({
+          text: `${area} option ${label}`,
+          isCorrect: index === correctIndex
+        })),
+        explanation: `Option ${['A', 'B', 'C', 'D'][correctIndex]} is the correct answer.`,
+        difficulty,
+        marks: 1
+      });
+    }
+
+    return {
+      prompt: buildPrompt({ subject, topic, difficulty, numQuestions }),
+      questions
+    };
+  }
+};
+
+// Provider for any OpenAI-compatible chat completions API (including local stub servers)
+const openAIProvider = {
+  name: 'openai',
+
+  async generate(request) {
+    const baseUrl = (process.env.QUESTION_GENERATOR_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = process.env.QUESTION_GENERATOR_API_KEY;
+    const timeout = parseInt(process.env.QUESTION_GENERATOR_TIMEOUT_MS, 10) || 60000;
+    const model = process.env.QUESTION_GENERATOR_MODEL || 'gpt-4o-mini';
+    const prompt = buildPrompt(request);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: 'You write exam questions for a coaching platform and reply with JSON only.' },
+          { role: 'user', content: prompt }
+        ],
+        response_format: { type: 'json_object' },
+        temperature: 0.7
+      }),
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Provider responded with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+
+    if (!content) {
+      throw new Error('Provider returned an empty response');
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error('Provider returned invalid JSON');
+    }
+
+    return {
+      prompt,
+      model,
+      questions: Array.isArray(parsed) ? parsed : parsed.questions
+    };
+  }
+};
+
+const providers = {
+  [templateProvider.name]: templateProvider,
+  [openAIProvider.name]: openAIProvider
+};
+
+// Get a provider by name (defaults to QUESTION_GENERATOR_PROVIDER, then template)
+const getProvider = (name) => {
+  return providers[name || process.env.QUESTION_GENERATOR_PROVIDER || 'template'] || null;
+};
+
+// Register another provider, e.g. a stub in development
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getProviderNames = () => Object.keys(providers);
+
+// Check generated questions against the test question schema and keep only known fields.
+// Returns { error } or { questions }.
+const validateGeneratedQuestions = (questions, { numQuestions, difficulty }) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return { error: 'Generator returned no questions' };
+  }
+
+  if (questions.length < numQuestions) {
+    return { error: `Generator returned ${questions.length} of ${numQuestions} questions` };
+  }
+
+  const cleaned = [];
+
+  for (let i = 0; i < numQuestions; i++) {
+    const raw = questions[i];
+
+    if (!raw || typeof raw.question !== 'string' || !raw.question.trim()) {
+      return { error: `Generated question ${i + 1} has no question text` };
+    }
+
+    const question = {};
+    QUESTION_FIELDS.forEach(field => {
+      if (raw[field] !== undefined) {
+        question[field] = raw[field];
+      }
+    });
+
+    if (question.options !== undefined) {
+      if (!Array.isArray(question.options) || question.options.some(option => !option || typeof option.text !== 'string' || !option.text.trim())) {
+        return { error: `Generated question ${i + 1} has invalid options` };
+      }
+
+      question.options = question.options.map(option => ({
+        text: option.text.trim(),
+        isCorrect: option.isCorrect === true
+      }));
+    }
+
+    if (!['easy', 'medium', 'hard'].includes(question.difficulty)) {
+      question.difficulty = difficulty;
+    }
+
+    if (!Number.isInteger(question.marks) || question.marks < 1) {
+      question.marks = 1;
+    }
+
+    const questionError = Test.validateQuestion(question);
+    if (questionError) {
+      return { error: `Generated question ${i + 1} ${questionError}` };
+    }
+
+    cleaned.push(question);
+  }
+
+  return { questions: cleaned };
+};
+
+module.exports = {
+  buildPrompt,
+  getProvider,
+  registerProvider,
+  getProviderNames,
+  validateGeneratedQuestions
+};
@@ -60,7 +60,7 @@ const refundPayment = async (paymentId, amount = null, notes = {}) => {
     };
     
     if (amount) {
-      refundData.amount = amount * 100; // Convert to paise
+      refundData.amount = Math.round(amount * 100); // Convert to paise
     }
     
     const refund = await razorpay.payments.refund(paymentId, refundData);
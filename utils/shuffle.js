@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Generate a random 32-bit seed
+const createSeed = () => crypto.randomBytes(4).readUInt32BE(0);
+
+// Derive a stable 32-bit seed from a string
+const seedFrom = (value) => crypto.createHash('sha256').update(String(value)).digest().readUInt32BE(0);
+
+// Create a deterministic random number generator (mulberry32) from a seed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle (returns a new array)
+const shuffle = (items, random = Math.random) => {
+  const result = [...items];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+};
+
+// Shuffle with a seed so the same seed always gives the same order
+const seededShuffle = (items, seed) => shuffle(items, createRandom(seed));
+
+module.exports = {
+  createSeed,
+  seedFrom,
+  createRandom,
+  shuffle,
+  seededShuffle
+};
\ No newline at end of file
@@ -0,0 +1,296 @@
+const { renderPdf, drawRule, ensureSpace } = require('./pdf');
+
+// Option labels printed on papers and bubbled on answer sheets
+const OPTION_LABELS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+const TYPE_HINTS = {
+  multiple: 'Select all that apply',
+  true_false: 'True or false',
+  numeric: 'Numeric answer',
+  fill_blank: 'Write your answer'
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Draw the title block shared by papers, answer sheets and keys
+const drawHeader = (doc, test, set, heading) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(test.title, left, doc.page.margins.top, { width, align: 'center' });
+  if (test.course && test.course.title) {
+    doc.font('Helvetica').fontSize(11).text(test.course.title, { width, align: 'center' });
+  }
+  doc.font('Helvetica-Bold').fontSize(12).text(`${heading} - Set ${set.code}`, { width, align: 'center' });
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10).text(
+    `Duration: ${plural(test.duration, 'minute')}    Total marks: ${test.totalMarks}    Passing marks: ${test.passingMarks}`,
+    { width, align: 'center' }
+  );
+
+  drawRule(doc);
+};
+
+// Draw the instructions at the top of a question paper
+const drawInstructions = (doc, test) => {
+  const instructions = [
+    `Answer all ${plural(test.questions.length, 'question')}. Mark your answers on the answer sheet.`,
+    'Write your set code on the answer sheet.'
+  ];
+
+  const hasNegativeMarking = test.questions.some(q => test.getNegativeMarks(q) > 0);
+  if (hasNegativeMarking) {
+    instructions.push('Wrong answers carry negative marks as shown against each question. Unattempted questions score zero.');
+  }
+
+  test.sections.forEach(section => {
+    const timing = section.timeLimit ? `, ${plural(section.timeLimit, 'minute')}` : '';
+    const cutoff = section.cutoff ? `, cutoff ${section.cutoff}` : '';
+    instructions.push(`Section ${section.name}: ${plural(section.totalMarks, 'mark')}${timing}${cutoff}.`);
+  });
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Instructions');
+  doc.font('Helvetica').fontSize(9);
+  instructions.forEach(line => doc.text(`- ${line}`));
+
+  drawRule(doc);
+};
+
+// Draw a section heading when the section changes
+const drawSectionHeading = (doc, question, state) => {
+  if (!question.section || question.section === state.section) return;
+
+  state.section = question.section;
+  ensureSpace(doc, 60);
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(12).text(`Section: ${question.section}`);
+  doc.moveDown(0.3);
+};
+
+// Draw the questions of one set
+const drawQuestions = (doc, test, questions) => {
+  const state = { section: null };
+
+  questions.forEach((question, index) => {
+    drawSectionHeading(doc, question, state);
+    ensureSpace(doc, 40 + question.options.length * 14);
+
+    const negativeMarks = test.getNegativeMarks(question);
+    const marks = negativeMarks > 0
+      ? `[${plural(question.marks, 'mark')}, -${negativeMarks} if wrong]`
+      : `[${plural(question.marks, 'mark')}]`;
+
+    doc.font('Helvetica-Bold').fontSize(10).text(`${index + 1}. `, { continued: true })
+      .font('Helvetica').text(`${question.question}  `, { continued: true })
+      .font('Helvetica-Oblique').fontSize(9).text(marks);
+
+    if (TYPE_HINTS[question.type]) {
+      doc.font('Helvetica-Oblique').fontSize(8).text(`(${TYPE_HINTS[question.type]})`, { indent: 16 });
+    }
+
+    doc.font('Helvetica').fontSize(10);
+    question.options.forEach((option, optionIndex) => {
+      doc.text(`(${OPTION_LABELS[optionIndex]}) ${option.text}`, { indent: 16 });
+    });
+
+    doc.moveDown(0.6);
+  });
+};
+
+// Draw the OMR-style answer sheet for one set
+const drawAnswerSheet = (doc, test, set, questions) => {
+  doc.addPage();
+  drawHeader(doc, test, set, 'Answer Sheet');
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.font('Helvetica').fontSize(10);
+  doc.text('Name: ______________________________    Email: ______________________________', left, doc.y);
+  doc.moveDown(0.5);
+
+  // Set code bubbles, with this paper's set filled in
+  const setY = doc.y + 6;
+  doc.text('Set code:', left, doc.y);
+  OPTION_LABELS.slice(0, 4).forEach((code, index) => {
+    const cx = left + 70 + index * 24;
+    doc.lineWidth(0.8).circle(cx, setY, 7);
+    if (code === set.code) {
+      doc.fillAndStroke('black', 'black');
+    } else {
+      doc.stroke();
+      doc.fillColor('black').fontSize(7).text(code, cx - 4, setY - 3, { width: 8, align: 'center' });
+    }
+  });
+  doc.fillColor('black').fontSize(10);
+  doc.x = left;
+  doc.y = setY + 16;
+  drawRule(doc);
+
+  const columns = 3;
+  const rowHeight = 20;
+  const columnWidth = width / columns;
+  let top = doc.y + 6;
+  let rowsPerColumn = Math.floor((doc.page.height - doc.page.margins.bottom - top) / rowHeight);
+  let slot = 0;
+
+  questions.forEach((question, index) => {
+    if (slot === rowsPerColumn * columns) {
+      doc.addPage();
+      top = doc.page.margins.top;
+      rowsPerColumn = Math.floor((doc.page.height - doc.page.margins.bottom - top) / rowHeight);
+      slot = 0;
+    }
+
+    const x = left + Math.floor(slot / rowsPerColumn) * columnWidth;
+    const y = top + (slot % rowsPerColumn) * rowHeight;
+    slot++;
+
+    doc.font('Helvetica-Bold').fontSize(9).text(`${index + 1}.`, x, y, { width: 24 });
+
+    if (question.options.length > 0) {
+      question.options.forEach((option, optionIndex) => {
+        const cx = x + 34 + optionIndex * 22;
+        const cy = y + 4;
+        doc.lineWidth(0.8).circle(cx, cy, 7).stroke();
+        doc.font('Helvetica').fontSize(7).text(OPTION_LABELS[optionIndex], cx - 4, cy - 3, { width: 8, align: 'center' });
+      });
+    } else {
+      doc.lineWidth(0.8).rect(x + 28, y - 3, columnWidth - 40, 15).stroke();
+    }
+  });
+
+  doc.x = left;
+};
+
+// Get the printed answer for a question in a set's option order
+const getAnswerLabel = (question) => {
+  switch (question.type) {
+    case 'numeric':
+      return question.tolerance > 0
+        ? `${question.numericAnswer} (±${question.tolerance})`
+        : `${question.numericAnswer}`;
+
+    case 'fill_blank':
+      return question.acceptedAnswers.join(' / ');
+
+    default:
+      return question.options
+        .map((option, index) => (option.isCorrect ? OPTION_LABELS[index] : null))
+        .filter(Boolean)
+        .join(', ');
+  }
+};
+
+// Draw the answer key for one set
+const drawAnswerKey = (doc, test, set, questions) => {
+  drawHeader(doc, test, set, 'Answer Key');
+
+  const state = { section: null };
+
+  questions.forEach((question, index) => {
+    drawSectionHeading(doc, question, state);
+    ensureSpace(doc, 30);
+
+    const negativeMarks = test.getNegativeMarks(question);
+    const marks = negativeMarks > 0 ? `+${question.marks} / -${negativeMarks}` : `+${question.marks}`;
+
+    doc.font('Helvetica-Bold').fontSize(10).text(`${index + 1}. `, { continued: true })
+      .font('Helvetica').text(`${getAnswerLabel(question)}    `, { continued: true })
+      .font('Helvetica-Oblique').fontSize(9).text(`(${marks})`);
+
+    if (question.explanation) {
+      doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text(question.explanation, { indent: 16 })
+        .fillColor('black');
+    }
+  });
+};
+
+// Read one student's answers from a scanned sheet. `answers` lists the
+// responses in the set's printed order, separated by "|": option letters for
+// choice questions (e.g. "BD" for multiple correct), a number, or text. Blank
+// responses are unattempted. Returns { error } or { answers } keyed by
+// question ID.
+const parseAnswerSheet = (test, set, answers) => {
+  const questions = test.orderQuestions(set);
+  const responses = String(answers || '').split('|').map(response => response.trim());
+
+  if (responses.length > questions.length) {
+    return { error: `Answer sheet has ${responses.length} responses but the test has ${questions.length} questions` };
+  }
+
+  const parsed = [];
+
+  for (let i = 0; i < responses.length; i++) {
+    const response = responses[i];
+    const question = questions[i];
+
+    if (!response) continue;
+
+    if (question.type === 'numeric') {
+      const value = Number(response);
+      if (!Number.isFinite(value)) {
+        return { error: `Question ${i + 1}: "${response}" is not a number` };
+      }
+      parsed.push({ questionId: question._id, numericAnswer: value });
+      continue;
+    }
+
+    if (question.type === 'fill_blank') {
+      parsed.push({ questionId: question._id, textAnswer: response });
+      continue;
+    }
+
+    const letters = [...new Set(response.toUpperCase().replace(/[\s,]+/g, '').split(''))];
+    const optionIds = [];
+
+    for (const letter of letters) {
+      const option = question.options[OPTION_LABELS.indexOf(letter)];
+      if (!option) {
+        return { error: `Question ${i + 1}: invalid option "${letter}"` };
+      }
+      optionIds.push(option._id);
+    }
+
+    if (question.type === 'multiple') {
+      parsed.push({ questionId: question._id, selectedOptions: optionIds });
+    } else if (optionIds.length > 1) {
+      return { error: `Question ${i + 1}: only one option can be marked` };
+    } else {
+      parsed.push({ questionId: question._id, selectedOption: optionIds[0] });
+    }
+  }
+
+  return { answers: parsed };
+};
+
+// Render the question paper with an answer sheet for each set
+const renderTestPaper = (test, sets) => renderPdf(doc => {
+  sets.forEach((set, index) => {
+    if (index > 0) doc.addPage();
+
+    const questions = test.orderQuestions(set);
+
+    drawHeader(doc, test, set, 'Question Paper');
+    drawInstructions(doc, test);
+    drawQuestions(doc, test, questions);
+    drawAnswerSheet(doc, test, set, questions);
+  });
+}, { title: `${test.title} - Question Paper` });
+
+// Render the answer key for each set
+const renderAnswerKey = (test, sets) => renderPdf(doc => {
+  sets.forEach((set, index) => {
+    if (index > 0) doc.addPage();
+    drawAnswerKey(doc, test, set, test.orderQuestions(set));
+  });
+}, { title: `${test.title} - Answer Key` });
+
+module.exports = {
+  OPTION_LABELS,
+  parseAnswerSheet,
+  renderTestPaper,
+  renderAnswerKey
+};
@@ -0,0 +1,52 @@
+const Test = require('../models/Test');
+const TestResult = require('../models/TestResult');
+
+// Finalize in-progress attempts whose time limit has passed
+const sweepExpiredAttempts = async () => {
+  const expiredAttempts = await TestResult.findExpiredAttempts();
+  let finalizedCount = 0;
+
+  for (const attempt of expiredAttempts) {
+    try {
+      const test = await Test.findById(attempt.test);
+
+      if (!test) {
+        attempt.status = 'abandoned';
+        attempt.submittedAt = new Date();
+        await attempt.save();
+        continue;
+      }
+
+      await attempt.finalize(test, attempt.savedAnswers, 'timeout');
+      finalizedCount++;
+    } catch (error) {
+      console.error(`Error finalizing test attempt ${attempt._id}:`, error);
+    }
+  }
+
+  return finalizedCount;
+};
+
+// Run the sweeper on an interval
+const startTestSweeper = (intervalMs = parseInt(process.env.TEST_SWEEP_INTERVAL_MS) || 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const finalizedCount = await sweepExpiredAttempts();
+      if (finalizedCount > 0) {
+        console.log(`Finalized ${finalizedCount} expired test attempts`);
+      }
+    } catch (error) {
+      console.error('Test sweeper error:', error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  sweepExpiredAttempts,
+  startTestSweeper
+};
\ No newline at end of file